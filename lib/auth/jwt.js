@@ -9,3 +9,10 @@ export function signToken(payload) {
 export function verifyToken(token) {
   return jwt.verify(token, process.env.JWT_SECRET);
 }
+
+//Short-lived token for a single purpose (e.g. signed download URLs), independent of login expiry.
+export function signShortLivedToken(payload, expiresInSeconds) {
+  return jwt.sign(payload, process.env.JWT_SECRET, {
+    expiresIn: expiresInSeconds,
+  });
+}
@@ -0,0 +1,10 @@
+// lib/auth/permissions.js
+// Feature permissions by role, shared by API routes and pages (no server-only imports).
+
+// JWT `role` (SYSTEM_ADMIN / TENANT_ADMIN / TENANT_USER) or `tenantRole` (ADMIN / USER)
+export const SQL_EDIT_ROLES = ["SYSTEM_ADMIN", "TENANT_ADMIN", "ADMIN"];
+
+//Whether the user may edit an answer's SQL and re-run it (/api/chat/rerun-sql).
+export function canEditSql(user) {
+  return [user?.role, user?.tenantRole].some((r) => SQL_EDIT_ROLES.includes(r));
+}
@@ -0,0 +1,180 @@
+// lib/chat/branches.js
+// Answer versions and conversation branches.
+//
+// Messages form a tree: `messages.parent_message_id` is the previous message on the branch (the
+// question for an answer, the answer before it for a follow-up question). Regenerating an answer
+// adds another assistant message under the same question, so versions are siblings and each
+// keeps its own follow-ups. Messages written before branches existed have no parent; their parent
+// is the message just before them.
+//
+// `conversations.active_message_id` is the last message of the chosen branch (NULL: the latest
+// message). History, recent Q&A and the conversation summary all follow that branch: the running
+// summary is kept per message (`messages.conversation_summary`, written when it is updated) and
+// `conversations.conversation_summary` is reset to the chosen branch's summary on every switch.
+
+import { coreQuery } from "@/lib/db/coreDb";
+
+const MESSAGE_COLUMNS =
+  "id, role, content, answer_payload, created_at, parent_message_id, conversation_summary";
+
+const key = (id) => (id == null ? null : String(id));
+
+//All messages of a conversation with their effective parent and children.
+async function loadConversationTree({ convId, tenantId }) {
+  const rows = await coreQuery(
+    `SELECT ${MESSAGE_COLUMNS} FROM messages WHERE conversation_id = ? AND tenant_id = ? ORDER BY created_at ASC, id ASC`,
+    [convId, tenantId]
+  );
+
+  const byId = new Map();
+  const parentOf = new Map();
+  const childrenOf = new Map();
+  let previous = null;
+
+  rows.forEach((m) => {
+    const id = key(m.id);
+    const parent = key(m.parent_message_id) ?? key(previous?.id);
+    byId.set(id, m);
+    parentOf.set(id, parent);
+    if (!childrenOf.has(parent)) childrenOf.set(parent, []);
+    childrenOf.get(parent).push(m);
+    previous = m;
+  });
+
+  return { rows, byId, parentOf, childrenOf };
+}
+
+//Latest message below `messageId`, following the most recent child at each step.
+function latestDescendant(tree, messageId) {
+  let id = key(messageId);
+  for (;;) {
+    const children = tree.childrenOf.get(id) || [];
+    if (children.length === 0) return id;
+    id = key(children[children.length - 1].id);
+  }
+}
+
+function pathTo(tree, leafId) {
+  const path = [];
+  let id = key(leafId);
+  while (id != null && tree.byId.has(id)) {
+    path.push(tree.byId.get(id));
+    id = tree.parentOf.get(id);
+  }
+  return path.reverse();
+}
+
+//Running summary as of the end of `path` (latest snapshot on it).
+function summaryForPath(tree, path) {
+  for (let i = path.length - 1; i >= 0; i -= 1) {
+    if (path[i].conversation_summary) return path[i].conversation_summary;
+  }
+  return null;
+}
+
+/**
+ * Messages on one branch, oldest first: the active branch, or the branch ending at `leafId`.
+ * Each message carries `versions` ({ index, count, ids }, 1-based) when it has siblings.
+ */
+export async function loadBranchMessages({ convId, tenantId, leafId = null }) {
+  const tree = await loadConversationTree({ convId, tenantId });
+  if (tree.rows.length === 0) return [];
+
+  let leaf = key(leafId);
+  if (leaf == null) {
+    const rows = await coreQuery(
+      "SELECT active_message_id FROM conversations WHERE id = ? AND tenant_id = ?",
+      [convId, tenantId]
+    );
+    leaf = key(rows[0]?.active_message_id);
+  }
+  if (!tree.byId.has(leaf)) leaf = key(tree.rows[tree.rows.length - 1].id);
+
+  return pathTo(tree, leaf).map(({ conversation_summary, ...m }) => {
+    const siblings = (tree.childrenOf.get(tree.parentOf.get(key(m.id))) || [])
+      .filter((s) => s.role === m.role)
+      .map((s) => s.id);
+    return {
+      ...m,
+      versions:
+        siblings.length > 1
+          ? {
+              index: siblings.findIndex((id) => key(id) === key(m.id)) + 1,
+              count: siblings.length,
+              ids: siblings,
+            }
+          : null,
+    };
+  });
+}
+
+/**
+ * Summary for prompts on the branch ending at `leafId`. Conversations summarized before
+ * per-message summaries existed fall back to `conversations.conversation_summary`.
+ */
+export async function loadBranchSummary({ convId, tenantId, leafId }) {
+  const tree = await loadConversationTree({ convId, tenantId });
+  const summary = summaryForPath(tree, pathTo(tree, leafId));
+  if (summary != null) return summary;
+  if (tree.rows.some((m) => m.conversation_summary)) return "";
+
+  const rows = await coreQuery(
+    "SELECT conversation_summary FROM conversations WHERE id = ? AND tenant_id = ?",
+    [convId, tenantId]
+  );
+  return rows[0]?.conversation_summary || "";
+}
+
+/**
+ * Choose the branch through `messageId` (its latest follow-up becomes the active message) and
+ * point the conversation summary at that branch. Returns the new active message id.
+ */
+export async function setActiveBranch({ convId, tenantId, messageId }) {
+  const tree = await loadConversationTree({ convId, tenantId });
+  if (!tree.byId.has(key(messageId))) return null;
+
+  const leaf = latestDescendant(tree, messageId);
+  const activeId = tree.byId.get(leaf).id;
+  const summary = summaryForPath(tree, pathTo(tree, leaf));
+
+  if (summary != null || tree.rows.some((m) => m.conversation_summary)) {
+    await coreQuery(
+      "UPDATE conversations SET active_message_id = ?, conversation_summary = ? WHERE id = ? AND tenant_id = ?",
+      [activeId, summary, convId, tenantId]
+    );
+  } else {
+    await coreQuery(
+      "UPDATE conversations SET active_message_id = ? WHERE id = ? AND tenant_id = ?",
+      [activeId, convId, tenantId]
+    );
+  }
+
+  return activeId;
+}
+
+//Last message of the active branch (the parent of the next question), or null.
+export async function activeMessageId({ convId, tenantId }) {
+  const messages = await loadBranchMessages({ convId, tenantId });
+  return messages.length > 0 ? messages[messages.length - 1].id : null;
+}
+
+//The question an assistant message answers ({ id, content }), or null.
+export async function findQuestionMessage({ convId, tenantId, answerId }) {
+  const rows = await coreQuery(
+    `SELECT q.id, q.content
+     FROM messages a
+     JOIN messages q ON q.id = a.parent_message_id
+     WHERE a.id = ? AND a.tenant_id = ? AND q.role = 'user'`,
+    [answerId, tenantId]
+  );
+  if (rows.length > 0) return rows[0];
+
+  const legacyRows = await coreQuery(
+    `SELECT id, content FROM messages
+     WHERE conversation_id = ? AND tenant_id = ? AND role = 'user' AND id < ?
+     ORDER BY id DESC
+     LIMIT 1`,
+    [convId, tenantId, answerId]
+  );
+  return legacyRows[0] || null;
+}
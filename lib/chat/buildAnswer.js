@@ -1,7 +1,8 @@
 import { ChatPromptTemplate } from "@langchain/core/prompts";
 import { coreQuery } from "@/lib/db/coreDb";
 import { contentToString } from "./contentToString";
-import Papa from "papaparse";
+import { EXPORT_FORMATS } from "./resultExport";
+import { loadBranchMessages, setActiveBranch } from "./branches";
 
 const SUMMARY_MESSAGE_INTERVAL = 12;
 const MIN_MESSAGES_FOR_SUMMARY = 2;
@@ -95,12 +96,28 @@ async function maybeUpdateConversationSummary(
     "UPDATE conversations SET conversation_summary = ?, summary_updated_at = NOW() WHERE id = ?",
     [updatedSummary, convId]
   );
+  //Also kept on the branch's last message, so switching branches can restore it
+  await coreQuery("UPDATE messages SET conversation_summary = ? WHERE id = ?", [
+    updatedSummary,
+    messages[messages.length - 1].id,
+  ]);
 
   return { updatedSummary, usage };
 }
 
 //Generate a concise natural-language answer from query results.
-export async function getAnswerText({ llm, question, sql, fields, rows }) {
+//With `onDelta`, model tokens are streamed to it as they arrive (SSE `answer_delta`);
+//the returned answerText is still the complete, authoritative text.
+export async function getAnswerText({
+  llm,
+  question,
+  sql,
+  fields,
+  rows,
+  insights = [],
+  onDelta = null,
+  signal,
+}) {
   const sampleRows = rows.slice(0, 50);
 
   const answerPrompt = ChatPromptTemplate.fromMessages([
@@ -114,11 +131,12 @@ export async function getAnswerText({ llm, question, sql, fields, rows }) {
         "For currency figures, always use Philippine Peso (₱).",
         "Numbers must either be shown as whole numbers if integers, or with two decimal places if a decimal",
         "Put comma separators in numbers for thousands and millions",
+        "When computed facts are given, they were calculated over ALL result rows:",
+        "build the answer around the most relevant of them and do not recompute or contradict them.",
         "",
-        "Return STRICT JSON ONLY with this shape:",
-        "Use keys: answerText (string).",
+        "Return ONLY the answer text itself (no JSON, no preamble).",
         "",
-        "Do NOT include SQL in the answerText.",
+        "Do NOT include SQL in the answer.",
         "Do NOT include markdown fences.",
       ].join(" "),
     ],
@@ -137,7 +155,10 @@ export async function getAnswerText({ llm, question, sql, fields, rows }) {
         "First rows (JSON):",
         "{rowsJson}",
         "",
-        "Now respond with strict JSON only.",
+        "Computed facts:",
+        "{insightsText}",
+        "",
+        "Now write the answer.",
       ].join("\n"),
     ],
   ]);
@@ -147,11 +168,27 @@ export async function getAnswerText({ llm, question, sql, fields, rows }) {
     sql,
     columnsJson: JSON.stringify(fields.map((f) => f.name)),
     rowsJson: JSON.stringify(sampleRows),
+    insightsText:
+      insights.length > 0
+        ? insights.map((i) => `- ${i.headline}`).join("\n")
+        : "(none)",
   });
 
-  const answerMsg = await llm.invoke(messages);
-  const rawText = contentToString(answerMsg.content);
+  let answerMsg = null;
+  if (onDelta) {
+    // Chunks are merged into one message (content + usage_metadata) as they stream in
+    const stream = await llm.stream(messages, { signal });
+    for await (const chunk of stream) {
+      const delta = contentToString(chunk.content);
+      if (delta) onDelta(delta);
+      answerMsg = answerMsg ? answerMsg.concat(chunk) : chunk;
+    }
+  } else {
+    answerMsg = await llm.invoke(messages, { signal });
+  }
+  const rawText = contentToString(answerMsg?.content);
 
+  // Older prompt versions answered with {"answerText": "..."}; still accepted
   const parsed = safeJsonParse(rawText);
 
   let answerText = "";
@@ -164,7 +201,7 @@ export async function getAnswerText({ llm, question, sql, fields, rows }) {
     answerText = rawText.trim();
   }
 
-  const usage = answerMsg.usage_metadata || {
+  const usage = answerMsg?.usage_metadata || {
     input_tokens: 0,
     output_tokens: 0,
     total_tokens: 0,
@@ -181,9 +218,11 @@ export async function logAnswerTelemetry({
   tenantId,
   userId,
   conversationId,
+  messageId = null,
   question,
   answerText,
   sql,
+  sqlStatus = null,
   usage,
   durationMs,
   modelName,
@@ -202,16 +241,18 @@ export async function logAnswerTelemetry({
   try {
     const result = await coreQuery(
       `INSERT INTO query_logs
-       (tenant_id, user_id, conversation_id, question, answer_summary, sql_query, used_rag, model,
-        prompt_tokens, completion_tokens, total_tokens, latency_ms)
-       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+       (tenant_id, user_id, conversation_id, message_id, question, answer_summary, sql_query, sql_status,
+        used_rag, model, prompt_tokens, completion_tokens, total_tokens, latency_ms)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
       [
         tenantId,
         userId,
         conversationId,
+        messageId,
         question.trim(),
         answerSummary,
         sql,
+        sqlStatus,
         usedRagFlag ? 1 : 0,
         modelName,
         usage.input_tokens,
@@ -263,10 +304,18 @@ export async function logAnswerTelemetry({
   return queryLogId;
 }
 
-//Build table payload + optional CSV downloads
-export function buildTable({ fields, rows, convId, maxRows, csvThreshold }) {
-  const columns = fields.map((f) => f.name);
-
+//Build table payload + optional CSV download reference
+//`columns` is column metadata from describeColumns (lib/db/columnDictionary.js).
+//Large results are not embedded: the reference names the saved query (`sqlQueryId`) that the
+//export endpoint re-runs and streams (see lib/chat/resultExport.js).
+export function buildTable({
+  columns,
+  rows,
+  convId,
+  maxRows,
+  csvThreshold,
+  sqlQueryId,
+}) {
   const fullRowCount = Array.isArray(rows) ? rows.length : 0;
   const truncated = fullRowCount > maxRows;
 
@@ -274,18 +323,15 @@ export function buildTable({ fields, rows, convId, maxRows, csvThreshold }) {
 
   const downloads = [];
 
-  try {
-    if (fullRowCount >= csvThreshold && Array.isArray(rows)) {
-      const csv = Papa.unparse(rows, { skipEmptyLines: true });
-      downloads.push({
-        kind: "csv",
-        filename: `export-${convId}-${Date.now()}.csv`,
-        mimeType: "text/csv",
-        content: csv,
-      });
-    }
-  } catch (err) {
-    console.error("CSV export build error:", err);
+  if (fullRowCount >= csvThreshold && sqlQueryId) {
+    downloads.push({
+      kind: "csv",
+      filename: `export-${convId}-${Date.now()}.csv`,
+      mimeType: "text/csv",
+      sqlQueryId,
+      rowCount: fullRowCount,
+      formats: Object.keys(EXPORT_FORMATS),
+    });
   }
 
   return {
@@ -336,15 +382,24 @@ export function buildAnswerPayload({
   table,
   downloads,
   chart,
+  insights = [],
   rag,
+  attempts = [],
+  error = null,
+  masking = null,
+  cache = null,
+  reuse = null,
+  userEditedSql = false,
+  status = "complete",
 }) {
   return {
     version: "v1",
-    status: "complete",
+    status,
     answerText,
     table,
     downloads,
     chart,
+    insights,
     meta: {
       sql,
       sqlQueryId,
@@ -355,15 +410,22 @@ export function buildAnswerPayload({
         total: usage.total_tokens,
       },
       rag,
+      attempts,
+      error,
+      masking,
+      cache,
+      reuse,
+      userEditedSql,
     },
   };
 }
 
-//Persist assistant message to DB
+//Persist assistant message to DB (answering parentMessageId; it becomes the active branch)
 export async function persistAssistantMessage({
   tenantId,
   userId,
   conversationId,
+  parentMessageId = null,
   answerText,
   answerPayload,
   modelName,
@@ -371,10 +433,21 @@ export async function persistAssistantMessage({
 }) {
   const result = await coreQuery(
     `INSERT INTO messages
-     (tenant_id, conversation_id, role, content, answer_payload)
-     VALUES (?, ?, 'assistant', ?, ?)`,
-    [tenantId, conversationId, answerText, JSON.stringify(answerPayload)]
+     (tenant_id, conversation_id, parent_message_id, role, content, answer_payload)
+     VALUES (?, ?, ?, 'assistant', ?, ?)`,
+    [
+      tenantId,
+      conversationId,
+      parentMessageId,
+      answerText,
+      JSON.stringify(answerPayload),
+    ]
   );
+  await setActiveBranch({
+    convId: conversationId,
+    tenantId,
+    messageId: result.insertId,
+  });
 
   const token_usage = await coreQuery(
     `INSERT INTO token_usage
@@ -396,17 +469,57 @@ export async function persistAssistantMessage({
   return { messageId: result.insertId, tokenUsageId: token_usage.insertId };
 }
 
-//Persist assistant message to DB
+//Record a turn the client abandoned (disconnect): an assistant message with status "cancelled"
+//and the tokens already spent, so history and usage accounting stay complete.
+export async function persistCancelledTurn({
+  tenantId,
+  userId,
+  conversationId,
+  parentMessageId = null,
+  sql = null,
+  sqlQueryId = null,
+  attempts = [],
+  modelName,
+  usage,
+}) {
+  const answerText = "Cancelled before an answer was ready.";
+  const answerPayload = buildAnswerPayload({
+    answerText,
+    sql,
+    sqlQueryId,
+    usage,
+    modelName,
+    table: { columns: [], rows: [], rowCount: 0, truncated: false },
+    downloads: [],
+    chart: null,
+    rag: null,
+    attempts,
+    status: "cancelled",
+  });
+
+  return persistAssistantMessage({
+    tenantId,
+    userId,
+    conversationId,
+    parentMessageId,
+    answerText,
+    answerPayload,
+    modelName,
+    usage,
+  });
+}
+
+//Update the conversation summary (if due) over the active branch; returns its messages
 export async function updateMessageSummary({
   convId,
   conversationSummaryForPrompt,
   user,
   llm,
 }) {
-  const messages = await coreQuery(
-    "SELECT id, role, content, answer_payload, created_at FROM messages WHERE conversation_id = ? AND tenant_id = ? ORDER BY created_at ASC, id ASC",
-    [convId, user.tenantId]
-  );
+  const messages = await loadBranchMessages({
+    convId,
+    tenantId: user.tenantId,
+  });
 
   let usage = emptyUsage();
   try {
@@ -0,0 +1,540 @@
+// lib/chat/buildChart.js
+// Chart recommender: picks a chart type from column types (describeColumns metadata) and cardinality.
+//
+// Types:
+//   - "kpi":            single row -> one tile per measure
+//   - "line":           time column + one measure
+//   - "multi_line":     time column + several measures, or time + category for non-additive measures
+//   - "stacked_area":   time column + category + additive, non-negative measure
+//   - "pie" / "donut":  category (2-4 / 5-7 values) + additive, non-negative measure
+//   - "bar":            category + measure(s)
+//   - "horizontal_bar": many categories or long labels
+//   - "scatter":        two measures over many rows (category, if any, labels the points)
+//
+// Spec (answerPayload.chart): { type, x, y, series: [{ key, label, type, unit, format }], data, ... }
+// where x / y are axis column metadata ({ key, label, type, unit, format }) and `data` rows are keyed
+// by x.key and the series keys. `seriesColumn` names the category pivoted into series, `labelKey`
+// the category labelling scatter points, and KPI tiles come as `items` ({ ...column, value }).
+// When several measures could be plotted alone, the model picks one.
+//
+// Time + category results ("monthly sales per store") pivot into one series per category: the
+// TOP_SERIES largest by total, with the rest summed into an "Other" series (`other: true`) when
+// the measure is additive, or dropped when it is not.
+
+import { ChatPromptTemplate } from "@langchain/core/prompts";
+import { contentToString } from "./contentToString";
+import {
+  NUMERIC_COLUMN_TYPES,
+  TIME_COLUMN_TYPES,
+  isAdditiveColumn,
+  isIdentifierColumn,
+} from "@/lib/db/columnDictionary";
+
+const MAX_CHART_POINTS = 200;
+const MAX_CATEGORIES = 25;
+const MAX_SERIES = 8;
+const TOP_SERIES = 6;
+const OTHER_SERIES_KEY = "series_other";
+const MIN_SCATTER_POINTS = 8;
+const HORIZONTAL_BAR_MIN_CATEGORIES = 12;
+const HORIZONTAL_BAR_MIN_LABEL_LENGTH = 14;
+
+function emptyUsage() {
+  return { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
+}
+
+function isPlainObject(v) {
+  return v && typeof v === "object" && !Array.isArray(v);
+}
+
+function safeJsonParse(text) {
+  if (!text || typeof text !== "string") return null;
+
+  const cleaned = text
+    .trim()
+    .replace(/```json/gi, "")
+    .replace(/```/g, "")
+    .trim();
+
+  try {
+    return JSON.parse(cleaned);
+  } catch {
+    return null;
+  }
+}
+
+function clampArray(arr, max) {
+  if (!Array.isArray(arr)) return [];
+  if (arr.length <= max) return arr;
+  return arr.slice(0, max);
+}
+
+function toNumber(value) {
+  if (value == null || value === "") return null;
+  const n =
+    typeof value === "number" ? value : Number(String(value).replace(/,/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+function normalizeXAxisValue(value, type) {
+  if (value == null) return null;
+
+  // mysql2 may return Date objects; stringify in a stable way
+  if (value instanceof Date && Number.isFinite(value.getTime())) {
+    const iso = value.toISOString();
+    return type === "yearmonth" ? iso.slice(0, 7) : iso.slice(0, 10);
+  }
+
+  const s = String(value).trim();
+  if (!s) return null;
+  // Integer periods (202401) as YYYY-MM
+  if (type === "yearmonth" && /^\d{6}$/.test(s)) {
+    return `${s.slice(0, 4)}-${s.slice(4)}`;
+  }
+  return s;
+}
+
+function categoryValue(value) {
+  return value == null || value === "" ? "—" : String(value);
+}
+
+function axis(column) {
+  if (!column) return null;
+  const { key, label, type, unit, format } = column;
+  return { key, label, type, unit, format };
+}
+
+function distinctCount(rows, key) {
+  return new Set(rows.map((r) => categoryValue(r?.[key]))).size;
+}
+
+function allNonNegative(rows, key) {
+  return rows.every((r) => {
+    const n = toNumber(r?.[key]);
+    return n == null || n >= 0;
+  });
+}
+
+async function inferMetricKeyWithAI({
+  question,
+  dimensionKey,
+  numericCandidates,
+  sampleRows,
+  llm,
+  signal,
+}) {
+  if (!Array.isArray(numericCandidates) || numericCandidates.length === 0)
+    return { metricKey: null, usage: emptyUsage() };
+
+  const prompt = ChatPromptTemplate.fromMessages([
+    [
+      "system",
+      [
+        "You are helping pick the single best metric column to plot in a chart.",
+        "You will be given the following:",
+        "- The user question",
+        "- The dimension column (x-axis or categories), if any",
+        "- A list of numeric candidate columns (y-axis candidates)",
+        "- A small sample of result rows",
+        "Pick the ONE candidate that best answers the user question.",
+        "Return STRICT JSON ONLY as JSON with exactly one key: metricKey (string).",
+        "The metricKey value must be exactly one of the provided candidates.",
+        "Do not include markdown fences.",
+        "Do not include any other keys.",
+      ].join(" "),
+    ],
+    [
+      "human",
+      [
+        "User question:",
+        "{question}",
+        "",
+        "Dimension key: {dimensionKey}",
+        "Numeric candidates (choose one): {candidatesJson}",
+        "",
+        "Sample rows (JSON):",
+        "{rowsJson}",
+        "",
+        "Now respond with strict JSON only.",
+      ].join("\n"),
+    ],
+  ]);
+
+  const messages = await prompt.formatMessages({
+    question: String(question || ""),
+    dimensionKey: String(dimensionKey || "(none)"),
+    candidatesJson: JSON.stringify(numericCandidates),
+    rowsJson: JSON.stringify(clampArray(sampleRows || [], 20)),
+  });
+
+  const resp = await llm.invoke(messages, { signal });
+  const usage = resp.usage_metadata || emptyUsage();
+  const obj = safeJsonParse(contentToString(resp.content));
+
+  const metricKey =
+    obj && typeof obj === "object" ? String(obj.metricKey || "").trim() : "";
+  if (!metricKey) return { metricKey: null, usage };
+  if (!numericCandidates.includes(metricKey)) return { metricKey: null, usage };
+  return { metricKey, usage };
+}
+
+function pickMetricHeuristic(candidateKeys) {
+  if (!Array.isArray(candidateKeys) || candidateKeys.length === 0) return null;
+  if (candidateKeys.length === 1) return candidateKeys[0];
+
+  const priorities = [
+    /revenue|sales|amount|total|gross|net|profit/i,
+    /count|transactions|orders|qty|quantity|units/i,
+    /points|visits|members|customers/i,
+  ];
+
+  for (const re of priorities) {
+    const hit = candidateKeys.find((k) => re.test(String(k)));
+    if (hit) return hit;
+  }
+
+  // fallback: first candidate
+  return candidateKeys[0];
+}
+
+//One measure to plot: the model picks among several, the keyword heuristic is the fallback.
+async function pickMeasure({
+  question,
+  dimension,
+  measures,
+  rows,
+  llm,
+  signal,
+}) {
+  const keys = measures.map((m) => m.key);
+  if (keys.length === 1) return { measure: measures[0], usage: emptyUsage() };
+
+  let metricKey = null;
+  let usage = emptyUsage();
+  try {
+    const result = await inferMetricKeyWithAI({
+      question,
+      dimensionKey: dimension?.key,
+      numericCandidates: keys,
+      sampleRows: clampArray(rows, 50),
+      llm,
+      signal,
+    });
+    metricKey = result.metricKey;
+    usage = result.usage || emptyUsage();
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    console.error(
+      "Metric inference (AI) failed, falling back to heuristic:",
+      err
+    );
+  }
+
+  if (!metricKey) metricKey = pickMetricHeuristic(keys);
+  return { measure: measures.find((m) => m.key === metricKey), usage };
+}
+
+function kpiSpec(row, measures) {
+  return {
+    type: "kpi",
+    x: null,
+    y: null,
+    series: measures.map(axis),
+    items: measures.map((m) => ({ ...axis(m), value: toNumber(row?.[m.key]) })),
+    data: [],
+  };
+}
+
+//Time series rows keyed by x value, one numeric property per series key.
+function timeSeriesData(rows, timeColumn, valueFor) {
+  const byPeriod = new Map();
+  for (const row of rows) {
+    if (!isPlainObject(row)) continue;
+    const x = normalizeXAxisValue(row[timeColumn.key], timeColumn.type);
+    if (!x) continue;
+
+    const point = byPeriod.get(x) || { [timeColumn.key]: x };
+    for (const [seriesKey, value] of valueFor(row)) {
+      if (value == null) continue;
+      point[seriesKey] = (point[seriesKey] || 0) + value;
+    }
+    byPeriod.set(x, point);
+  }
+
+  // Year-first strings sort chronologically
+  return Array.from(byPeriod.values())
+    .sort((a, b) =>
+      String(a[timeColumn.key]).localeCompare(String(b[timeColumn.key]))
+    )
+    .slice(-MAX_CHART_POINTS);
+}
+
+//Largest categories by total absolute value; `rest` counts the categories left out.
+function topSeriesNames(rows, category, measure) {
+  const totals = new Map();
+  for (const row of rows) {
+    const name = categoryValue(row?.[category.key]);
+    const value = toNumber(row?.[measure.key]);
+    totals.set(name, (totals.get(name) || 0) + Math.abs(value ?? 0));
+  }
+
+  // No "Other" for a single leftover category: plot it instead
+  const limit = totals.size <= TOP_SERIES + 1 ? totals.size : TOP_SERIES;
+  const names = Array.from(totals)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([name]) => name);
+  return { names, rest: totals.size - names.length };
+}
+
+function timeSpec({ rows, timeColumn, category, measures, measure }) {
+  // Several measures over time: one line each
+  if (!category && measures.length > 1) {
+    const series = measures.slice(0, MAX_SERIES);
+    return {
+      type: "multi_line",
+      x: axis(timeColumn),
+      y: axis(series[0]),
+      series: series.map(axis),
+      data: timeSeriesData(rows, timeColumn, (row) =>
+        series.map((m) => [m.key, toNumber(row[m.key])])
+      ),
+    };
+  }
+
+  // Category split over time: pivot category values into series
+  // (positional keys: recharts reads dots in a dataKey as nested paths)
+  if (category && distinctCount(rows, category.key) > 1) {
+    const additive = isAdditiveColumn(measure);
+    const { names, rest } = topSeriesNames(rows, category, measure);
+    const withOther = additive && rest > 0;
+
+    const series = names.map((name, i) => ({
+      key: `series_${i}`,
+      label: name,
+      type: measure.type,
+      unit: measure.unit,
+      format: measure.format,
+    }));
+    if (withOther) {
+      series.push({
+        key: OTHER_SERIES_KEY,
+        label: `Other (${rest})`,
+        type: measure.type,
+        unit: measure.unit,
+        format: measure.format,
+        other: true,
+      });
+    }
+
+    return {
+      type:
+        additive && allNonNegative(rows, measure.key)
+          ? "stacked_area"
+          : "multi_line",
+      x: axis(timeColumn),
+      y: axis(measure),
+      seriesColumn: axis(category),
+      series,
+      data: timeSeriesData(rows, timeColumn, (row) => {
+        const i = names.indexOf(categoryValue(row[category.key]));
+        if (i >= 0) return [[`series_${i}`, toNumber(row[measure.key])]];
+        return withOther
+          ? [[OTHER_SERIES_KEY, toNumber(row[measure.key])]]
+          : [];
+      }),
+    };
+  }
+
+  return {
+    type: "line",
+    x: axis(timeColumn),
+    y: axis(measure),
+    series: [axis(measure)],
+    data: timeSeriesData(rows, timeColumn, (row) => [
+      [measure.key, toNumber(row[measure.key])],
+    ]),
+  };
+}
+
+//One point per category. Repeated categories add up additive measures; averages, rates and the
+//like cannot be combined, so those measures are left out then (no chart when none is left).
+function categorySpec({ rows, category, measures: candidates }) {
+  const repeated = distinctCount(rows, category.key) < rows.length;
+  const measures = repeated
+    ? candidates.filter((m) => isAdditiveColumn(m))
+    : candidates;
+  if (measures.length === 0) return null;
+
+  const byCategory = new Map();
+  for (const row of rows) {
+    if (!isPlainObject(row)) continue;
+    const name = categoryValue(row[category.key]);
+
+    const point = byCategory.get(name) || { [category.key]: name };
+    measures.forEach((m) => {
+      const value = toNumber(row[m.key]);
+      if (value == null) {
+        if (!(m.key in point)) point[m.key] = null;
+        return;
+      }
+      point[m.key] = (point[m.key] ?? 0) + value;
+    });
+    byCategory.set(name, point);
+  }
+  const data = Array.from(byCategory.values());
+
+  // Keep the largest categories by the first measure
+  const first = measures[0];
+  const limited =
+    data.length > MAX_CATEGORIES
+      ? data
+          .slice()
+          .sort((a, b) => (b[first.key] ?? 0) - (a[first.key] ?? 0))
+          .slice(0, MAX_CATEGORIES)
+      : data;
+
+  const count = limited.length;
+  const partOfWhole =
+    measures.length === 1 &&
+    isAdditiveColumn(first) &&
+    allNonNegative(limited, first.key);
+
+  let type = "bar";
+  if (partOfWhole && count >= 2 && count <= 4) type = "pie";
+  else if (partOfWhole && count >= 5 && count <= 7) type = "donut";
+  else {
+    const avgLabelLength =
+      limited.reduce((a, p) => a + String(p[category.key]).length, 0) /
+      Math.max(count, 1);
+    if (
+      count >= HORIZONTAL_BAR_MIN_CATEGORIES ||
+      avgLabelLength >= HORIZONTAL_BAR_MIN_LABEL_LENGTH
+    ) {
+      type = "horizontal_bar";
+    }
+  }
+
+  return {
+    type,
+    x: axis(category),
+    y: axis(first),
+    series: measures.map(axis),
+    data: limited,
+  };
+}
+
+function scatterSpec({ rows, category, xMeasure, yMeasure }) {
+  const data = clampArray(rows, MAX_CHART_POINTS)
+    .filter(isPlainObject)
+    .map((row) => {
+      const point = {
+        [xMeasure.key]: toNumber(row[xMeasure.key]),
+        [yMeasure.key]: toNumber(row[yMeasure.key]),
+      };
+      if (category) point[category.key] = categoryValue(row[category.key]);
+      return point;
+    })
+    .filter((p) => p[xMeasure.key] != null && p[yMeasure.key] != null);
+
+  return {
+    type: "scatter",
+    x: axis(xMeasure),
+    y: axis(yMeasure),
+    series: [axis(yMeasure)],
+    labelKey: category?.key || null,
+    data,
+  };
+}
+
+async function recommendChart({ question, columns, rows, llm, signal }) {
+  if (!Array.isArray(rows) || rows.length === 0) return { chart: null };
+
+  const timeColumn = columns.find((c) => TIME_COLUMN_TYPES.includes(c.type));
+  const category = columns.find((c) => c.type === "string" && c !== timeColumn);
+  const measures = columns.filter(
+    (c) => NUMERIC_COLUMN_TYPES.includes(c.type) && !isIdentifierColumn(c)
+  );
+  if (measures.length === 0) return { chart: null };
+
+  if (rows.length === 1) {
+    return { chart: kpiSpec(rows[0], measures.slice(0, 4)) };
+  }
+
+  if (timeColumn) {
+    // A single line / category split plots one measure
+    const needsOne = category || measures.length === 1;
+    const { measure, usage } = needsOne
+      ? await pickMeasure({
+          question,
+          dimension: timeColumn,
+          measures,
+          rows,
+          llm,
+          signal,
+        })
+      : { measure: measures[0], usage: emptyUsage() };
+
+    return {
+      chart: timeSpec({ rows, timeColumn, category, measures, measure }),
+      usage,
+    };
+  }
+
+  if (measures.length >= 2 && rows.length >= MIN_SCATTER_POINTS) {
+    return {
+      chart: scatterSpec({
+        rows,
+        category,
+        xMeasure: measures[0],
+        yMeasure: measures[1],
+      }),
+    };
+  }
+
+  if (category) {
+    // Grouped bars for a few measures; pie / donut / single bars for one
+    if (measures.length <= 3 && distinctCount(rows, category.key) <= 12) {
+      return { chart: categorySpec({ rows, category, measures }) };
+    }
+
+    const { measure, usage } = await pickMeasure({
+      question,
+      dimension: category,
+      measures,
+      rows,
+      llm,
+      signal,
+    });
+    return {
+      chart: categorySpec({ rows, category, measures: [measure] }),
+      usage,
+    };
+  }
+
+  return { chart: null };
+}
+
+//`columns` is column metadata from describeColumns (lib/db/columnDictionary.js).
+export async function buildChart({ question, columns, rows, llm, signal }) {
+  let chart = null;
+  let usage = emptyUsage();
+  try {
+    const result = await recommendChart({
+      question,
+      columns: columns || [],
+      rows,
+      llm,
+      signal,
+    });
+    chart = result.chart || null;
+    usage = result.usage || emptyUsage();
+    if (chart && chart.type !== "kpi" && chart.data.length === 0) chart = null;
+  } catch (chartErr) {
+    if (signal?.aborted) throw chartErr;
+    console.error("Chart payload build failed (non-fatal):", chartErr);
+    chart = null;
+  }
+
+  return { chart, usage };
+}
@@ -3,6 +3,7 @@
 
 import { coreQuery } from "@/lib/db/coreDb";
 import { createQdrantHelper } from "@/lib/vector/qdrantManagement";
+import { loadBranchMessages, loadBranchSummary } from "@/lib/chat/branches";
 
 function extractLastQAPairs(messages, maxPairs = 2) {
   if (!Array.isArray(messages) || messages.length === 0) return [];
@@ -42,10 +43,19 @@ function formatRecentQAPairsForContext(pairs) {
     .join("\n\n");
 }
 
-export async function buildConversationSummary({ convId, tenantId }) {
+//Conversation summary; with `leafId`, the summary of the branch ending at that message.
+export async function buildConversationSummary({
+  convId,
+  tenantId,
+  leafId = null,
+}) {
   let conversationSummaryForPrompt = "";
 
   try {
+    if (leafId != null) {
+      return await loadBranchSummary({ convId, tenantId, leafId });
+    }
+
     const rows = await coreQuery(
       "SELECT conversation_summary FROM conversations WHERE id = ? AND tenant_id = ?",
       [convId, tenantId]
@@ -70,13 +80,16 @@ export async function getUserLongTermMemorySummary(user) {
   return rows[0].memory_summary || "";
 }
 
-export async function getRecentQAPairs({ convId, user }) {
+//Last Q&A pairs on the branch ending at `leafId` (default: the active branch), whose last
+//message is the current question.
+export async function getRecentQAPairs({ convId, user, leafId = null }) {
   let recentQAPairsText = "";
   try {
-    const priorMessages = await coreQuery(
-      "SELECT role, content FROM messages WHERE conversation_id = ? AND tenant_id = ? ORDER BY created_at ASC, id ASC",
-      [convId, user.tenantId]
-    );
+    const priorMessages = await loadBranchMessages({
+      convId,
+      tenantId: user.tenantId,
+      leafId,
+    });
 
     if (priorMessages.length > 0) priorMessages.pop();
 
@@ -0,0 +1,278 @@
+// lib/chat/buildInsights.js
+// Deterministic insights over the full result set, computed locally before the answer is written.
+//
+// Facts (each { type, metric, headline, ... } in answerPayload.insights):
+//   - "period_change":  latest period vs the previous one (trend results)
+//   - "contributors":   categories that moved the most between those periods (trend + breakdown)
+//   - "outlier":        values with |z-score| >= OUTLIER_Z_SCORE
+//   - "concentration":  share of the total held by the top N categories (breakdowns)
+// Totals across rows are only formed for additive measures; averages, ratios and percentages
+// (by column type or label) are compared per row instead.
+// The model narrates these facts (getAnswerText) instead of eyeballing sample rows.
+
+import {
+  NUMERIC_COLUMN_TYPES,
+  TIME_COLUMN_TYPES,
+  isAdditiveColumn,
+  isIdentifierColumn,
+} from "@/lib/db/columnDictionary";
+
+const OUTLIER_Z_SCORE = 2;
+const MIN_VALUES_FOR_OUTLIERS = 5;
+const MIN_CATEGORIES_FOR_CONCENTRATION = 4;
+const TOP_N = 3;
+const MAX_MEASURES = 2;
+
+function toNumber(value) {
+  if (value == null || value === "") return null;
+  const n =
+    typeof value === "number" ? value : Number(String(value).replace(/,/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+function periodKey(value) {
+  if (value instanceof Date && Number.isFinite(value.getTime())) {
+    return value.toISOString().slice(0, 10);
+  }
+  return value == null ? null : String(value);
+}
+
+function round(n, digits = 2) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+function formatNumber(n, column) {
+  const text = Math.abs(n).toLocaleString("en-US", {
+    maximumFractionDigits: 2,
+  });
+  const sign = n < 0 ? "-" : "";
+  if (column.type === "currency") return `${sign}₱${text}`;
+  if (column.type === "percent") return `${sign}${text}%`;
+  return `${sign}${text}`;
+}
+
+function formatPct(n) {
+  return `${n > 0 ? "+" : ""}${round(n, 1)}%`;
+}
+
+//Sum (additive) or single value per period; null when a non-additive measure has several rows per period.
+function seriesByPeriod(rows, timeKey, measure) {
+  const byPeriod = new Map();
+  for (const row of rows) {
+    const period = periodKey(row?.[timeKey]);
+    const value = toNumber(row?.[measure.key]);
+    if (period == null || value == null) continue;
+    byPeriod.set(period, [...(byPeriod.get(period) || []), value]);
+  }
+
+  const additive = isAdditiveColumn(measure);
+  const series = [];
+  for (const [period, values] of byPeriod) {
+    if (values.length > 1 && !additive) return null;
+    series.push({ period, value: values.reduce((a, b) => a + b, 0) });
+  }
+  return series.sort((a, b) => a.period.localeCompare(b.period));
+}
+
+function periodChange(series, measure) {
+  if (!series || series.length < 2) return null;
+
+  const last = series[series.length - 1];
+  const previous = series[series.length - 2];
+  const change = last.value - previous.value;
+  const changePct =
+    previous.value !== 0 ? (change / Math.abs(previous.value)) * 100 : null;
+
+  return {
+    type: "period_change",
+    metric: measure.label,
+    period: last.period,
+    previousPeriod: previous.period,
+    value: round(last.value),
+    previousValue: round(previous.value),
+    change: round(change),
+    changePct: changePct == null ? null : round(changePct, 1),
+    headline:
+      `${measure.label} ${change >= 0 ? "rose" : "fell"} to ${formatNumber(last.value, measure)} in ${last.period}` +
+      ` from ${formatNumber(previous.value, measure)} in ${previous.period}` +
+      (changePct == null ? "" : ` (${formatPct(changePct)})`),
+  };
+}
+
+function topContributors(rows, timeKey, category, measure, change) {
+  if (!change || !isAdditiveColumn(measure)) return null;
+
+  const deltas = new Map();
+  for (const row of rows) {
+    const period = periodKey(row?.[timeKey]);
+    const value = toNumber(row?.[measure.key]);
+    if (value == null) continue;
+
+    const name = String(row?.[category.key] ?? "—");
+    let sign = 0;
+    if (period === change.period) sign = 1;
+    if (period === change.previousPeriod) sign = -1;
+    if (sign !== 0) deltas.set(name, (deltas.get(name) || 0) + sign * value);
+  }
+
+  const items = Array.from(deltas, ([name, delta]) => ({ name, delta }))
+    .filter((d) => d.delta !== 0)
+    .sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta))
+    .slice(0, TOP_N)
+    .map((d) => ({
+      category: d.name,
+      change: round(d.delta),
+      sharePct:
+        change.change !== 0 ? round((d.delta / change.change) * 100, 1) : null,
+    }));
+  if (items.length === 0) return null;
+
+  return {
+    type: "contributors",
+    metric: measure.label,
+    dimension: category.label,
+    period: change.period,
+    previousPeriod: change.previousPeriod,
+    items,
+    headline: `Biggest movers in ${measure.label} by ${category.label}: ${items
+      .map(
+        (i) =>
+          `${i.category} (${i.change >= 0 ? "+" : ""}${formatNumber(i.change, measure)})`
+      )
+      .join(", ")}`,
+  };
+}
+
+function outliers(points, measure, dimensionLabel) {
+  if (points.length < MIN_VALUES_FOR_OUTLIERS) return [];
+
+  const values = points.map((p) => p.value);
+  const mean = values.reduce((a, b) => a + b, 0) / values.length;
+  const std = Math.sqrt(
+    values.reduce((a, b) => a + (b - mean) ** 2, 0) / values.length
+  );
+  if (std === 0) return [];
+
+  return points
+    .map((p) => ({ ...p, zScore: (p.value - mean) / std }))
+    .filter((p) => Math.abs(p.zScore) >= OUTLIER_Z_SCORE)
+    .sort((a, b) => Math.abs(b.zScore) - Math.abs(a.zScore))
+    .slice(0, TOP_N)
+    .map((p) => ({
+      type: "outlier",
+      metric: measure.label,
+      dimension: dimensionLabel,
+      label: p.label,
+      value: round(p.value),
+      mean: round(mean),
+      zScore: round(p.zScore),
+      headline: `${p.label} is unusually ${p.zScore > 0 ? "high" : "low"} on ${measure.label}: ${formatNumber(p.value, measure)} vs an average of ${formatNumber(mean, measure)} (z = ${round(p.zScore, 1)})`,
+    }));
+}
+
+function concentration(points, measure, category) {
+  if (!isAdditiveColumn(measure)) return null;
+  if (points.length < MIN_CATEGORIES_FOR_CONCENTRATION) return null;
+  if (points.some((p) => p.value < 0)) return null;
+
+  const total = points.reduce((a, p) => a + p.value, 0);
+  if (total <= 0) return null;
+
+  const top = points
+    .slice()
+    .sort((a, b) => b.value - a.value)
+    .slice(0, TOP_N);
+  const sharePct = (top.reduce((a, p) => a + p.value, 0) / total) * 100;
+
+  return {
+    type: "concentration",
+    metric: measure.label,
+    dimension: category.label,
+    topN: top.length,
+    sharePct: round(sharePct, 1),
+    items: top.map((p) => p.label),
+    headline: `Top ${top.length} of ${points.length} ${category.label} (${top
+      .map((p) => p.label)
+      .join(", ")}) hold ${round(sharePct, 1)}% of total ${measure.label}`,
+  };
+}
+
+//One point per category (summed when additive, else only when categories are unique).
+function pointsByCategory(rows, category, measure) {
+  const byName = new Map();
+  for (const row of rows) {
+    const value = toNumber(row?.[measure.key]);
+    if (value == null) continue;
+    const name = String(row?.[category.key] ?? "—");
+    byName.set(name, [...(byName.get(name) || []), value]);
+  }
+
+  const additive = isAdditiveColumn(measure);
+  const points = [];
+  for (const [label, values] of byName) {
+    if (values.length > 1 && !additive) return [];
+    points.push({ label, value: values.reduce((a, b) => a + b, 0) });
+  }
+  return points;
+}
+
+/**
+ * Insights for a result set described by `columns` (describeColumns metadata).
+ * Returns [] when the shape is neither a trend nor a breakdown.
+ */
+export function computeInsights({ columns, rows }) {
+  if (!Array.isArray(rows) || rows.length < 2) return [];
+
+  const timeColumn = (columns || []).find((c) =>
+    TIME_COLUMN_TYPES.includes(c.type)
+  );
+  const category = (columns || []).find(
+    (c) => c.type === "string" && c !== timeColumn
+  );
+  const measures = (columns || [])
+    .filter(
+      (c) => NUMERIC_COLUMN_TYPES.includes(c.type) && !isIdentifierColumn(c)
+    )
+    .slice(0, MAX_MEASURES);
+
+  const insights = [];
+
+  for (const measure of measures) {
+    if (timeColumn) {
+      const series = seriesByPeriod(rows, timeColumn.key, measure);
+      const change = periodChange(series, measure);
+      if (change) insights.push(change);
+
+      if (category) {
+        const movers = topContributors(
+          rows,
+          timeColumn.key,
+          category,
+          measure,
+          change
+        );
+        if (movers) insights.push(movers);
+      }
+
+      if (series) {
+        insights.push(
+          ...outliers(
+            series.map((p) => ({ label: p.period, value: p.value })),
+            measure,
+            timeColumn.label
+          )
+        );
+      }
+    } else if (category) {
+      const points = pointsByCategory(rows, category, measure);
+
+      const share = concentration(points, measure, category);
+      if (share) insights.push(share);
+
+      insights.push(...outliers(points, measure, category.label));
+    }
+  }
+
+  return insights;
+}
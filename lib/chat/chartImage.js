@@ -0,0 +1,584 @@
+// lib/chat/chartImage.js
+// Server-side rendering of an answerPayload chart spec (lib/chat/buildChart.js) to SVG / PNG,
+// without a browser, for exports and notifications.
+//
+// The SVG is drawn directly (no Recharts / DOM); PNG rasterizes that SVG with sharp.
+// Legacy "basicareachart" payloads (xKey / yKey) render as single-series line charts.
+
+import sharp from "sharp";
+
+export const CHART_IMAGE_WIDTH = 800;
+export const CHART_IMAGE_HEIGHT = 400;
+
+const COLORS = [
+  "#B71C1C",
+  "#1E40AF",
+  "#047857",
+  "#B45309",
+  "#6D28D9",
+  "#0E7490",
+  "#BE185D",
+  "#4D7C0F",
+];
+const OTHER_COLOR = "#A3A3A3";
+const FONT = "Helvetica, Arial, sans-serif";
+const TITLES = {
+  kpi: "Key figures",
+  line: "Trend",
+  multi_line: "Trend",
+  stacked_area: "Trend",
+  bar: "Breakdown",
+  horizontal_bar: "Breakdown",
+  pie: "Share",
+  donut: "Share",
+  scatter: "Relationship",
+};
+const MAX_LABEL_LENGTH = 16;
+const KPI_IMAGE_HEIGHT = 176;
+
+function escapeXml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function truncate(value, max = MAX_LABEL_LENGTH) {
+  const s = String(value ?? "");
+  return s.length > max ? `${s.slice(0, max - 1)}…` : s;
+}
+
+function toNumber(value) {
+  if (value == null || value === "") return null;
+  const n = typeof value === "number" ? value : Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function round(n) {
+  return Math.round(n * 100) / 100;
+}
+
+//Compact number for ticks and labels (1.2K, 3.4M), with the column's currency / percent marks.
+function formatValue(value, column) {
+  const n = toNumber(value);
+  if (n == null) return "";
+
+  const abs = Math.abs(n);
+  let text;
+  if (abs >= 1e9) text = `${round(abs / 1e9)}B`;
+  else if (abs >= 1e6) text = `${round(abs / 1e6)}M`;
+  else if (abs >= 1e3) text = `${round(abs / 1e3)}K`;
+  else text = abs.toLocaleString("en-US", { maximumFractionDigits: 2 });
+
+  const sign = n < 0 ? "-" : "";
+  if (column?.type === "currency") return `${sign}₱${text}`;
+  if (column?.type === "percent") return `${sign}${text}%`;
+  return `${sign}${text}`;
+}
+
+function seriesColor(series, i) {
+  return series?.other ? OTHER_COLOR : COLORS[i % COLORS.length];
+}
+
+//Evenly spaced "nice" ticks covering [min, max].
+function niceScale(min, max, count = 5) {
+  if (min === max) {
+    max = min === 0 ? 1 : min + Math.abs(min);
+    if (min > 0) min = 0;
+  }
+
+  const rough = (max - min) / count;
+  const magnitude = 10 ** Math.floor(Math.log10(rough));
+  const step =
+    [1, 2, 2.5, 5, 10].map((m) => m * magnitude).find((s) => s >= rough) ||
+    10 * magnitude;
+
+  const lo = Math.floor(min / step) * step;
+  const hi = Math.ceil(max / step) * step;
+  const ticks = [];
+  for (let v = lo; v <= hi + step / 2; v += step) {
+    ticks.push(Number(v.toPrecision(12)));
+  }
+  return { min: lo, max: hi, ticks };
+}
+
+function text(x, y, content, attrs = "") {
+  return `<text x="${round(x)}" y="${round(y)}" ${attrs}>${escapeXml(content)}</text>`;
+}
+
+/**
+ * Chart spec in the current shape ({ type, x, y, series, data, ... }) or null.
+ */
+function normalizeSpec(chart) {
+  if (!chart || typeof chart !== "object") return null;
+
+  if (chart.type === "basicareachart") {
+    if (!Array.isArray(chart.data) || chart.data.length === 0) return null;
+    const y = { key: chart.yKey, label: chart.yKey, ...chart.yColumn };
+    return {
+      type: "line",
+      x: { key: chart.xKey, label: chart.xKey, ...chart.xColumn },
+      y,
+      series: [y],
+      data: chart.data,
+    };
+  }
+
+  if (!TITLES[chart.type]) return null;
+  if (chart.type === "kpi") {
+    return Array.isArray(chart.items) && chart.items.length > 0 ? chart : null;
+  }
+
+  if (!chart.x || !Array.isArray(chart.series) || chart.series.length === 0)
+    return null;
+  if (!Array.isArray(chart.data) || chart.data.length === 0) return null;
+  return { ...chart, y: chart.y || chart.series[0] };
+}
+
+function subtitleFor(spec) {
+  if (spec.type === "kpi") return "";
+  if (spec.type === "scatter") return `${spec.y.label} vs ${spec.x.label}`;
+  if (spec.seriesColumn) {
+    return `${spec.y.label} by ${spec.seriesColumn.label} over ${spec.x.label}`;
+  }
+  if (spec.series.length > 1) {
+    return `${spec.series.map((s) => s.label).join(", ")} by ${spec.x.label}`;
+  }
+  return `${spec.y.label} by ${spec.x.label}`;
+}
+
+function legend(items, { left, y, width }) {
+  const parts = [];
+  let x = left;
+  let row = y;
+  for (const item of items) {
+    const label = truncate(item.label, 24);
+    const w = 18 + label.length * 6.5 + 14;
+    if (x + w > left + width && x > left) {
+      x = left;
+      row += 16;
+    }
+    parts.push(
+      `<rect x="${round(x)}" y="${row - 8}" width="10" height="10" fill="${item.color}"/>`,
+      text(x + 14, row + 1, label, 'font-size="11" fill="#404040"')
+    );
+    x += w;
+  }
+  return parts.join("");
+}
+
+//Horizontal grid lines and value ticks on the left axis.
+function valueAxis(scale, project, plot, column) {
+  return scale.ticks
+    .map((t) => {
+      const y = project(t);
+      return (
+        `<line x1="${plot.left}" x2="${plot.left + plot.width}" y1="${round(y)}" y2="${round(y)}" stroke="#E5E5E5"/>` +
+        text(
+          plot.left - 6,
+          y + 3,
+          formatValue(t, column),
+          'font-size="10" fill="#737373" text-anchor="end"'
+        )
+      );
+    })
+    .join("");
+}
+
+//Category / period labels under the plot, thinned to avoid overlap.
+function categoryAxis(labels, positionOf, plot, column) {
+  const every = Math.max(1, Math.ceil((labels.length * 70) / plot.width));
+  return labels
+    .map((label, i) =>
+      i % every === 0
+        ? text(
+            positionOf(i),
+            plot.top + plot.height + 16,
+            truncate(labelFor(label, column), 12),
+            'font-size="10" fill="#737373" text-anchor="middle"'
+          )
+        : ""
+    )
+    .join("");
+}
+
+function labelFor(value, column) {
+  if (
+    column &&
+    ["number", "integer", "currency", "percent"].includes(column.type)
+  )
+    return formatValue(value, column);
+  return String(value ?? "");
+}
+
+function valueRange(values, includeZero) {
+  const nums = values.filter((v) => v != null);
+  let min = nums.length ? Math.min(...nums) : 0;
+  let max = nums.length ? Math.max(...nums) : 1;
+  if (includeZero) {
+    min = Math.min(0, min);
+    max = Math.max(0, max);
+  }
+  return niceScale(min, max);
+}
+
+function renderBars(spec, plot) {
+  const { data, series, x } = spec;
+  const scale = valueRange(
+    data.flatMap((d) => series.map((s) => toNumber(d[s.key]))),
+    true
+  );
+  const horizontal = spec.type === "horizontal_bar";
+  const length = horizontal ? plot.width : plot.height;
+  const band = (horizontal ? plot.height : plot.width) / data.length;
+  const barSize = Math.max(1, (band * 0.8) / series.length);
+  const project = (v) => ((v - scale.min) / (scale.max - scale.min)) * length;
+
+  const parts = [];
+  if (horizontal) {
+    scale.ticks.forEach((t) => {
+      const px = plot.left + project(t);
+      parts.push(
+        `<line x1="${round(px)}" x2="${round(px)}" y1="${plot.top}" y2="${plot.top + plot.height}" stroke="#E5E5E5"/>`,
+        text(
+          px,
+          plot.top + plot.height + 14,
+          formatValue(t, spec.y),
+          'font-size="10" fill="#737373" text-anchor="middle"'
+        )
+      );
+    });
+  } else {
+    parts.push(
+      valueAxis(scale, (v) => plot.top + plot.height - project(v), plot, spec.y)
+    );
+  }
+
+  const zero = project(0);
+  data.forEach((d, i) => {
+    const bandStart = i * band + band * 0.1;
+    series.forEach((s, j) => {
+      const v = toNumber(d[s.key]);
+      if (v == null) return;
+      const from = Math.min(zero, project(v));
+      const size = Math.abs(project(v) - zero);
+      const offset = bandStart + j * barSize;
+      parts.push(
+        horizontal
+          ? `<rect x="${round(plot.left + from)}" y="${round(plot.top + offset)}" width="${round(size)}" height="${round(barSize)}" fill="${seriesColor(s, j)}"/>`
+          : `<rect x="${round(plot.left + offset)}" y="${round(plot.top + plot.height - from - size)}" width="${round(barSize)}" height="${round(size)}" fill="${seriesColor(s, j)}"/>`
+      );
+    });
+
+    if (horizontal) {
+      parts.push(
+        text(
+          plot.left - 6,
+          plot.top + i * band + band / 2 + 3,
+          truncate(labelFor(d[x.key], x)),
+          'font-size="10" fill="#737373" text-anchor="end"'
+        )
+      );
+    }
+  });
+
+  if (!horizontal) {
+    parts.push(
+      categoryAxis(
+        data.map((d) => d[x.key]),
+        (i) => plot.left + i * band + band / 2,
+        plot,
+        x
+      )
+    );
+  }
+  return parts.join("");
+}
+
+function renderLines(spec, plot) {
+  const { data, series, x } = spec;
+  const stacked = spec.type === "stacked_area";
+
+  // Cumulative tops per point when stacked
+  const tops = data.map(() => 0);
+  const layers = series.map((s) =>
+    data.map((d, i) => {
+      const v = toNumber(d[s.key]);
+      if (!stacked) return v == null ? null : [0, v];
+      const base = tops[i];
+      tops[i] = base + (v ?? 0);
+      return [base, tops[i]];
+    })
+  );
+
+  const scale = valueRange(
+    layers.flat().map((p) => (p ? p[1] : null)),
+    stacked
+  );
+  const step = data.length > 1 ? plot.width / (data.length - 1) : 0;
+  const px = (i) => plot.left + (data.length > 1 ? i * step : plot.width / 2);
+  const py = (v) =>
+    plot.top +
+    plot.height -
+    ((v - scale.min) / (scale.max - scale.min)) * plot.height;
+
+  const parts = [valueAxis(scale, py, plot, spec.y)];
+
+  layers.forEach((points, j) => {
+    const color = seriesColor(series[j], j);
+    if (stacked) {
+      const upper = points.map((p, i) => `${round(px(i))},${round(py(p[1]))}`);
+      const lower = points
+        .map((p, i) => `${round(px(i))},${round(py(p[0]))}`)
+        .reverse();
+      parts.push(
+        `<polygon points="${[...upper, ...lower].join(" ")}" fill="${color}" fill-opacity="0.35" stroke="${color}" stroke-width="1.5"/>`
+      );
+      return;
+    }
+
+    // Skip gaps: one polyline per run of non-null points
+    let run = [];
+    const flush = () => {
+      if (run.length > 1) {
+        parts.push(
+          `<polyline points="${run.join(" ")}" fill="none" stroke="${color}" stroke-width="2"/>`
+        );
+      } else if (run.length === 1) {
+        const [cx, cy] = run[0].split(",");
+        parts.push(`<circle cx="${cx}" cy="${cy}" r="2.5" fill="${color}"/>`);
+      }
+      run = [];
+    };
+    points.forEach((p, i) => {
+      if (p == null) return flush();
+      run.push(`${round(px(i))},${round(py(p[1]))}`);
+    });
+    flush();
+  });
+
+  parts.push(
+    categoryAxis(
+      data.map((d) => d[x.key]),
+      px,
+      plot,
+      x
+    )
+  );
+  return parts.join("");
+}
+
+function renderScatter(spec, plot) {
+  const { data, x, y } = spec;
+  const xs = valueRange(
+    data.map((d) => toNumber(d[x.key])),
+    false
+  );
+  const ys = valueRange(
+    data.map((d) => toNumber(d[y.key])),
+    false
+  );
+  const px = (v) => plot.left + ((v - xs.min) / (xs.max - xs.min)) * plot.width;
+  const py = (v) =>
+    plot.top + plot.height - ((v - ys.min) / (ys.max - ys.min)) * plot.height;
+
+  const parts = [valueAxis(ys, py, plot, y)];
+  xs.ticks.forEach((t) => {
+    parts.push(
+      text(
+        px(t),
+        plot.top + plot.height + 16,
+        formatValue(t, x),
+        'font-size="10" fill="#737373" text-anchor="middle"'
+      )
+    );
+  });
+  data.forEach((d) => {
+    const vx = toNumber(d[x.key]);
+    const vy = toNumber(d[y.key]);
+    if (vx == null || vy == null) return;
+    parts.push(
+      `<circle cx="${round(px(vx))}" cy="${round(py(vy))}" r="4" fill="${COLORS[0]}" fill-opacity="0.7"/>`
+    );
+  });
+  parts.push(
+    text(
+      plot.left + plot.width / 2,
+      plot.top + plot.height + 32,
+      x.label,
+      'font-size="11" fill="#404040" text-anchor="middle"'
+    )
+  );
+  return parts.join("");
+}
+
+function renderPie(spec, plot) {
+  const { data, x } = spec;
+  const measure = spec.series[0];
+  const values = data.map((d) => Math.max(0, toNumber(d[measure.key]) ?? 0));
+  const total = values.reduce((a, b) => a + b, 0);
+  if (total <= 0) return "";
+
+  const r = Math.min(plot.width / 2, plot.height) / 2;
+  const cx = plot.left + r + 20;
+  const cy = plot.top + plot.height / 2;
+  const inner = spec.type === "donut" ? r * 0.55 : 0;
+  const point = (radius, angle) => [
+    round(cx + radius * Math.sin(angle)),
+    round(cy - radius * Math.cos(angle)),
+  ];
+
+  const parts = [];
+  let angle = 0;
+  values.forEach((v, i) => {
+    if (v === 0) return;
+    const sweep = (v / total) * Math.PI * 2;
+    const color = COLORS[i % COLORS.length];
+
+    // A full circle cannot be drawn as one arc
+    if (sweep >= Math.PI * 2 - 1e-9) {
+      parts.push(
+        `<circle cx="${cx}" cy="${cy}" r="${round(r)}" fill="${color}"/>`
+      );
+    } else {
+      const large = sweep > Math.PI ? 1 : 0;
+      const [x1, y1] = point(r, angle);
+      const [x2, y2] = point(r, angle + sweep);
+      parts.push(
+        `<path d="M${cx},${cy} L${x1},${y1} A${round(r)},${round(r)} 0 ${large} 1 ${x2},${y2} Z" fill="${color}" stroke="#FFFFFF" stroke-width="1"/>`
+      );
+    }
+    angle += sweep;
+  });
+  if (inner > 0) {
+    parts.push(
+      `<circle cx="${cx}" cy="${cy}" r="${round(inner)}" fill="#FFFFFF"/>`
+    );
+  }
+
+  // Legend with shares, right of the pie
+  const legendX = cx + r + 40;
+  data.forEach((d, i) => {
+    const y = plot.top + 12 + i * 18;
+    const share = Math.round((values[i] / total) * 1000) / 10;
+    parts.push(
+      `<rect x="${legendX}" y="${y - 9}" width="10" height="10" fill="${COLORS[i % COLORS.length]}"/>`,
+      text(
+        legendX + 16,
+        y,
+        `${truncate(labelFor(d[x.key], x), 28)}: ${formatValue(values[i], measure)} (${share}%)`,
+        'font-size="11" fill="#404040"'
+      )
+    );
+  });
+  return parts.join("");
+}
+
+function renderKpi(spec, width, top) {
+  const items = spec.items.slice(0, 4);
+  const gap = 16;
+  const tileWidth = (width - 32 - gap * (items.length - 1)) / items.length;
+  return items
+    .map((item, i) => {
+      const x = 16 + i * (tileWidth + gap);
+      return (
+        `<rect x="${round(x)}" y="${top}" width="${round(tileWidth)}" height="96" rx="6" fill="#FFFFFF" stroke="#E5E5E5"/>` +
+        text(
+          x + 14,
+          top + 28,
+          truncate(item.label, 28),
+          'font-size="12" fill="#737373"'
+        ) +
+        text(
+          x + 14,
+          top + 70,
+          formatValue(item.value, item),
+          'font-size="28" font-weight="600" fill="#171717"'
+        )
+      );
+    })
+    .join("");
+}
+
+/**
+ * SVG document for a chart spec, or null when the spec has nothing to draw.
+ * `title` defaults to the chart kind ("Trend", "Breakdown", ...).
+ */
+export function renderChartSvg(
+  chart,
+  { width = CHART_IMAGE_WIDTH, height = CHART_IMAGE_HEIGHT, title } = {}
+) {
+  const spec = normalizeSpec(chart);
+  if (!spec) return null;
+
+  // KPI tiles need only one row
+  if (spec.type === "kpi") height = Math.min(height, KPI_IMAGE_HEIGHT);
+
+  const heading = title || TITLES[spec.type];
+  const subtitle = subtitleFor(spec);
+  const header =
+    text(
+      16,
+      24,
+      truncate(heading, 90),
+      'font-size="14" font-weight="600" fill="#262626"'
+    ) +
+    (subtitle
+      ? text(16, 42, truncate(subtitle, 110), 'font-size="11" fill="#737373"')
+      : "");
+
+  let body;
+  if (spec.type === "kpi") {
+    body = renderKpi(spec, width, 64);
+  } else {
+    const hasLegend =
+      spec.series.length > 1 &&
+      !["pie", "donut", "scatter"].includes(spec.type);
+    const legendHeight = hasLegend
+      ? 16 * Math.ceil(spec.series.length / 5) + 8
+      : 0;
+    const left = spec.type === "horizontal_bar" ? 120 : 64;
+    const plot = {
+      left,
+      top: 60,
+      width: width - left - 24,
+      height: height - 60 - 40 - legendHeight,
+    };
+
+    if (spec.type === "pie" || spec.type === "donut") {
+      body = renderPie(spec, plot);
+    } else if (spec.type === "scatter") {
+      body = renderScatter(spec, plot);
+    } else if (spec.type === "bar" || spec.type === "horizontal_bar") {
+      body = renderBars(spec, plot);
+    } else {
+      body = renderLines(spec, plot);
+    }
+
+    if (hasLegend) {
+      body += legend(
+        spec.series.map((s, i) => ({
+          label: s.label,
+          color: seriesColor(s, i),
+        })),
+        { left: plot.left, y: height - legendHeight + 8, width: plot.width }
+      );
+    }
+  }
+
+  return [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">`,
+    `<rect width="${width}" height="${height}" fill="#FFFFFF"/>`,
+    header,
+    body,
+    "</svg>",
+  ].join("");
+}
+
+//PNG buffer for a chart spec (rasterized SVG), or null when there is nothing to draw.
+export async function renderChartPng(chart, options = {}) {
+  const svg = renderChartSvg(chart, options);
+  if (!svg) return null;
+  return sharp(Buffer.from(svg), { density: 144 }).png().toBuffer();
+}
@@ -1,4 +1,9 @@
 import { coreQuery } from "@/lib/db/coreDb";
+import {
+  activeMessageId,
+  findQuestionMessage,
+  setActiveBranch,
+} from "@/lib/chat/branches";
 
 function deriveConversationTitle(question) {
   const trimmed = String(question || "").trim();
@@ -32,13 +37,60 @@ export async function ensureConversationAndPersistUserMessage({
     }
   }
 
+  // The question continues the active branch
+  const parentMessageId = conversationId
+    ? await activeMessageId({ convId, tenantId: user.tenantId })
+    : null;
+
   const userMsgResult = await coreQuery(
-    "INSERT INTO messages (conversation_id, tenant_id, role, content) VALUES (?, ?, ?, ?)",
-    [convId, user.tenantId, "user", question.trim()]
+    "INSERT INTO messages (conversation_id, tenant_id, parent_message_id, role, content) VALUES (?, ?, ?, ?, ?)",
+    [convId, user.tenantId, parentMessageId, "user", question.trim()]
   );
+  await setActiveBranch({
+    convId,
+    tenantId: user.tenantId,
+    messageId: userMsgResult.insertId,
+  });
 
   return {
     convId,
     userMessageId: userMsgResult.insertId,
   };
 }
+
+//Regenerate: the question answered by assistant message `messageId` (in one of the user's own
+//conversations). The new answer is stored under the same question, as a sibling version.
+export async function resolveRegeneratedQuestion({
+  messageId,
+  user,
+  streamError,
+}) {
+  const rows = await coreQuery(
+    `SELECT m.id, m.conversation_id
+     FROM messages m
+     JOIN conversations c ON c.id = m.conversation_id
+     WHERE m.id = ? AND m.tenant_id = ? AND m.role = 'assistant' AND c.user_id = ?`,
+    [messageId, user.tenantId, user.userId]
+  );
+  if (rows.length === 0) {
+    streamError(404, "MESSAGE_NOT_FOUND", "Message not found");
+    return null;
+  }
+
+  const convId = rows[0].conversation_id;
+  const questionMessage = await findQuestionMessage({
+    convId,
+    tenantId: user.tenantId,
+    answerId: rows[0].id,
+  });
+  if (!questionMessage) {
+    streamError(404, "MESSAGE_NOT_FOUND", "No question found for this answer");
+    return null;
+  }
+
+  return {
+    convId,
+    userMessageId: questionMessage.id,
+    question: questionMessage.content,
+  };
+}
@@ -2,6 +2,65 @@
 import { ChatPromptTemplate } from "@langchain/core/prompts";
 import { runTenantScopedQuery } from "@/lib/db/runTenantScopedQuery";
 import { coreQuery } from "@/lib/db/coreDb";
+import { addUsage } from "@/lib/chat/usageLogger";
+import { getDataDbDriver, getDriverForType } from "@/lib/db/drivers";
+import {
+  assertGovernedMetrics,
+  formatMetricDefinitions,
+} from "@/lib/db/metricsRegistry";
+
+function emptyUsage() {
+  return { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
+}
+
+//Shared system rules for SQL generation and SQL repair prompts.
+function sqlSystemLines(dbType, maxRows, metrics) {
+  const driver = getDriverForType(dbType);
+  const metricLines =
+    metrics && metrics.length > 0
+      ? [
+          "",
+          "Governed metric definitions (ALWAYS compute these metrics with exactly this SQL expression,",
+          "never e.g. as an average of per-row ratios; respect grain, allowed dimensions and default time window):",
+          "{metrics}",
+        ]
+      : [];
+  return [
+    `You are an SQL assistant for a ${driver.label} database that stores retail data`,
+    "You can ONLY generate a single SQL SELECT query.",
+    "Never modify data (no INSERT, UPDATE, DELETE, DROP, CREATE, ALTER).",
+    `Always use LIMIT ${maxRows} unless the user explicitly asks for a different limit.`,
+    "If they ask for 'top N', use ORDER BY on a relevant column and LIMIT N.",
+    ...driver.promptRules,
+    "",
+    "You have the following database schema:",
+    "{schema}",
+    ...metricLines,
+    "",
+    "You also have additional context that may include:",
+    "- User long-term preferences and environment.",
+    "- A running summary of this conversation.",
+    "- Knowledge base snippets from documentation or schema notes.",
+    "",
+    "{context}",
+    "",
+    "Use this context when it's relevant to interpret ambiguous column names, business terms, KPIs, or user intent,",
+    "but do NOT invent tables or columns that are not present in the actual schema.",
+    "",
+    "Return ONLY the SQL query, nothing else.",
+  ];
+}
+
+//Strip markdown fences the model sometimes wraps around SQL.
+function cleanSqlOutput(content) {
+  const raw = String(content || "").trim();
+  return (
+    raw
+      .replace(/```sql/gi, "")
+      .replace(/```/g, "")
+      .trim() || raw
+  );
+}
 
 /* Convert a natural-language question into a SQL SELECT query. */
 export async function convertToSQL({
@@ -11,86 +70,126 @@ export async function convertToSQL({
   context,
   maxRows,
   dbType,
+  metrics = [],
+  signal,
 }) {
   const sqlPrompt = ChatPromptTemplate.fromMessages([
+    ["system", sqlSystemLines(dbType, maxRows, metrics).join("\n")],
+    [
+      "human",
+      `User question:\n{question}\n\nRemember: return only valid ${getDriverForType(dbType).label} SQL.`,
+    ],
+  ]);
+
+  const messages = await sqlPrompt.formatMessages({
+    schema: schemaText,
+    metrics: formatMetricDefinitions(metrics),
+    context: context || "",
+    question,
+  });
+
+  const sqlMsg = await llm.invoke(messages, { signal });
+  const sql = cleanSqlOutput(sqlMsg.content);
+  const usage = sqlMsg.usage_metadata || emptyUsage();
+
+  return { sql, usage };
+}
+
+/* Ask the model to rewrite a SQL query that failed to execute, given the database error. */
+export async function repairSQL({
+  llm,
+  question,
+  schemaText,
+  context,
+  maxRows,
+  dbType,
+  failedSql,
+  errorMessage,
+  metrics = [],
+  signal,
+}) {
+  const repairPrompt = ChatPromptTemplate.fromMessages([
+    ["system", sqlSystemLines(dbType, maxRows, metrics).join("\n")],
     [
-      "system",
+      "human",
       [
-        `You are an SQL assistant for a ${dbType} database that stores retail data`,
-        "You can ONLY generate a single SQL SELECT query.",
-        "Never modify data (no INSERT, UPDATE, DELETE, DROP, CREATE, ALTER).",
-        `Always use LIMIT ${maxRows} unless the user explicitly asks for a different limit.`,
-        "If they ask for 'top N', use ORDER BY on a relevant column and LIMIT N.",
+        "User question:",
+        "{question}",
         "",
-        "You have the following database schema:",
-        "{schema}",
+        "The following SQL query was generated for this question but failed:",
+        "{failedSql}",
         "",
-        "You also have additional context that may include:",
-        "- User long-term preferences and environment.",
-        "- A running summary of this conversation.",
-        "- Knowledge base snippets from documentation or schema notes.",
+        "Database error:",
+        "{errorMessage}",
         "",
-        "{context}",
-        "",
-        "Use this context when it's relevant to interpret ambiguous column names, business terms, KPIs, or user intent,",
-        "but do NOT invent tables or columns that are not present in the actual schema.",
-        "",
-        "Return ONLY the SQL query, nothing else.",
+        "Fix the query so that it runs successfully and still answers the question.",
+        "Only use tables and columns from the schema.",
+        `Remember: return only valid ${getDriverForType(dbType).label} SQL.`,
       ].join("\n"),
     ],
-    [
-      "human",
-      "User question:\n{question}\n\nRemember: return only valid MySQL SQL.",
-    ],
   ]);
 
-  const messages = await sqlPrompt.formatMessages({
+  const messages = await repairPrompt.formatMessages({
     schema: schemaText,
+    metrics: formatMetricDefinitions(metrics),
     context: context || "",
     question,
+    failedSql: failedSql || "",
+    errorMessage: errorMessage || "Unknown error",
   });
 
-  const sqlMsg = await llm.invoke(messages);
-  const raw = String(sqlMsg.content || "").trim();
-
-  const sql =
-    raw
-      .replace(/```sql/gi, "")
-      .replace(/```/g, "")
-      .trim() || raw;
-
-  const usage = sqlMsg.usage_metadata || {
-    input_tokens: 0,
-    output_tokens: 0,
-    total_tokens: 0,
-  };
+  const sqlMsg = await llm.invoke(messages, { signal });
+  const sql = cleanSqlOutput(sqlMsg.content);
+  const usage = sqlMsg.usage_metadata || emptyUsage();
 
   return { sql, usage };
 }
 
-/* Execute a SQL query against the tenant's data database. */
-export async function executeDataSQL({ tenant, sql }) {
+/* Execute a SQL query against the tenant's data database.
+   Governed `metrics` must appear with their registered expression (lib/db/metricsRegistry.js). */
+export async function executeDataSQL({
+  tenant,
+  sql,
+  user,
+  metrics = [],
+  signal,
+}) {
   let rows = [];
   let fields = [];
   let executionError = null;
+  let estimatedRows = null;
+  let cache = null;
 
   const startedAt = Date.now();
 
   try {
-    const result = await runTenantScopedQuery(tenant, sql);
+    assertGovernedMetrics(sql, metrics, getDataDbDriver(tenant).sqlDialect);
+    const result = await runTenantScopedQuery(tenant, sql, { user, signal });
     rows = result.rows;
     fields = result.fields || [];
     sql = result.sql; // scoped / rewritten SQL takes precedence
+    estimatedRows = result.estimatedRows ?? null;
+    cache = result.cache || null;
   } catch (err) {
     executionError = err;
+    estimatedRows = err?.details?.estimatedRows ?? null;
   }
 
   const durationMs = Date.now() - startedAt;
   const rowCount = Array.isArray(rows) ? rows.length : 0;
-  const status = executionError ? "error" : "success";
+  // Policy rejections (disallowed tables, unsafe SQL) are logged apart from database errors,
+  // and queries killed because the client went away as cancelled.
+  const status = !executionError
+    ? "success"
+    : signal?.aborted
+      ? "cancelled"
+      : executionError.isPolicyViolation
+        ? "rejected"
+        : "error";
   const errorMessage = executionError
     ? String(executionError.message || executionError)
     : null;
+  const errorCode = executionError?.code ? String(executionError.code) : null;
 
   return {
     sql,
@@ -101,33 +200,155 @@ export async function executeDataSQL({ tenant, sql }) {
     status,
     executionError,
     errorMessage,
+    errorCode,
+    estimatedRows,
+    cache,
+  };
+}
+
+//Only SQL problems are worth sending back to the model; connection/auth failures are not.
+function isRepairableError(tenant, errorCode) {
+  if (!errorCode) return true;
+  return (
+    errorCode.startsWith("SQL_") ||
+    getDataDbDriver(tenant).isRepairableError(errorCode)
+  );
+}
+
+/* Execute generated SQL; on failure, feed the error back to the model and retry (bounded).
+   Every attempt is persisted to sql_queries with its attempt number. */
+export async function executeWithRepair({
+  llm,
+  tenant,
+  user,
+  question,
+  schemaText,
+  context,
+  maxRows,
+  dbType,
+  sql,
+  maxRepairs,
+  emitStatus,
+  tenantId,
+  conversationId,
+  messageId,
+  metrics = [],
+  signal,
+}) {
+  const attempts = [];
+  let usage = emptyUsage();
+  let currentSql = sql;
+  let execution = null;
+  let sqlQueryId = null;
+
+  for (let attempt = 1; attempt <= maxRepairs + 1; attempt += 1) {
+    execution = await executeDataSQL({
+      tenant,
+      sql: currentSql,
+      user,
+      metrics,
+      signal,
+    });
+
+    sqlQueryId = await logFinalSQL({
+      tenantId,
+      conversationId,
+      messageId,
+      sourceSql: currentSql,
+      finalSql: execution.sql,
+      status: execution.status,
+      rowCount: execution.rowCount,
+      errorMessage: execution.errorMessage,
+      durationMs: execution.durationMs,
+      estimatedRows: execution.estimatedRows,
+      cacheHit: !!execution.cache?.hit,
+      attempt,
+    });
+
+    attempts.push({
+      attempt,
+      sql: currentSql,
+      status: execution.status,
+      errorCode: execution.errorCode,
+      errorMessage: execution.errorMessage,
+      durationMs: execution.durationMs,
+      estimatedRows: execution.estimatedRows,
+      cacheHit: !!execution.cache?.hit,
+      sqlQueryId,
+    });
+
+    if (execution.status === "success") break;
+    if (execution.status === "cancelled") break;
+    if (attempt > maxRepairs) break;
+    if (!isRepairableError(tenant, execution.errorCode)) break;
+
+    emitStatus("Fixing query…", 65 + attempt * 3);
+
+    try {
+      const repaired = await repairSQL({
+        llm,
+        question,
+        schemaText,
+        context,
+        maxRows,
+        dbType,
+        failedSql: currentSql,
+        errorMessage: execution.errorMessage,
+        metrics,
+        signal,
+      });
+      usage = addUsage(usage, repaired.usage);
+      if (!repaired.sql) break;
+      currentSql = repaired.sql;
+    } catch (err) {
+      if (signal?.aborted) break;
+      console.error("SQL repair failed:", err);
+      break;
+    }
+  }
+
+  return {
+    sql: currentSql,
+    execution,
+    sqlQueryId,
+    attempts,
+    usage,
   };
 }
 
-// Persist final executed SQL metadata.
+// Persist final executed SQL metadata. `sourceSql` is the SQL before validation and scoping,
+// which exports and result pages scope again for the requesting user.
 export async function logFinalSQL({
   tenantId,
   conversationId,
   messageId,
+  sourceSql = null,
   finalSql,
   status,
   rowCount,
   errorMessage,
   durationMs,
+  estimatedRows = null,
+  cacheHit = false,
+  attempt = 1,
 }) {
   const result = await coreQuery(
     `INSERT INTO sql_queries
-     (tenant_id, conversation_id, message_id, sql_text, status, rows_returned, error_message, duration_ms)
-     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+     (tenant_id, conversation_id, message_id, source_sql, sql_text, status, rows_returned, error_message, duration_ms, estimated_rows, cache_hit, attempt_number)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
     [
       tenantId,
       conversationId,
       messageId,
+      sourceSql,
       finalSql,
       status,
       rowCount,
       errorMessage,
       durationMs,
+      estimatedRows,
+      cacheHit ? 1 : 0,
+      attempt,
     ]
   );
 
@@ -0,0 +1,227 @@
+// lib/chat/finishDataAnswer.js
+// Everything a data answer does after its SQL ran, shared by /api/chat/ask and /api/chat/rerun-sql:
+// PII masking, column metadata, insights, answer text (streamed as `answer_delta`), table, chart,
+// answerPayload, the assistant message, the conversation summary and telemetry.
+// The caller sends the final SSE event, so it can still act on the new message first.
+
+import { getDataDbDriver } from "@/lib/db/drivers";
+import {
+  applyColumnMasking,
+  loadMaskingPolicies,
+} from "@/lib/db/columnMasking";
+import {
+  describeColumns,
+  loadColumnDictionary,
+} from "@/lib/db/columnDictionary";
+import {
+  buildAnswerPayload,
+  buildRagMeta,
+  buildTable,
+  getAnswerText,
+  logAnswerTelemetry,
+  persistAssistantMessage,
+  updateMessageSummary,
+} from "@/lib/chat/buildAnswer";
+import { buildChart } from "@/lib/chat/buildChart";
+import { computeInsights } from "@/lib/chat/buildInsights";
+import { addUsage, applySummaryUsageUpdate } from "@/lib/chat/usageLogger";
+import {
+  CSV_EXPORT_ROW_THRESHOLD,
+  MAX_TABLE_ROWS_IN_RESPONSE,
+  MODEL_NAME,
+  llm,
+} from "@/lib/settings";
+
+/**
+ * Turn an execution (executeDataSQL result) into the persisted assistant answer to
+ * `parentMessageId`. `usage` is the turn's token usage so far; `onUsage` receives the running
+ * total after every model call, so a cancelled turn can still be recorded with it.
+ * `rag` is { requested, retrievedDocs, ragError }.
+ * Returns { messageId, messages, answerPayload }.
+ */
+export async function finishDataAnswer({
+  tenant,
+  user,
+  question,
+  convId,
+  parentMessageId,
+  conversationSummaryForPrompt,
+  execution,
+  sql,
+  sqlQueryId,
+  attempts,
+  usage,
+  onUsage,
+  rag = { requested: false, retrievedDocs: [], ragError: null },
+  reuse = null,
+  userEditedSql = false,
+  emit,
+  emitStatus,
+  signal,
+}) {
+  let totalUsage = usage;
+  const addTurnUsage = (next) => {
+    totalUsage = addUsage(totalUsage, next);
+    onUsage?.(totalUsage);
+  };
+  const { fields, durationMs } = execution;
+
+  //Mask PII columns once, before rows reach the LLM, table, CSV export or chart
+  const maskingPolicies = await loadMaskingPolicies(user.tenantId);
+  const { rows, masking } = applyColumnMasking({
+    fields,
+    rows: execution.rows,
+    policies: maskingPolicies,
+    user,
+    tenantId: user.tenantId,
+    sql: execution.sql,
+    dialect: getDataDbDriver(tenant).sqlDialect,
+  });
+
+  //Labels, types, units and formats from the tenant's column dictionary
+  const columns = describeColumns({
+    fields,
+    rows,
+    dictionary: await loadColumnDictionary(user.tenantId),
+  });
+
+  //Period-over-period change, top contributors, outliers and concentration over all rows
+  const insights = computeInsights({ columns, rows });
+
+  //Structured SQL error (policy rejection or database error) for the UI
+  const sqlError =
+    execution.status !== "success"
+      ? { code: execution.errorCode, message: execution.errorMessage }
+      : null;
+
+  emitStatus("Summarizing results…", 80);
+
+  //Get concise answer text from results, streaming tokens as `answer_delta` events
+  //(the final answerPayload below stays the authoritative, persisted text)
+  const { answerText, usage: answerUsage } = await getAnswerText({
+    llm,
+    question,
+    sql,
+    fields,
+    rows,
+    insights,
+    onDelta: (delta) => emit("answer_delta", { delta }),
+    signal,
+  });
+  addTurnUsage(answerUsage);
+  signal.throwIfAborted();
+
+  //Build table + optional CSV download reference (streamed later by sqlQueryId)
+  const { table, downloads } = buildTable({
+    columns,
+    rows,
+    convId,
+    maxRows: MAX_TABLE_ROWS_IN_RESPONSE,
+    csvThreshold: CSV_EXPORT_ROW_THRESHOLD,
+    sqlQueryId,
+  });
+
+  //Build Optional chart payload
+  const { chart, usage: chartUsage } = await buildChart({
+    question,
+    columns,
+    rows,
+    llm,
+    signal,
+  });
+  addTurnUsage(chartUsage);
+  signal.throwIfAborted();
+
+  const ragMeta = buildRagMeta(rag);
+
+  //Build answerPayload (UI contract)
+  let answerPayload = buildAnswerPayload({
+    answerText,
+    sql,
+    sqlQueryId,
+    usage: totalUsage,
+    modelName: MODEL_NAME,
+    table,
+    downloads,
+    chart,
+    insights,
+    rag: ragMeta,
+    attempts,
+    error: sqlError,
+    masking,
+    cache: execution.cache,
+    reuse,
+    userEditedSql,
+  });
+
+  emitStatus("Finalizing response…", 92);
+
+  // Persist assistant message & TokenUsage
+  const { messageId, tokenUsageId } = await persistAssistantMessage({
+    tenantId: user.tenantId,
+    userId: user.userId,
+    conversationId: convId,
+    parentMessageId,
+    answerText,
+    answerPayload,
+    modelName: MODEL_NAME,
+    usage: totalUsage,
+  });
+  console.log("Persisted assistant message with ID:", messageId);
+
+  //Update conversation summary if needed
+  const { messages, usage: summaryUsage } = await updateMessageSummary({
+    convId,
+    conversationSummaryForPrompt,
+    user,
+    llm,
+  });
+  addTurnUsage(summaryUsage);
+
+  //Apply summary usage update to answerPayload if applicable
+  const summaryUpdate = await applySummaryUsageUpdate({
+    summaryUsage,
+    totalUsage,
+    answerText,
+    sql,
+    sqlQueryId,
+    modelName: MODEL_NAME,
+    table,
+    downloads,
+    chart,
+    insights,
+    ragMeta,
+    attempts,
+    error: sqlError,
+    masking,
+    cache: execution.cache,
+    reuse,
+    userEditedSql,
+    messageId,
+    tenantId: user.tenantId,
+    tokenUsageId,
+    messages,
+  });
+  if (summaryUpdate.answerPayload) {
+    answerPayload = summaryUpdate.answerPayload;
+  }
+
+  //Log telemetry (query_logs + query_sources)
+  await logAnswerTelemetry({
+    tenantId: user.tenantId,
+    userId: user.userId,
+    conversationId: convId,
+    messageId,
+    question,
+    answerText,
+    sql,
+    sqlStatus: execution.status,
+    usage: totalUsage,
+    durationMs,
+    modelName: MODEL_NAME,
+    useRagBool: rag.requested,
+    retrievedDocs: rag.retrievedDocs,
+  });
+
+  return { messageId, messages, answerPayload };
+}
@@ -1,6 +1,7 @@
 import { coreQuery } from "../db/coreDb";
 import { ChatPromptTemplate } from "@langchain/core/prompts";
 import { contentToString } from "./contentToString";
+import { loadBranchMessages, setActiveBranch } from "./branches";
 
 function emptyUsage() {
   return { input_tokens: 0, output_tokens: 0, total_tokens: 0 };
@@ -98,6 +99,7 @@ export async function handleNonData({
   question,
   user,
   convId,
+  userMessageId = null,
   emitStatus,
   closeWith,
   llm,
@@ -153,11 +155,12 @@ export async function handleNonData({
   // Store assistant message
   const assistantMsgResult = await coreQuery(
     `INSERT INTO messages
-       (tenant_id, conversation_id, role, content, answer_payload)
-       VALUES (?, ?, ?, ?, ?)`,
+       (tenant_id, conversation_id, parent_message_id, role, content, answer_payload)
+       VALUES (?, ?, ?, ?, ?, ?)`,
     [
       user.tenantId,
       convId,
+      userMessageId,
       "assistant",
       acknowledgment,
       JSON.stringify(answerPayload),
@@ -165,6 +168,11 @@ export async function handleNonData({
   );
 
   const assistantMessageId = assistantMsgResult.insertId;
+  await setActiveBranch({
+    convId,
+    tenantId: user.tenantId,
+    messageId: assistantMessageId,
+  });
 
   // Token usage: log aggregated usage for this non-data turn
   await coreQuery(
@@ -183,10 +191,10 @@ export async function handleNonData({
     ]
   );
 
-  const messages = await coreQuery(
-    "SELECT id, role, content, answer_payload, created_at FROM messages WHERE conversation_id = ? AND tenant_id = ? ORDER BY created_at ASC, id ASC",
-    [convId, user.tenantId]
-  );
+  const messages = await loadBranchMessages({
+    convId,
+    tenantId: user.tenantId,
+  });
 
   emitStatus("Done.", 100);
   closeWith("final", {
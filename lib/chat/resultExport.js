@@ -0,0 +1,150 @@
+// lib/chat/resultExport.js
+// Full result exports, downloaded apart from the answer instead of embedded in answerPayload.
+//
+// The answer only carries a download reference ({ kind: "csv", sqlQueryId, rowCount, ... }).
+// Downloading asks /api/chat/export-link for a signed URL that expires after
+// EXPORT_URL_TTL_SECONDS; /api/chat/export then re-runs the saved SQL (sql_queries) under the
+// same validation, row policies and tenant scope as the answer, masks PII columns and streams
+// CSV or NDJSON, stopping at EXPORT_MAX_ROWS rows.
+//
+// The SQL re-run is the one saved before scoping (`source_sql`): the executed `sql_text` already
+// carries the INJECTED_SQL_LIMIT cap, so exports scope the source again with EXPORT_MAX_ROWS as
+// the injected LIMIT. Queries saved before `source_sql` existed fall back to `sql_text`.
+
+import Papa from "papaparse";
+import { coreQuery } from "@/lib/db/coreDb";
+import { signShortLivedToken, verifyToken } from "@/lib/auth/jwt";
+import { streamTenantScopedQuery } from "@/lib/db/runTenantScopedQuery";
+import { getDataDbDriver } from "@/lib/db/drivers";
+import {
+  applyColumnMasking,
+  loadMaskingPolicies,
+} from "@/lib/db/columnMasking";
+import {
+  describeColumns,
+  loadColumnDictionary,
+} from "@/lib/db/columnDictionary";
+import { EXPORT_MAX_ROWS, EXPORT_URL_TTL_SECONDS } from "@/lib/settings";
+
+export const EXPORT_FORMATS = {
+  csv: { mimeType: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { mimeType: "application/x-ndjson", extension: "ndjson" },
+};
+
+const EXPORT_TOKEN_PURPOSE = "result-export";
+const MASKING_BATCH_SIZE = 500;
+
+//Identity claims row policies and masking need; nested so the token is not a login token.
+function exportUserClaims(user) {
+  const { userId, tenantId, role, tenantRole, attributes } = user;
+  return { userId, tenantId, role, tenantRole, attributes };
+}
+
+/**
+ * Successful saved query in one of the user's own conversations, or null.
+ * `source_sql` is the SQL to scope again (pre-scope SQL, or `sql_text` for older queries).
+ */
+export async function loadExportableQuery({ sqlQueryId, user }) {
+  const rows = await coreQuery(
+    `SELECT q.id, q.sql_text, COALESCE(q.source_sql, q.sql_text) AS source_sql,
+       q.rows_returned, q.conversation_id
+     FROM sql_queries q
+     JOIN conversations c ON c.id = q.conversation_id
+     WHERE q.id = ? AND q.tenant_id = ? AND q.status = 'success' AND c.user_id = ?`,
+    [sqlQueryId, user.tenantId, user.userId]
+  );
+  return rows[0] || null;
+}
+
+export function signExportUrl({ sqlQueryId, format, user }) {
+  const token = signShortLivedToken(
+    {
+      purpose: EXPORT_TOKEN_PURPOSE,
+      sqlQueryId,
+      format,
+      user: exportUserClaims(user),
+    },
+    EXPORT_URL_TTL_SECONDS
+  );
+
+  return {
+    url: `/api/chat/export?token=${encodeURIComponent(token)}`,
+    expiresAt: new Date(Date.now() + EXPORT_URL_TTL_SECONDS * 1000),
+  };
+}
+
+//Claims of a valid export token ({ sqlQueryId, format, user }); throws when invalid or expired.
+export function verifyExportToken(token) {
+  const decoded = verifyToken(token);
+  if (decoded?.purpose !== EXPORT_TOKEN_PURPOSE || !decoded.user?.tenantId) {
+    throw new Error("Not an export token");
+  }
+  return decoded;
+}
+
+/**
+ * Masked rows of a saved query's `source_sql`, at most EXPORT_MAX_ROWS (async iterable).
+ * `onColumns` receives describeColumns metadata (friendly labels) before the first row.
+ */
+export async function* streamExportRows({
+  tenant,
+  sql,
+  user,
+  signal,
+  onColumns,
+}) {
+  const [policies, dictionary] = await Promise.all([
+    loadMaskingPolicies(user.tenantId),
+    loadColumnDictionary(user.tenantId),
+  ]);
+
+  // Scoping only wraps `sql` (SELECT * over it), so its result columns have the same sources
+  const dialect = getDataDbDriver(tenant).sqlDialect;
+  let fields = [];
+  let columnsSent = false;
+  let batch = [];
+  let count = 0;
+
+  // Mask in batches; column labels need a sample of rows for type inference
+  const flush = () => {
+    if (!columnsSent) {
+      onColumns?.(describeColumns({ fields, rows: batch, dictionary }));
+      columnsSent = true;
+    }
+    const { rows } = applyColumnMasking({
+      fields,
+      rows: batch,
+      policies,
+      user,
+      tenantId: user.tenantId,
+      sql,
+      dialect,
+    });
+    batch = [];
+    return rows;
+  };
+
+  const stream = streamTenantScopedQuery(tenant, sql, {
+    user,
+    signal,
+    maxRows: EXPORT_MAX_ROWS,
+    onFields: (f) => {
+      fields = f;
+    },
+  });
+
+  for await (const row of stream) {
+    batch.push(row);
+    count += 1;
+    if (batch.length >= MASKING_BATCH_SIZE) yield* flush();
+    // Returning here ends the database stream early (see the driver's streamQuery)
+    if (count >= EXPORT_MAX_ROWS) break;
+  }
+
+  yield* flush();
+}
+
+//One CSV line (with trailing newline) in column order.
+export function csvLine(values) {
+  return `${Papa.unparse([values])}\r\n`;
+}
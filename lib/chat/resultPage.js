@@ -0,0 +1,235 @@
+// lib/chat/resultPage.js
+// One page of a saved query's result, for answer tables that page past the inline preview.
+//
+// The saved SQL before scoping (sql_queries.source_sql) goes through runTenantScopedQuery, which
+// validates it and applies the row policies and scope filter, and the scoped result is then
+// wrapped as a derived table with an outer WHERE / ORDER BY / LIMIT / OFFSET (`wrap`). The page
+// thus gets the same validation, row policies, scope filter, cost check and result cache as the
+// answer, over up to EXPORT_MAX_ROWS rows rather than the answer's INJECTED_SQL_LIMIT. The
+// filtered row count comes from a COUNT(*) query wrapped the same way (no window function, which
+// the SQLite parser and MySQL before 8.0 do not support). Sort and filter columns must be result
+// columns the user sees unmasked.
+
+import { runTenantScopedQuery } from "@/lib/db/runTenantScopedQuery";
+import { getDataDbDriver } from "@/lib/db/drivers";
+import { sqlPolicyError } from "@/lib/db/sqlSafety";
+import {
+  applyColumnMasking,
+  loadMaskingPolicies,
+} from "@/lib/db/columnMasking";
+import {
+  describeColumns,
+  loadColumnDictionary,
+} from "@/lib/db/columnDictionary";
+import { EXPORT_MAX_ROWS, RESULT_PAGE_MAX_SIZE } from "@/lib/settings";
+
+export const FILTER_OPERATORS = {
+  contains: "LIKE",
+  eq: "=",
+  gt: ">",
+  lt: "<",
+};
+
+const NUMERIC_VALUE = /^-?\d+(\.\d+)?$/;
+const TOTAL_ROWS_COLUMN = "page_total_rows";
+// "!" rather than a backslash: backslashes are string escapes in MySQL and in the SQL parser
+const LIKE_ESCAPE = "!";
+
+//`value` as a LIKE pattern matching it literally (wildcards and the escape character escaped).
+function likeLiteral(value) {
+  return value.replace(/[!%_]/g, (c) => `${LIKE_ESCAPE}${c}`);
+}
+
+//Scoped SQL as a derived table; the newline keeps a trailing "--" comment from eating the paren.
+function fromSaved(driver, sql) {
+  return `SELECT * FROM (\n${sql}\n) AS ${driver.quoteIdentifier("page_source")}`;
+}
+
+function filterCondition(driver, filter) {
+  const column = driver.quoteIdentifier(filter.column);
+  const value = String(filter.value);
+
+  if (filter.op === "contains") {
+    const pattern = driver.escapeString(
+      `%${likeLiteral(value.toLowerCase())}%`
+    );
+    return `LOWER(${column}) LIKE '${pattern}' ESCAPE '${LIKE_ESCAPE}'`;
+  }
+
+  const literal = NUMERIC_VALUE.test(value)
+    ? value
+    : `'${driver.escapeString(value)}'`;
+  return `${column} ${FILTER_OPERATORS[filter.op]} ${literal}`;
+}
+
+export function buildPageSql(driver, sql, { sort, filter, limit, offset }) {
+  const parts = [fromSaved(driver, sql)];
+  if (filter) parts.push(`WHERE ${filterCondition(driver, filter)}`);
+  if (sort) {
+    parts.push(
+      `ORDER BY ${driver.quoteIdentifier(sort.column)} ${sort.direction === "desc" ? "DESC" : "ASC"}`
+    );
+  }
+  parts.push(`LIMIT ${limit} OFFSET ${offset}`);
+  return parts.join("\n");
+}
+
+//Row count of the (filtered) result, as one TOTAL_ROWS_COLUMN row.
+export function buildPageCountSql(driver, sql, { filter }) {
+  const parts = [
+    `SELECT COUNT(*) AS ${driver.quoteIdentifier(TOTAL_ROWS_COLUMN)}`,
+    `FROM (\n${sql}\n) AS ${driver.quoteIdentifier("page_source")}`,
+  ];
+  if (filter) parts.push(`WHERE ${filterCondition(driver, filter)}`);
+  return parts.join("\n");
+}
+
+//Result columns that are masked for this user (sorting or filtering on them would leak values).
+function maskedColumnNames({ fields, policies, user, sql, dialect }) {
+  const { masking } = applyColumnMasking({
+    fields,
+    rows: [],
+    policies,
+    user,
+    tenantId: user.tenantId,
+    sql,
+    dialect,
+  });
+  return masking.columns
+    .filter((c) => !c.exempt && c.strategy !== "allow")
+    .map((c) => c.column);
+}
+
+/**
+ * Check that every `{ column, purpose }` in `uses` names a result column of the saved SQL that is
+ * not masked for this user. Reads the column names with a LIMIT 0 query (cached after first use).
+ * Throws PAGE_UNKNOWN_COLUMN / PAGE_MASKED_COLUMN coded errors (isPolicyViolation).
+ */
+export async function assertUsableColumns({
+  tenant,
+  sql,
+  user,
+  policies,
+  uses,
+  signal,
+}) {
+  if (uses.length === 0) return;
+
+  const driver = getDataDbDriver(tenant);
+  const probe = await runTenantScopedQuery(tenant, sql, {
+    user,
+    signal,
+    maxRows: EXPORT_MAX_ROWS,
+    wrap: (scopedSql) => `${fromSaved(driver, scopedSql)}\nLIMIT 0`,
+  });
+  const fields = probe.fields || [];
+  const fieldNames = fields.map((f) => f.name);
+  const masked = maskedColumnNames({
+    fields,
+    policies,
+    user,
+    sql: probe.sql,
+    dialect: driver.sqlDialect,
+  });
+
+  uses.forEach(({ column, purpose }) => {
+    if (!fieldNames.includes(column)) {
+      throw sqlPolicyError(
+        "PAGE_UNKNOWN_COLUMN",
+        `Cannot ${purpose} by unknown column: ${column}`,
+        { column }
+      );
+    }
+    if (masked.includes(column)) {
+      throw sqlPolicyError(
+        "PAGE_MASKED_COLUMN",
+        `Cannot ${purpose} by masked column: ${column}`,
+        { column }
+      );
+    }
+  });
+}
+
+/**
+ * Page `page` (1-based) of a saved query's rows, masked, with describeColumns metadata.
+ * `sort` is { column, direction: "asc" | "desc" }, `filter` is { column, op, value } (op from
+ * FILTER_OPERATORS). `totalRows` is the filtered row count (null when the page is past the end).
+ * Throws coded errors (isPolicyViolation) for unusable sort / filter columns.
+ */
+export async function fetchResultPage({
+  tenant,
+  sql,
+  user,
+  page,
+  pageSize,
+  sort = null,
+  filter = null,
+  signal,
+}) {
+  const driver = getDataDbDriver(tenant);
+  const size = Math.min(Math.max(1, pageSize), RESULT_PAGE_MAX_SIZE);
+  const pageNumber = Math.max(1, page);
+
+  const [policies, dictionary] = await Promise.all([
+    loadMaskingPolicies(user.tenantId),
+    loadColumnDictionary(user.tenantId),
+  ]);
+
+  await assertUsableColumns({
+    tenant,
+    sql,
+    user,
+    policies,
+    uses: [
+      sort && { column: sort.column, purpose: "sort" },
+      filter && { column: filter.column, purpose: "filter" },
+    ].filter(Boolean),
+    signal,
+  });
+
+  const offset = (pageNumber - 1) * size;
+  const [result, count] = await Promise.all([
+    runTenantScopedQuery(tenant, sql, {
+      user,
+      signal,
+      maxRows: EXPORT_MAX_ROWS,
+      wrap: (scopedSql) =>
+        buildPageSql(driver, scopedSql, { sort, filter, limit: size, offset }),
+    }),
+    runTenantScopedQuery(tenant, sql, {
+      user,
+      signal,
+      maxRows: EXPORT_MAX_ROWS,
+      wrap: (scopedSql) => buildPageCountSql(driver, scopedSql, { filter }),
+    }),
+  ]);
+
+  const { rows, cache } = result;
+  const fields = result.fields || [];
+  const masked = applyColumnMasking({
+    fields,
+    rows,
+    policies,
+    user,
+    tenantId: user.tenantId,
+    sql: result.sql,
+    dialect: driver.sqlDialect,
+  });
+
+  // Past the end (e.g. the data changed since the answer): no total, the UI starts over
+  const totalRows =
+    rows.length === 0 && pageNumber > 1
+      ? null
+      : Number(count.rows[0]?.[TOTAL_ROWS_COLUMN] ?? 0);
+
+  return {
+    columns: describeColumns({ fields, rows: masked.rows, dictionary }),
+    rows: masked.rows,
+    page: pageNumber,
+    pageSize: size,
+    totalRows,
+    sort,
+    filter,
+    cacheHit: !!cache?.hit,
+  };
+}
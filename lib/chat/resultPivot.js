@@ -0,0 +1,218 @@
+// lib/chat/resultPivot.js
+// Pivot of a saved query's result: rows × columns of one measure under one aggregation.
+//
+// The saved SQL before scoping (sql_queries.source_sql) goes through the tenant scope and the
+// pivot is a GROUP BY wrapped around the scoped result (runTenantScopedQuery `wrap`), so reshaping
+// a result never needs another model call and never sees rows the answer could not. Like exports,
+// the scoped source is limited to EXPORT_MAX_ROWS rather than the answer's INJECTED_SQL_LIMIT.
+// The long (grouped) result is folded into a matrix here.
+// Pivot configurations ({ rows, columns, measure, aggregation }) are saved on the answer message
+// as answerPayload.pivots (see pages/api/chat/pivots.js).
+
+import { runTenantScopedQuery } from "@/lib/db/runTenantScopedQuery";
+import { getDataDbDriver } from "@/lib/db/drivers";
+import { sqlPolicyError } from "@/lib/db/sqlSafety";
+import { loadMaskingPolicies } from "@/lib/db/columnMasking";
+import { assertUsableColumns } from "@/lib/chat/resultPage";
+import {
+  EXPORT_MAX_ROWS,
+  PIVOT_MAX_COLUMNS,
+  PIVOT_MAX_GROUPS,
+} from "@/lib/settings";
+
+export const PIVOT_AGGREGATIONS = {
+  sum: { label: "Sum", additive: true },
+  avg: { label: "Average", additive: false },
+  min: { label: "Min", additive: false },
+  max: { label: "Max", additive: false },
+  count: { label: "Count", additive: true },
+  count_distinct: { label: "Distinct count", additive: false },
+};
+
+const MAX_PIVOT_DIMENSIONS = 3;
+const VALUE_COLUMN = "pivot_value";
+
+function aggregateExpression(driver, { measure, aggregation }) {
+  if (aggregation === "count") return "COUNT(*)";
+  const column = driver.quoteIdentifier(measure);
+  if (aggregation === "count_distinct") return `COUNT(DISTINCT ${column})`;
+  return `${aggregation.toUpperCase()}(${column})`;
+}
+
+//Outer GROUP BY over the scoped saved result (one extra row tells us it was cut off).
+export function buildPivotSql(driver, scopedSql, config) {
+  const dims = [...config.rows, ...config.columns].map((c) =>
+    driver.quoteIdentifier(c)
+  );
+  return [
+    `SELECT ${dims.join(", ")}, ${aggregateExpression(driver, config)} AS ${driver.quoteIdentifier(VALUE_COLUMN)}`,
+    `FROM (\n${scopedSql}\n) AS ${driver.quoteIdentifier("pivot_source")}`,
+    `GROUP BY ${dims.join(", ")}`,
+    `ORDER BY ${dims.join(", ")}`,
+    `LIMIT ${PIVOT_MAX_GROUPS + 1}`,
+  ].join("\n");
+}
+
+/**
+ * Normalized pivot config, or throws PIVOT_INVALID_CONFIG (isPolicyViolation).
+ * rows: 1+ column keys, columns: 0+ column keys (3 dimensions at most, no repeats),
+ * measure: column key (not needed for "count"), aggregation: a PIVOT_AGGREGATIONS key.
+ */
+export function normalizePivotConfig(config) {
+  const list = (value) =>
+    (Array.isArray(value) ? value : [])
+      .filter((v) => typeof v === "string" && v)
+      .map(String);
+
+  const rows = list(config?.rows);
+  const columns = list(config?.columns);
+  const aggregation = String(config?.aggregation || "sum");
+  const measure =
+    aggregation === "count" ? null : String(config?.measure || "") || null;
+
+  const invalid = (message) =>
+    sqlPolicyError("PIVOT_INVALID_CONFIG", message, { config });
+
+  if (rows.length === 0) throw invalid("Choose at least one row field");
+  if (rows.length + columns.length > MAX_PIVOT_DIMENSIONS) {
+    throw invalid(
+      `A pivot can use at most ${MAX_PIVOT_DIMENSIONS} row and column fields`
+    );
+  }
+  if (new Set([...rows, ...columns]).size !== rows.length + columns.length) {
+    throw invalid("A field can only be used once as a row or column");
+  }
+  if (!PIVOT_AGGREGATIONS[aggregation]) {
+    throw invalid(
+      `aggregation must be one of: ${Object.keys(PIVOT_AGGREGATIONS).join(", ")}`
+    );
+  }
+  if (aggregation !== "count" && !measure) {
+    throw invalid("Choose a measure to aggregate");
+  }
+
+  return { rows, columns, measure, aggregation };
+}
+
+//JSON-safe header value (dates as ISO dates, like the answer table).
+function headerValue(value) {
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return value ?? null;
+}
+
+function cellNumber(value, aggregation) {
+  if (value == null) return null;
+  if (aggregation === "min" || aggregation === "max") {
+    const n = typeof value === "number" ? value : Number(value);
+    return Number.isFinite(n) ? n : headerValue(value);
+  }
+  const n = Number(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function compareHeaders(a, b) {
+  for (let i = 0; i < a.length; i += 1) {
+    if (a[i] === b[i]) continue;
+    if (a[i] == null) return 1;
+    if (b[i] == null) return -1;
+    if (typeof a[i] === "number" && typeof b[i] === "number") {
+      return a[i] - b[i];
+    }
+    return String(a[i]).localeCompare(String(b[i]));
+  }
+  return 0;
+}
+
+function sum(values) {
+  return values.reduce((total, v) => total + (Number(v) || 0), 0);
+}
+
+/**
+ * Fold grouped rows into a matrix: rowHeaders[i] / columnHeaders[j] are value tuples and
+ * cells[i][j] the aggregate (null when the combination has no rows). Totals are only given for
+ * additive aggregations (sum, count); columns past PIVOT_MAX_COLUMNS are dropped (truncated).
+ */
+export function foldPivotRows(grouped, config) {
+  const rowKeys = new Map();
+  const columnKeys = new Map();
+  const values = new Map();
+
+  grouped.forEach((r) => {
+    const rowHeader = config.rows.map((k) => headerValue(r[k]));
+    const columnHeader = config.columns.map((k) => headerValue(r[k]));
+    const rowKey = JSON.stringify(rowHeader);
+    const columnKey = JSON.stringify(columnHeader);
+
+    if (!rowKeys.has(rowKey)) rowKeys.set(rowKey, rowHeader);
+    if (!columnKeys.has(columnKey)) columnKeys.set(columnKey, columnHeader);
+    values.set(
+      `${rowKey}|${columnKey}`,
+      cellNumber(r[VALUE_COLUMN], config.aggregation)
+    );
+  });
+
+  const allColumnHeaders = [...columnKeys.values()].sort(compareHeaders);
+  const columnHeaders = allColumnHeaders.slice(0, PIVOT_MAX_COLUMNS);
+  const rowHeaders = [...rowKeys.values()];
+
+  const cells = rowHeaders.map((rh) =>
+    columnHeaders.map(
+      (ch) => values.get(`${JSON.stringify(rh)}|${JSON.stringify(ch)}`) ?? null
+    )
+  );
+
+  const additive = PIVOT_AGGREGATIONS[config.aggregation].additive;
+
+  return {
+    rowHeaders,
+    columnHeaders,
+    cells,
+    rowTotals: additive ? cells.map(sum) : null,
+    columnTotals: additive
+      ? columnHeaders.map((_, j) => sum(cells.map((row) => row[j])))
+      : null,
+    grandTotal: additive ? sum(cells.map(sum)) : null,
+    truncated: allColumnHeaders.length > columnHeaders.length,
+  };
+}
+
+/**
+ * Pivot of a saved query (sql_queries.source_sql) for `user`.
+ * Row, column and measure fields must be result columns that are not masked for the user.
+ */
+export async function fetchResultPivot({ tenant, sql, user, config, signal }) {
+  const pivot = normalizePivotConfig(config);
+  const driver = getDataDbDriver(tenant);
+
+  await assertUsableColumns({
+    tenant,
+    sql,
+    user,
+    policies: await loadMaskingPolicies(user.tenantId),
+    uses: [
+      ...pivot.rows.map((column) => ({ column, purpose: "pivot" })),
+      ...pivot.columns.map((column) => ({ column, purpose: "pivot" })),
+      ...(pivot.measure
+        ? [{ column: pivot.measure, purpose: "aggregate" }]
+        : []),
+    ],
+    signal,
+  });
+
+  const { rows, cache } = await runTenantScopedQuery(tenant, sql, {
+    user,
+    signal,
+    maxRows: EXPORT_MAX_ROWS,
+    wrap: (scopedSql) => buildPivotSql(driver, scopedSql, pivot),
+  });
+
+  const grouped = rows.slice(0, PIVOT_MAX_GROUPS);
+  const matrix = foldPivotRows(grouped, pivot);
+
+  return {
+    ...pivot,
+    ...matrix,
+    truncated: matrix.truncated || rows.length > PIVOT_MAX_GROUPS,
+    cacheHit: !!cache?.hit,
+  };
+}
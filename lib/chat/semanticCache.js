@@ -0,0 +1,122 @@
+// lib/chat/semanticCache.js
+// Semantic answer cache: reuse verified SQL for paraphrased questions instead of calling convertToSQL.
+//
+// Candidates are earlier turns of the same tenant whose SQL ran successfully (query_logs.sql_status)
+// and whose answer got a thumbs-up in chat_answer_feedback without any thumbs-down. The incoming
+// question is embedded and compared (cosine) with the candidate questions; at or above
+// SEMANTIC_CACHE_THRESHOLD the candidate's SQL is reused. The stored SQL is the pre-scope SQL, so
+// runTenantScopedQuery still applies the current user's row policies and the tenant scope.
+
+import { coreQuery } from "@/lib/db/coreDb";
+import { getEmbeddings } from "@/lib/vector/qdrantManagement";
+import {
+  SEMANTIC_CACHE_CANDIDATES,
+  SEMANTIC_CACHE_THRESHOLD,
+} from "@/lib/settings";
+
+// query_logs.id -> embedding of its question (questions never change once logged)
+const questionEmbeddings = new Map();
+const MAX_CACHED_EMBEDDINGS = 5000;
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i += 1) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+async function loadVerifiedTurns(tenantId) {
+  const rows = await coreQuery(
+    `SELECT q.id, q.question, q.sql_query
+     FROM query_logs q
+     JOIN chat_answer_feedback f
+       ON f.tenant_id = q.tenant_id AND f.message_id = q.message_id AND f.rating = 1
+     WHERE q.tenant_id = ?
+       AND q.sql_status = 'success'
+       AND q.sql_query IS NOT NULL
+       AND NOT EXISTS (
+         SELECT 1 FROM chat_answer_feedback d
+         WHERE d.tenant_id = q.tenant_id AND d.message_id = q.message_id AND d.rating = 0
+       )
+     GROUP BY q.id, q.question, q.sql_query
+     ORDER BY q.id DESC
+     LIMIT ${Number(SEMANTIC_CACHE_CANDIDATES)}`,
+    [tenantId]
+  );
+
+  // Same question asked (and liked) several times: keep the newest
+  const seen = new Set();
+  return (rows || []).filter((r) => {
+    const key = String(r.question || "")
+      .trim()
+      .toLowerCase();
+    if (!key || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+async function embedCandidates(embeddings, candidates) {
+  const missing = candidates.filter((c) => !questionEmbeddings.has(c.id));
+
+  if (missing.length > 0) {
+    const vectors = await embeddings.embedDocuments(
+      missing.map((c) => c.question)
+    );
+    missing.forEach((c, idx) => {
+      if (questionEmbeddings.size >= MAX_CACHED_EMBEDDINGS) {
+        questionEmbeddings.delete(questionEmbeddings.keys().next().value);
+      }
+      questionEmbeddings.set(c.id, vectors[idx]);
+    });
+  }
+
+  return candidates.map((c) => ({
+    ...c,
+    vector: questionEmbeddings.get(c.id),
+  }));
+}
+
+/**
+ * Best verified earlier turn for `question` in the tenant.
+ * Returns { reused, matchedQuestion, similarity, queryLogId, sql } (reused = similarity >= threshold),
+ * or null when there are no candidates. Failures never block answering (null).
+ */
+export async function findReusableSql({ tenantId, question }) {
+  try {
+    const candidates = await loadVerifiedTurns(tenantId);
+    if (candidates.length === 0) return null;
+
+    const embeddings = getEmbeddings();
+    const [questionVector, embedded] = await Promise.all([
+      embeddings.embedQuery(question.trim()),
+      embedCandidates(embeddings, candidates),
+    ]);
+
+    let best = null;
+    for (const candidate of embedded) {
+      if (!candidate.vector) continue;
+      const similarity = cosineSimilarity(questionVector, candidate.vector);
+      if (!best || similarity > best.similarity) {
+        best = { candidate, similarity };
+      }
+    }
+    if (!best) return null;
+
+    return {
+      reused: best.similarity >= SEMANTIC_CACHE_THRESHOLD,
+      matchedQuestion: best.candidate.question,
+      similarity: Math.round(best.similarity * 10000) / 10000,
+      queryLogId: best.candidate.id,
+      sql: best.candidate.sql_query,
+    };
+  } catch (err) {
+    console.error("Semantic answer cache lookup failed:", err);
+    return null;
+  }
+}
@@ -0,0 +1,50 @@
+// lib/chat/sqlCorrections.js
+// SQL corrections: when a permitted user edits an answer's SQL and the edit runs successfully,
+// the question and corrected SQL are indexed into the tenant's Qdrant collection
+// (metadata.type = "sql_correction"), so RAG retrieval can show them to the SQL prompt as
+// examples for similar questions later.
+
+import { createQdrantHelper } from "@/lib/vector/qdrantManagement";
+
+/**
+ * Index a corrected question / SQL pair. Returns true when stored; failures never block the
+ * re-run answer (false).
+ */
+export async function recordSqlCorrection({
+  tenant,
+  question,
+  originalSql,
+  correctedSql,
+  userId,
+  messageId,
+}) {
+  if (!tenant?.qdrant_collection) return false;
+
+  const document = {
+    pageContent: [
+      `Question: ${question.trim()}`,
+      "Corrected SQL (edited by an analyst; prefer it over the original):",
+      correctedSql.trim(),
+      ...(originalSql
+        ? ["Original SQL that was wrong:", String(originalSql).trim()]
+        : []),
+    ].join("\n"),
+    metadata: {
+      type: "sql_correction",
+      source: "edit_sql",
+      title: `Corrected SQL for: ${question.trim().slice(0, 120)}`,
+      message_id: messageId,
+      user_id: userId,
+    },
+  };
+
+  try {
+    const qdrant = createQdrantHelper({ collection: tenant.qdrant_collection });
+    const store = await qdrant.getVectorStore();
+    await store.addDocuments([document]);
+    return true;
+  } catch (err) {
+    console.error("Recording SQL correction failed:", err);
+    return false;
+  }
+}
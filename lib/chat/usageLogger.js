@@ -41,7 +41,14 @@ export async function applySummaryUsageUpdate({
   table,
   downloads,
   chart,
+  insights,
   ragMeta,
+  attempts,
+  error,
+  masking,
+  cache,
+  reuse,
+  userEditedSql = false,
   messageId,
   tenantId,
   tokenUsageId,
@@ -60,7 +67,14 @@ export async function applySummaryUsageUpdate({
     table,
     downloads,
     chart,
+    insights,
     rag: ragMeta,
+    attempts,
+    error,
+    masking,
+    cache,
+    reuse,
+    userEditedSql,
   });
 
   await coreQuery(
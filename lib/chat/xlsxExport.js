@@ -0,0 +1,195 @@
+// lib/chat/xlsxExport.js
+// Excel export of an answer: a "Data" sheet with typed cells under friendly headers, and a
+// "Summary" sheet with the question, answer text, executed SQL and answer / export timestamps.
+//
+// Cell types and number formats follow the column metadata (lib/db/columnDictionary.js):
+// currency in pesos ("₱"#,##0.00, or the column's unit code), percent values as stored
+// (12.5 -> 12.5%), dates and year-months as real Excel dates.
+
+import ExcelJS from "exceljs";
+import Papa from "papaparse";
+
+const MONTH_FORMAT = "yyyy-mm";
+const DATE_FORMAT = "yyyy-mm-dd";
+const TIMESTAMP_FORMAT = "yyyy-mm-dd hh:mm:ss";
+const MAX_COLUMN_WIDTH = 50;
+const HEADER_FILL = "FFF5F5F5";
+
+//Decimal places from a "#,##0.00"-style pattern.
+function decimalsFromFormat(format) {
+  const m = /\.([0#]+)/.exec(String(format || ""));
+  return m ? m[1].length : null;
+}
+
+function numberPattern(decimals) {
+  return decimals > 0 ? `#,##0.${"0".repeat(decimals)}` : "#,##0";
+}
+
+//Excel number format for a column, or null for plain text.
+function excelFormat(column) {
+  const decimals = decimalsFromFormat(column.format);
+
+  switch (column.type) {
+    case "integer":
+      return numberPattern(decimals ?? 0);
+    case "number":
+      return numberPattern(decimals ?? 2);
+    case "currency": {
+      const symbol =
+        !column.unit || column.unit === "PHP" ? "₱" : `${column.unit} `;
+      return `"${symbol}"${numberPattern(decimals ?? 2)}`;
+    }
+    case "percent":
+      return `${numberPattern(decimals ?? 2)}"%"`;
+    case "yearmonth":
+      return column.format === "MMM YYYY" ? "mmm yyyy" : MONTH_FORMAT;
+    case "date":
+      return DATE_FORMAT;
+    default:
+      return null;
+  }
+}
+
+//Typed cell value: numbers for measures, UTC dates for date columns, text otherwise.
+function cellValue(value, column) {
+  if (value == null || value === "") return null;
+
+  if (["number", "integer", "currency", "percent"].includes(column.type)) {
+    const n =
+      typeof value === "number"
+        ? value
+        : Number(String(value).trim().replace(/,/g, ""));
+    return Number.isFinite(n) ? n : String(value);
+  }
+
+  if (column.type === "date" || column.type === "yearmonth") {
+    const iso = value instanceof Date ? value.toISOString() : String(value);
+    const m = /^(\d{4})-?(\d{2})(?:-(\d{2}))?/.exec(iso);
+    if (!m) return String(value);
+    return new Date(
+      Date.UTC(Number(m[1]), Number(m[2]) - 1, Number(m[3] || 1))
+    );
+  }
+
+  return value instanceof Date ? value.toISOString() : String(value);
+}
+
+function headerFor(column) {
+  return column.unit && column.type !== "currency"
+    ? `${column.label} (${column.unit})`
+    : column.label;
+}
+
+/**
+ * Rows stored with an answer: the CSV embedded by older answers (large results), else the
+ * inline table rows. Current answers only reference large results (lib/chat/resultExport.js).
+ */
+export function rowsFromAnswerPayload(answerPayload) {
+  const columns = answerPayload?.table?.columns || [];
+  const csv = (answerPayload?.downloads || []).find(
+    (d) => d?.kind === "csv" && typeof d.content === "string"
+  );
+
+  if (csv) {
+    const { data } = Papa.parse(csv.content, { skipEmptyLines: true });
+    return data
+      .slice(1)
+      .map((values) =>
+        Object.fromEntries(columns.map((c, i) => [c.key, values[i] ?? null]))
+      );
+  }
+
+  return Array.isArray(answerPayload?.table?.rows)
+    ? answerPayload.table.rows
+    : [];
+}
+
+/**
+ * XLSX workbook (Buffer) for an answer.
+ * `columns` are describeColumns metadata; `rows` are keyed by column key.
+ */
+export async function buildAnswerWorkbook({
+  question,
+  answerText,
+  sql,
+  columns,
+  rows,
+  rowCount,
+  answeredAt,
+  exportedAt = new Date(),
+}) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = exportedAt;
+
+  // ---------- Data ----------
+  const data = workbook.addWorksheet("Data", {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  data.columns = columns.map((c) => ({
+    header: headerFor(c),
+    key: c.key,
+    style: excelFormat(c) ? { numFmt: excelFormat(c) } : {},
+  }));
+
+  for (const row of rows) {
+    data.addRow(
+      Object.fromEntries(
+        columns.map((c) => [c.key, cellValue(row?.[c.key], c)])
+      )
+    );
+  }
+
+  const header = data.getRow(1);
+  header.font = { bold: true };
+  header.fill = {
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb: HEADER_FILL },
+  };
+  if (columns.length > 0) {
+    data.autoFilter = {
+      from: { row: 1, column: 1 },
+      to: { row: 1, column: columns.length },
+    };
+  }
+
+  // Width from the header and a sample of values
+  data.columns.forEach((col, i) => {
+    const sample = rows
+      .slice(0, 200)
+      .map((r) => String(r?.[columns[i].key] ?? "").length);
+    col.width = Math.min(
+      MAX_COLUMN_WIDTH,
+      Math.max(10, String(col.header).length + 2, ...sample.map((n) => n + 4))
+    );
+  });
+
+  // ---------- Summary ----------
+  const summary = workbook.addWorksheet("Summary");
+  summary.columns = [
+    { key: "field", width: 20 },
+    { key: "value", width: 100 },
+  ];
+  summary.addRows([
+    { field: "Question", value: question || "" },
+    { field: "Answer", value: answerText || "" },
+    { field: "SQL", value: sql || "" },
+    { field: "Answered at (UTC)", value: answeredAt || null },
+    { field: "Exported at (UTC)", value: exportedAt },
+    { field: "Rows", value: rowCount ?? rows.length },
+  ]);
+  if (rowCount != null && rowCount > rows.length) {
+    summary.addRow({
+      field: "Note",
+      value: `Only the first ${rows.length} of ${rowCount} rows are included.`,
+    });
+  }
+
+  summary.getColumn("field").font = { bold: true };
+  summary.getColumn("value").alignment = { wrapText: true, vertical: "top" };
+  summary.getCell("B3").font = { name: "Consolas" };
+  summary.getCell("B4").numFmt = TIMESTAMP_FORMAT;
+  summary.getCell("B5").numFmt = TIMESTAMP_FORMAT;
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
@@ -0,0 +1,151 @@
+// lib/db/columnDictionary.js
+// Per-tenant column dictionary (core DB table `column_dictionary`) applied after execution.
+//
+// An entry names a raw data column (`column_name`, optionally narrowed by `table_name`; '' or NULL
+// for any table) and gives it:
+//   - label:     display name ("memberid" -> "Member id")
+//   - data_type: one of COLUMN_TYPES
+//   - unit:      e.g. "PHP" for currency, "visits"
+//   - format:    display pattern, e.g. "#,##0.00" for numbers or "YYYY-MM" / "MMM YYYY" for dates
+// Result columns are matched like column masking: on the driver's original column name (`orgName`)
+// first, then on the result column name or an entry's label (for model-written aliases).
+// Columns without an entry get a type inferred from their values and their own name as label; an
+// entry's data_type always wins over the inferred one. Integer periods such as yearmonth = 202401
+// are only inferred as "yearmonth" when the column name says so (yearmonth, yyyymm, period, ...),
+// since a six-digit total or id would otherwise look the same.
+
+import { coreQuery } from "@/lib/db/coreDb";
+
+export const COLUMN_TYPES = [
+  "string",
+  "number",
+  "integer",
+  "currency",
+  "percent",
+  "date",
+  "yearmonth",
+];
+
+export const NUMERIC_COLUMN_TYPES = [
+  "number",
+  "integer",
+  "currency",
+  "percent",
+];
+export const TIME_COLUMN_TYPES = ["date", "yearmonth"];
+
+const NON_ADDITIVE_LABEL =
+  /average|avg|mean|rate|ratio|per |share|pct|percent|%/i;
+const PERIOD_KEY = /(^|_)(year_?month|yyyymm|ym|period|month)$/i;
+const IDENTIFIER_KEY =
+  /((^|[_\s])id|^(member|customer|store|product|user|branch)id)$/i;
+
+//Whether summing the column across rows is meaningful (not for averages, ratios, percentages).
+export function isAdditiveColumn(column) {
+  return (
+    column.type !== "percent" &&
+    !NON_ADDITIVE_LABEL.test(`${column.label} ${column.key}`)
+  );
+}
+
+//Numeric keys such as memberid are identifiers, not measures.
+export function isIdentifierColumn(column) {
+  return IDENTIFIER_KEY.test(column.key);
+}
+
+export async function loadColumnDictionary(tenantId) {
+  const rows = await coreQuery(
+    `SELECT id, table_name, column_name, label, data_type, unit, format
+     FROM column_dictionary
+     WHERE tenant_id = ?`,
+    [tenantId]
+  );
+  return Array.isArray(rows) ? rows : [];
+}
+
+function lower(value) {
+  return String(value || "").toLowerCase();
+}
+
+function findEntry(field, dictionary) {
+  const original = lower(field.orgName);
+  const table = lower(field.orgTable);
+  const name = lower(field.name);
+
+  const byOriginal = original
+    ? dictionary.filter((e) => lower(e.column_name) === original)
+    : [];
+  if (byOriginal.length > 0) {
+    return (
+      byOriginal.find((e) => e.table_name && lower(e.table_name) === table) ||
+      byOriginal.find((e) => !e.table_name) ||
+      byOriginal[0]
+    );
+  }
+
+  return (
+    dictionary.find((e) => lower(e.column_name) === name) ||
+    dictionary.find((e) => e.label && lower(e.label) === name) ||
+    null
+  );
+}
+
+//Six-digit YYYYMM period (202401), as a number or string.
+function isIntegerPeriod(value) {
+  const m = /^(\d{4})(\d{2})$/.exec(String(value).trim());
+  return Boolean(m) && Number(m[2]) >= 1 && Number(m[2]) <= 12;
+}
+
+//Type from the first non-empty sample values (drivers return DECIMAL as strings, dates as Date).
+function inferColumnType(key, rows) {
+  const values = (rows || [])
+    .slice(0, 50)
+    .map((r) => r?.[key])
+    .filter((v) => v !== null && v !== undefined && v !== "");
+  if (values.length === 0) return "string";
+
+  if (values.every((v) => v instanceof Date)) return "date";
+  if (values.every((v) => typeof v === "string" && /^\d{4}-\d{2}$/.test(v))) {
+    return "yearmonth";
+  }
+  if (
+    values.every(
+      (v) => typeof v === "string" && /^\d{4}-\d{2}-\d{2}([ T]|$)/.test(v)
+    )
+  ) {
+    return "date";
+  }
+
+  const numeric = values.every((v) =>
+    typeof v === "number"
+      ? Number.isFinite(v)
+      : typeof v === "string" && /^-?\d+(\.\d+)?$/.test(v.trim())
+  );
+  if (!numeric) return "string";
+  if (PERIOD_KEY.test(key) && values.every(isIntegerPeriod)) return "yearmonth";
+
+  return values.every((v) => Number.isInteger(Number(v)))
+    ? "integer"
+    : "number";
+}
+
+/**
+ * Column metadata for a result set, in result order:
+ * [{ key, label, type, unit, format }] where `key` is the property name in each row.
+ */
+export function describeColumns({ fields, rows, dictionary = [] }) {
+  return (fields || []).map((field) => {
+    const key = field.name;
+    const entry = findEntry(field, dictionary);
+
+    return {
+      key,
+      label: entry?.label || key,
+      type: COLUMN_TYPES.includes(entry?.data_type)
+        ? entry.data_type
+        : inferColumnType(key, rows),
+      unit: entry?.unit || null,
+      format: entry?.format || null,
+    };
+  });
+}
@@ -0,0 +1,237 @@
+// lib/db/columnLineage.js
+// Source columns of each result column, read from the SQL's AST (used by column masking).
+//
+// For every output column of a SELECT we collect the base-table columns its expression reads
+// (`refs`), following aliases, derived tables, CTEs and `*` expansion. Arguments of COUNT(...) and
+// window PARTITION / ORDER clauses are not counted: they shape the result without returning the
+// column's values. When a column reference cannot be tied to a single table (unqualified name over
+// a join), every candidate table is listed, so callers can fail closed.
+//
+// Result fields are matched to output columns by position; once a `*` over a base table makes the
+// column count unknown they are matched by name instead, and fields that match no named output
+// column are attributed to the starred tables and to every unnamed expression.
+
+import { parseSelectStatement } from "@/lib/db/sqlSafety";
+
+const lower = (value) => (value == null ? null : String(value).toLowerCase());
+
+//node-sql-parser gives column names as a string or as { expr: { value } }.
+function columnName(ref) {
+  const column = ref?.column;
+  if (column == null) return null;
+  if (typeof column === "string") return column;
+  return column.expr?.value != null ? String(column.expr.value) : null;
+}
+
+function isStar(expr) {
+  return expr?.type === "column_ref" && columnName(expr) === "*";
+}
+
+function entryName(column) {
+  if (column.as) return lower(column.as);
+  if (column.expr?.type === "column_ref") return lower(columnName(column.expr));
+  return null;
+}
+
+function uniqueRefs(refs) {
+  const seen = new Map();
+  refs.forEach((r) => {
+    const k = `${lower(r.table)}.${lower(r.column)}`;
+    if (!seen.has(k)) seen.set(k, r);
+  });
+  return [...seen.values()];
+}
+
+//Lineage of one named column read from a derived relation's entries.
+function lookupEntry(entries, name) {
+  const named = entries.find((e) => !e.wildcard && e.name === name);
+  if (named) return { refs: named.refs, direct: named.direct };
+
+  const starred = entries.filter((e) => e.wildcard).flatMap((e) => e.tables);
+  const refs = starred.map((table) => ({ table, column: name }));
+  return { refs, direct: refs.length === 1 ? refs[0] : null };
+}
+
+//Resolve a column_ref against the FROM relations (innermost scope first).
+function resolveColumnRef(ref, scopes) {
+  const name = lower(columnName(ref));
+  const qualifier = lower(ref.table);
+
+  for (const relations of scopes) {
+    if (qualifier) {
+      const relation = relations.find((r) => r.alias === qualifier);
+      if (!relation) continue;
+      if (relation.kind === "base") {
+        const base = { table: relation.table, column: name };
+        return { refs: [base], direct: base };
+      }
+      return lookupEntry(relation.entries, name);
+    }
+
+    const derived = relations
+      .filter((r) => r.kind === "derived")
+      .map((r) => lookupEntry(r.entries, name))
+      .filter((l) => l.refs.length > 0);
+    const bases = relations
+      .filter((r) => r.kind === "base")
+      .map((r) => ({ table: r.table, column: name }));
+
+    const refs = uniqueRefs([...derived.flatMap((l) => l.refs), ...bases]);
+    if (refs.length === 0) continue;
+    const direct =
+      derived.length === 1 && bases.length === 0
+        ? derived[0].direct
+        : derived.length === 0 && bases.length === 1
+          ? bases[0]
+          : null;
+    return { refs, direct };
+  }
+
+  const unknown = { table: qualifier, column: name };
+  return { refs: [unknown], direct: null };
+}
+
+//Base columns an expression reads.
+function expressionRefs(node, scopes, ctes) {
+  const refs = [];
+
+  const visit = (n) => {
+    if (!n || typeof n !== "object") return;
+    if (Array.isArray(n)) {
+      n.forEach(visit);
+      return;
+    }
+    if (n.type === "column_ref") {
+      if (!isStar(n)) refs.push(...resolveColumnRef(n, scopes).refs);
+      return;
+    }
+    if (n.type === "aggr_func" && String(n.name).toUpperCase() === "COUNT") {
+      return;
+    }
+    const nested = n.ast?.type === "select" ? n.ast : null;
+    if (nested || n.type === "select") {
+      selectEntries(nested || n, scopes, ctes).forEach((e) =>
+        refs.push(...(e.refs || []))
+      );
+      return;
+    }
+    Object.entries(n).forEach(([key, child]) => {
+      if (key !== "over") visit(child);
+    });
+  };
+
+  visit(node);
+  return uniqueRefs(refs);
+}
+
+//FROM entries as relations: base tables or derived tables / CTEs with their own entries.
+function fromRelations(stmt, scopes, ctes) {
+  return (Array.isArray(stmt.from) ? stmt.from : []).flatMap((entry) => {
+    if (!entry || typeof entry !== "object") return [];
+
+    if (entry.expr?.ast) {
+      return [
+        {
+          alias: lower(entry.as),
+          kind: "derived",
+          entries: selectEntries(entry.expr.ast, scopes, ctes),
+        },
+      ];
+    }
+    if (!entry.table) return [];
+
+    const table = lower(entry.table);
+    const alias = lower(entry.as) || table;
+    if (!entry.db && ctes.has(table)) {
+      return [{ alias, kind: "derived", entries: ctes.get(table) }];
+    }
+    return [{ alias, kind: "base", table }];
+  });
+}
+
+/**
+ * Output columns of a SELECT, in order: { name, refs, direct } for expressions and
+ * { wildcard: true, tables } for `*` over base tables (column count unknown).
+ */
+function selectEntries(stmt, outerScopes = [], outerCtes = new Map()) {
+  const ctes = new Map(outerCtes);
+  (Array.isArray(stmt.with) ? stmt.with : []).forEach((cte) => {
+    const name = lower(cte?.name?.value ?? cte?.name);
+    if (name && cte?.stmt?.ast) {
+      ctes.set(name, selectEntries(cte.stmt.ast, outerScopes, ctes));
+    }
+  });
+
+  const relations = fromRelations(stmt, outerScopes, ctes);
+  const scopes = [relations, ...outerScopes];
+  const columns = Array.isArray(stmt.columns)
+    ? stmt.columns
+    : [{ expr: { type: "column_ref", table: null, column: "*" } }];
+
+  return columns.flatMap((column) => {
+    const expr = column.expr;
+
+    if (isStar(expr)) {
+      const qualifier = lower(expr.table);
+      const starred = relations.filter(
+        (r) => !qualifier || r.alias === qualifier
+      );
+      return starred.flatMap((r) =>
+        r.kind === "derived"
+          ? r.entries
+          : [{ wildcard: true, tables: [r.table] }]
+      );
+    }
+
+    if (expr?.type === "column_ref") {
+      const { refs, direct } = resolveColumnRef(expr, scopes);
+      return [{ name: entryName(column), refs, direct }];
+    }
+
+    return [
+      {
+        name: entryName(column),
+        refs: expressionRefs(expr, scopes, ctes),
+        direct: null,
+      },
+    ];
+  });
+}
+
+/**
+ * Source columns for each result field (same order as `fields`):
+ * [{ refs: [{ table, column }], direct: { table, column } | null }], where `direct` is set when
+ * the field is a plain (possibly aliased) base column. Returns null when the SQL cannot be parsed.
+ */
+export function resolveResultColumnSources({ sql, fields, dialect }) {
+  let entries;
+  try {
+    entries = selectEntries(parseSelectStatement(sql, dialect));
+  } catch {
+    return null;
+  }
+
+  const list = fields || [];
+  const hasWildcard = entries.some((e) => e.wildcard);
+
+  if (!hasWildcard && entries.length === list.length) {
+    return entries.map(({ refs, direct }) => ({ refs, direct }));
+  }
+
+  const starred = entries.filter((e) => e.wildcard).flatMap((e) => e.tables);
+  const unnamedRefs = entries
+    .filter((e) => !e.wildcard && !e.name)
+    .flatMap((e) => e.refs);
+
+  return list.map((field) => {
+    const name = lower(field.name);
+    const named = entries.find((e) => !e.wildcard && e.name === name);
+    if (named) return { refs: named.refs, direct: named.direct };
+
+    const refs = starred.map((table) => ({ table, column: name }));
+    return {
+      refs: uniqueRefs([...refs, ...unnamedRefs]),
+      direct: refs.length === 1 && unnamedRefs.length === 0 ? refs[0] : null,
+    };
+  });
+}
@@ -0,0 +1,199 @@
+// lib/db/columnMasking.js
+// Column-level PII masking (core DB table `column_masking_policies`).
+//
+// A policy names a data column (`column_name`, optionally narrowed by `table_name`) and a strategy:
+//   - "hash":    deterministic HMAC token (grouping/counting still works, values are not readable)
+//   - "partial": keep the first and last character, e.g. "Maria" -> "M***a"
+//   - "redact":  replace with "[REDACTED]"
+//   - "allow":   no masking (explicit opt-out)
+// `exempt_roles` (comma-separated) lists JWT roles / tenant roles that see raw values.
+//
+// Result columns are matched on the driver's original column name (`orgName`), so aliases such as
+// `firstname AS "First Name"` are still masked, and on the result column name as a fallback.
+// Given the executed SQL, computed columns are checked too (lib/db/columnLineage.js): a column whose
+// expression reads a column masked for the user (`CONCAT(firstname, ' ', lastname)`,
+// `UPPER(email)`, ...) is redacted, since a hash or partial mask of the expression would not hide it.
+
+import crypto from "crypto";
+import { coreQuery } from "@/lib/db/coreDb";
+import { resolveResultColumnSources } from "@/lib/db/columnLineage";
+
+export const MASKING_STRATEGIES = ["hash", "partial", "redact", "allow"];
+
+const REDACTED = "[REDACTED]";
+
+function parseRoleList(value) {
+  if (Array.isArray(value)) return value.map(String);
+  if (!value) return [];
+  return String(value)
+    .split(",")
+    .map((r) => r.trim())
+    .filter(Boolean);
+}
+
+export async function loadMaskingPolicies(tenantId) {
+  const rows = await coreQuery(
+    `SELECT id, table_name, column_name, strategy, exempt_roles
+     FROM column_masking_policies
+     WHERE tenant_id = ?`,
+    [tenantId]
+  );
+  return Array.isArray(rows) ? rows : [];
+}
+
+function hashValue(value, tenantId) {
+  const secret = `${process.env.PII_HASH_SECRET || ""}:${tenantId}`;
+  return (
+    "h_" +
+    crypto
+      .createHmac("sha256", secret)
+      .update(String(value))
+      .digest("hex")
+      .slice(0, 12)
+  );
+}
+
+function partialMask(value) {
+  const s = String(value);
+  if (s.length <= 2) return "*".repeat(s.length);
+
+  // Emails keep their domain
+  const at = s.indexOf("@");
+  if (at > 0) return `${partialMask(s.slice(0, at))}${s.slice(at)}`;
+
+  return `${s[0]}${"*".repeat(s.length - 2)}${s[s.length - 1]}`;
+}
+
+function maskValue(value, strategy, tenantId) {
+  if (value == null || value === "") return value;
+  if (strategy === "hash") return hashValue(value, tenantId);
+  if (strategy === "partial") return partialMask(value);
+  if (strategy === "redact") return REDACTED;
+  return value;
+}
+
+function findPolicy(field, policies) {
+  const orgName = String(field.orgName || "").toLowerCase();
+  const name = String(field.name || "").toLowerCase();
+  const orgTable = String(field.orgTable || "").toLowerCase();
+
+  const candidates = policies.filter((p) => {
+    const col = String(p.column_name || "").toLowerCase();
+    return col && (col === orgName || col === name);
+  });
+
+  // Prefer a table-specific policy when the driver tells us the source table
+  return (
+    candidates.find(
+      (p) => p.table_name && String(p.table_name).toLowerCase() === orgTable
+    ) ||
+    candidates.find((p) => !p.table_name) ||
+    candidates[0] ||
+    null
+  );
+}
+
+function policyStrategy(policy) {
+  return MASKING_STRATEGIES.includes(policy.strategy)
+    ? policy.strategy
+    : "redact";
+}
+
+function isExempt(policy, userRoles) {
+  return parseRoleList(policy.exempt_roles).some((r) => userRoles.includes(r));
+}
+
+//First source column of a computed result column that is masked for the user.
+function findMaskedSource(refs, policies, userRoles) {
+  for (const ref of refs || []) {
+    const policy = findPolicy(
+      { orgName: ref.column, orgTable: ref.table },
+      policies
+    );
+    if (
+      policy &&
+      (!policy.table_name ||
+        !ref.table ||
+        String(policy.table_name).toLowerCase() === ref.table) &&
+      policyStrategy(policy) !== "allow" &&
+      !isExempt(policy, userRoles)
+    ) {
+      return ref;
+    }
+  }
+  return null;
+}
+
+/**
+ * Mask result rows according to the tenant's column policies.
+ * `sql` (the executed SELECT) and `dialect` enable the computed-column check.
+ * Returns masked copies of the rows plus per-column decisions for answerPayload.meta.
+ */
+export function applyColumnMasking({
+  fields,
+  rows,
+  policies,
+  user,
+  tenantId,
+  sql = null,
+  dialect,
+}) {
+  const decisions = [];
+
+  if (!Array.isArray(policies) || policies.length === 0) {
+    return { rows, masking: { applied: false, columns: decisions } };
+  }
+
+  const userRoles = [user?.role, user?.tenantRole].filter(Boolean);
+  const maskedColumns = [];
+  const sources = sql
+    ? resolveResultColumnSources({ sql, fields, dialect })
+    : null;
+
+  (fields || []).forEach((field, i) => {
+    const policy = findPolicy(field, policies);
+
+    if (!policy) {
+      // Computed from a masked column: fail closed
+      const source = findMaskedSource(sources?.[i]?.refs, policies, userRoles);
+      if (!source) return;
+      decisions.push({
+        column: field.name,
+        sourceColumn: source.column,
+        strategy: "redact",
+        exempt: false,
+        derived: true,
+      });
+      maskedColumns.push({ key: field.name, strategy: "redact" });
+      return;
+    }
+
+    const strategy = policyStrategy(policy);
+    const exempt = isExempt(policy, userRoles);
+
+    decisions.push({
+      column: field.name,
+      sourceColumn: field.orgName || field.name,
+      strategy,
+      exempt,
+    });
+
+    if (!exempt && strategy !== "allow") {
+      maskedColumns.push({ key: field.name, strategy });
+    }
+  });
+
+  if (maskedColumns.length === 0) {
+    return { rows, masking: { applied: false, columns: decisions } };
+  }
+
+  const maskedRows = (rows || []).map((row) => {
+    const out = { ...row };
+    maskedColumns.forEach(({ key, strategy }) => {
+      out[key] = maskValue(row?.[key], strategy, tenantId);
+    });
+    return out;
+  });
+
+  return { rows: maskedRows, masking: { applied: true, columns: decisions } };
+}
@@ -1,26 +1,46 @@
-import mysql from "mysql2/promise";
 import { queryWithPool, queryWithFieldsWithPool } from "./helpers";
+import { getDataDbDriver } from "./drivers";
 
 const pools = new Map();
 
+//Pool type follows tenants.data_db_type (mysql2 pool, pg Pool, SQLite handle or DuckDB instance).
 export async function getDataDbConnectionForTenant(tenant) {
   if (!pools.has(tenant.id)) {
-    const pool = mysql.createPool({
-      host: tenant.data_db_host,
-      user: tenant.data_db_user,
-      password: tenant.data_db_password,
-      database: tenant.data_db_name,
-      waitForConnections: true,
-      connectionLimit: 10,
-    });
-
+    // Some drivers open asynchronously; a failed open is not cached.
+    const pool = Promise.resolve(getDataDbDriver(tenant).createPool(tenant));
+    pool.catch(() => pools.delete(tenant.id));
     pools.set(tenant.id, pool);
   }
 
   return pools.get(tenant.id);
 }
 
-/* Tenant-scoped helpers */
+/* Run a read query on the tenant's data DB through its driver. Returns { rows, fields }. */
+export async function dataDbQuery(tenant, sql, { signal, timeoutMs } = {}) {
+  const pool = await getDataDbConnectionForTenant(tenant);
+  return getDataDbDriver(tenant).query(pool, sql, { signal, timeoutMs });
+}
+
+/* Stream rows of a read query (exports). Buffered through query() when the driver cannot stream. */
+export async function* dataDbStream(
+  tenant,
+  sql,
+  { signal, timeoutMs, onFields } = {}
+) {
+  const pool = await getDataDbConnectionForTenant(tenant);
+  const driver = getDataDbDriver(tenant);
+
+  if (driver.streamQuery) {
+    yield* driver.streamQuery(pool, sql, { signal, timeoutMs, onFields });
+    return;
+  }
+
+  const { rows, fields } = await driver.query(pool, sql, { signal, timeoutMs });
+  onFields?.(fields);
+  yield* rows;
+}
+
+/* Tenant-scoped helpers (mysql2 pools only: parameterized execute) */
 export async function tenantQuery(tenant, sql, params = []) {
   const pool = getDataDbConnectionForTenant(tenant);
   return queryWithPool(pool, sql, params);
@@ -0,0 +1,166 @@
+// lib/db/drivers/duckdb.js
+// DuckDB data DB driver (@duckdb/node-api, file opened read-only). See lib/db/drivers/index.js.
+
+import { DuckDBInstance } from "@duckdb/node-api";
+import { SQL_DIALECTS } from "@/lib/db/sqlSafety";
+import { resolveResultColumnSources } from "@/lib/db/columnLineage";
+import {
+  escapeString,
+  filterTables,
+  formatTableInfo,
+  quoteIdentifier,
+  resolveDataFile,
+  wrapScope,
+} from "./fileDb";
+
+// DuckDB errors carry no code, only a "<Kind> Error:" message prefix (mapped to DUCKDB_<KIND>).
+const REPAIRABLE_CODES = [
+  "DUCKDB_BINDER",
+  "DUCKDB_PARSER",
+  "DUCKDB_CATALOG",
+  "DUCKDB_CONVERSION",
+];
+
+function withErrorCode(err) {
+  const match = /^([A-Za-z ]+?) Error:/.exec(String(err?.message || ""));
+  if (match && err && !err.code) {
+    err.code = `DUCKDB_${match[1].trim().toUpperCase().replace(/\s+/g, "_")}`;
+  }
+  return err;
+}
+
+//BIGINT / HUGEINT come back as BigInt, which JSON cannot serialize.
+function toPlainValue(value) {
+  if (typeof value !== "bigint") return value;
+  const asNumber = Number(value);
+  return Number.isSafeInteger(asNumber) ? asNumber : value.toString();
+}
+
+function toPlainRow(row) {
+  const out = {};
+  Object.entries(row).forEach(([key, value]) => {
+    out[key] = toPlainValue(value);
+  });
+  return out;
+}
+
+//DuckDB results carry no source table / column, so plain (possibly aliased) table columns are
+//resolved from the SQL itself; column masking and the column dictionary match on them.
+function resultFields(sql, names) {
+  const fields = names.map((name) => ({ name }));
+  const sources = resolveResultColumnSources({
+    sql,
+    fields,
+    dialect: SQL_DIALECTS.duckdb,
+  });
+  return fields.map((field, i) => ({
+    ...field,
+    orgName: sources?.[i]?.direct?.column ?? null,
+    orgTable: sources?.[i]?.direct?.table ?? null,
+  }));
+}
+
+//Abort and the time limit both interrupt the running statement on its connection.
+async function runQuery(instance, sql, { signal, timeoutMs = 0 } = {}) {
+  signal?.throwIfAborted();
+  const connection = await instance.connect();
+  const interrupt = () => connection.interrupt();
+  signal?.addEventListener("abort", interrupt, { once: true });
+  const timer = timeoutMs > 0 ? setTimeout(interrupt, timeoutMs) : null;
+
+  try {
+    const reader = await connection.runAndReadAll(sql);
+    return {
+      rows: reader.getRowObjectsJS().map(toPlainRow),
+      fields: resultFields(sql, reader.columnNames()),
+    };
+  } catch (err) {
+    throw withErrorCode(err);
+  } finally {
+    if (timer) clearTimeout(timer);
+    signal?.removeEventListener("abort", interrupt);
+    connection.closeSync();
+  }
+}
+
+const duckdbDriver = {
+  type: "duckdb",
+  label: "DuckDB",
+  defaultPort: null,
+  sqlDialect: SQL_DIALECTS.duckdb,
+
+  promptRules: [
+    'Quote identifiers and aliases that contain spaces or reserved words with double quotes ("Total Sales").',
+    "Use strftime(date, '%Y-%m') or date_trunc('month', date) for year-month buckets and CURRENT_DATE - INTERVAL 30 DAY for relative dates.",
+    "Use ILIKE for case-insensitive matching.",
+  ],
+
+  //Read-only instance with file access disabled, so read_csv('/etc/...') and friends fail too.
+  createPool(tenant) {
+    return DuckDBInstance.create(resolveDataFile(tenant), {
+      access_mode: "READ_ONLY",
+      enable_external_access: "false",
+      lock_configuration: "true",
+    });
+  },
+
+  query: runQuery,
+
+  //Local plans carry no row estimates; file-backed demo data is not cost-guarded.
+  async estimateScanRows() {
+    return null;
+  },
+
+  //No TypeORM data source; schema text comes from describeTables.
+  dataSourceOptions() {
+    return null;
+  },
+
+  async describeTables(instance, allowedTables, sampleRows) {
+    const { rows: columnRows } = await runQuery(
+      instance,
+      `SELECT table_name, column_name, data_type, is_nullable
+       FROM information_schema.columns
+       WHERE table_schema = 'main'
+       ORDER BY table_name, ordinal_position`
+    );
+
+    const byTable = new Map();
+    columnRows.forEach((r) => {
+      if (!byTable.has(r.table_name)) byTable.set(r.table_name, []);
+      byTable.get(r.table_name).push({
+        name: r.column_name,
+        type: r.data_type,
+        nullable: r.is_nullable === "YES",
+      });
+    });
+
+    const tables = [];
+    for (const name of filterTables(
+      Array.from(byTable.keys()),
+      allowedTables
+    )) {
+      const { rows } = await runQuery(
+        instance,
+        `SELECT * FROM ${quoteIdentifier(name)} LIMIT ${Number(sampleRows) || 0}`
+      );
+      tables.push({ name, columns: byTable.get(name), sampleRows: rows });
+    }
+
+    return formatTableInfo(tables);
+  },
+
+  tableQualifier() {
+    return "main";
+  },
+
+  quoteIdentifier,
+  escapeString,
+  wrapScope,
+
+  isRepairableError(errorCode) {
+    return REPAIRABLE_CODES.includes(String(errorCode || ""));
+  },
+};
+
+export default duckdbDriver;
@@ -0,0 +1,66 @@
+// lib/db/drivers/fileDb.js
+// Shared helpers for file-backed data DB drivers (SQLite, DuckDB).
+//
+// For these tenants `data_db_name` holds the database file path, absolute or relative to
+// DATA_DB_FILE_DIR (default ./data). Files are created with scripts/import-csv.mjs.
+
+import path from "path";
+
+export function resolveDataFile(tenant) {
+  const file = String(tenant?.data_db_name || "").trim();
+  if (!file) {
+    throw new Error(`Tenant ${tenant?.id} has no data file configured`);
+  }
+  return path.resolve(process.env.DATA_DB_FILE_DIR || "data", file);
+}
+
+export function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, "")}"`;
+}
+
+export function escapeString(value) {
+  return String(value).replace(/\0/g, "").replace(/'/g, "''");
+}
+
+export function wrapScope(sql, scopeFilter) {
+  return `
+    SELECT *
+    FROM (
+      ${sql}
+    ) AS ${quoteIdentifier("scoped_result")}
+    WHERE (${scopeFilter})
+  `;
+}
+
+//Keep only allowlisted tables (empty allowlist = all tables), matched case-insensitively.
+export function filterTables(tableNames, allowedTables) {
+  const allowed = new Set(
+    (allowedTables || []).map((t) => String(t).toLowerCase())
+  );
+  if (allowed.size === 0) return tableNames;
+  return tableNames.filter((t) => allowed.has(String(t).toLowerCase()));
+}
+
+/**
+ * Render tables in the same text shape SqlDatabase.getTableInfo() produces for server databases:
+ * a CREATE TABLE line, the sample query and a few sample rows.
+ * `tables` is [{ name, columns: [{ name, type, nullable }], sampleRows: [{...}] }].
+ */
+export function formatTableInfo(tables) {
+  return tables
+    .map((table) => {
+      const columns = table.columns
+        .map((c) => `${c.name} ${c.type || ""} ${c.nullable ? "" : "NOT NULL"}`)
+        .join(", ");
+      const sampleQuery = `SELECT * FROM ${quoteIdentifier(table.name)} LIMIT ${table.sampleRows.length};`;
+      const header = table.columns.map((c) => ` ${c.name}`).join("");
+      const sample = table.sampleRows
+        .map((row) =>
+          table.columns.map((c) => String(row[c.name] ?? "")).join(" ")
+        )
+        .join("\n");
+
+      return `CREATE TABLE ${table.name} (\n${columns}) \n${sampleQuery}\n${header}\n${sample}\n`;
+    })
+    .join("\n");
+}
@@ -0,0 +1,52 @@
+// lib/db/drivers/index.js
+// Data DB drivers, selected per tenant by `tenants.data_db_type`.
+//
+// Every driver exposes:
+//   type, label, defaultPort       identification ("mysql" / "MySQL" / 3306)
+//   sqlDialect                     sqlSafety policy inputs (parser dialect, blocked functions, system schemas)
+//   promptRules                    dialect-specific lines for the SQL generation prompt
+//   createPool(tenant)             connection pool for the tenant's data DB
+//   query(pool, sql, { signal, timeoutMs })
+//                                  -> { rows, fields } (fields carry at least `name`, plus `orgName` /
+//                                  `orgTable` for plain table columns when the database reports them);
+//                                  aborting the signal cancels the running statement, timeoutMs
+//                                  limits it server-side
+//   streamQuery(pool, sql, { signal, timeoutMs, onFields })
+//                                  optional: async iterable of rows for large exports (onFields gets the
+//                                  column metadata); drivers without it are read through query()
+//   estimateScanRows(pool, sql)    EXPLAIN-based estimate of rows read, or null when unavailable
+//   dataSourceOptions(tenant)      TypeORM options for schema introspection (null for file drivers)
+//   describeTables(pool, tables, sampleRows)
+//                                  schema text for drivers without a TypeORM data source
+//   tableQualifier(tenant)         the only db/schema name generated SQL may qualify tables with
+//   quoteIdentifier(name), escapeString(value)
+//   wrapScope(sql, scopeFilter)    wrap a query so the tenant scope filter applies to its result
+//   isRepairableError(code)        whether a driver error is worth sending back to the model
+
+import mysqlDriver from "./mysql";
+import postgresDriver from "./postgres";
+import sqliteDriver from "./sqlite";
+import duckdbDriver from "./duckdb";
+
+const DRIVERS_BY_TYPE = {
+  mysql: mysqlDriver,
+  mariadb: mysqlDriver,
+  postgres: postgresDriver,
+  postgresql: postgresDriver,
+  pg: postgresDriver,
+  sqlite: sqliteDriver,
+  sqlite3: sqliteDriver,
+  duckdb: duckdbDriver,
+};
+
+//Unknown or empty data_db_type falls back to MySQL (the historical default).
+export function getDriverForType(dbType) {
+  const key = String(dbType || "")
+    .trim()
+    .toLowerCase();
+  return DRIVERS_BY_TYPE[key] || mysqlDriver;
+}
+
+export function getDataDbDriver(tenant) {
+  return getDriverForType(tenant?.data_db_type);
+}
@@ -0,0 +1,153 @@
+// lib/db/drivers/mysql.js
+// MySQL data DB driver (mysql2). See lib/db/drivers/index.js for the driver contract.
+
+import mysql from "mysql2/promise";
+import { SQL_DIALECTS } from "@/lib/db/sqlSafety";
+
+function quoteIdentifier(name) {
+  return `\`${String(name).replace(/`/g, "")}\``;
+}
+
+//KILL QUERY from another pooled connection; the interrupted connection stays usable.
+async function killQuery(pool, threadId) {
+  try {
+    await pool.query(`KILL QUERY ${Number(threadId)}`);
+  } catch (err) {
+    console.error("KILL QUERY failed:", err);
+  }
+}
+
+//Server-side time limit for SELECTs on this session (0 = none). MySQL 5.7.8+ uses
+//max_execution_time (ms); MariaDB only knows max_statement_time (seconds).
+async function setSessionTimeout(conn, timeoutMs) {
+  const ms = timeoutMs > 0 ? Math.round(timeoutMs) : 0;
+  try {
+    await conn.query("SET SESSION max_execution_time = ?", [ms]);
+  } catch {
+    await conn.query("SET SESSION max_statement_time = ?", [ms / 1000]);
+  }
+}
+
+// Timeouts and cancellations are not fixed by rewriting the SQL.
+const NON_REPAIRABLE_CODES = ["ER_QUERY_TIMEOUT", "ER_QUERY_INTERRUPTED"];
+
+const mysqlDriver = {
+  type: "mysql",
+  label: "MySQL",
+  defaultPort: 3306,
+  sqlDialect: SQL_DIALECTS.mysql,
+
+  promptRules: [
+    "Quote identifiers and aliases that contain spaces or reserved words with backticks.",
+    "Use DATE_FORMAT(date, '%Y-%m') for year-month buckets and CURDATE() / DATE_SUB() for relative dates.",
+  ],
+
+  createPool(tenant) {
+    return mysql.createPool({
+      host: tenant.data_db_host,
+      port: Number(tenant.data_db_port || mysqlDriver.defaultPort),
+      user: tenant.data_db_user,
+      password: tenant.data_db_password,
+      database: tenant.data_db_name,
+      waitForConnections: true,
+      connectionLimit: 10,
+    });
+  },
+
+  //A dedicated connection so an abort can KILL QUERY its thread id.
+  async query(pool, sql, { signal, timeoutMs = 0 } = {}) {
+    signal?.throwIfAborted();
+    const conn = await pool.getConnection();
+    const onAbort = () => killQuery(pool, conn.threadId);
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      await setSessionTimeout(conn, timeoutMs);
+      const [rows, fields] = await conn.query(sql);
+      return { rows, fields: fields || [] };
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+      conn.release();
+    }
+  },
+
+  //Rows one at a time from a mysql2 query stream (backpressure via the async iterator), for exports.
+  //Stopping early kills the statement and drops the connection instead of returning it mid-result.
+  async *streamQuery(pool, sql, { signal, timeoutMs = 0, onFields } = {}) {
+    signal?.throwIfAborted();
+    const conn = await pool.getConnection();
+    const onAbort = () => killQuery(pool, conn.threadId);
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    let finished = false;
+    try {
+      await setSessionTimeout(conn, timeoutMs);
+      // The promise wrapper has no streaming; use its callback connection
+      const query = conn.connection.query(sql);
+      query.on("fields", (fields) => onFields?.(fields || []));
+      for await (const row of query.stream({ highWaterMark: 500 })) {
+        yield row;
+      }
+      finished = true;
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+      if (finished) {
+        conn.release();
+      } else {
+        await killQuery(pool, conn.threadId);
+        conn.destroy();
+      }
+    }
+  },
+
+  //Optimizer row estimate: sum of `rows` over every step of the EXPLAIN plan.
+  async estimateScanRows(pool, sql) {
+    const [plan] = await pool.query(`EXPLAIN ${sql}`);
+    return (plan || []).reduce(
+      (sum, step) => sum + (Number(step.rows) || 0),
+      0
+    );
+  },
+
+  //TypeORM options used by SqlDatabase for schema introspection.
+  dataSourceOptions(tenant) {
+    return {
+      type: "mysql",
+      host: tenant.data_db_host,
+      port: Number(tenant.data_db_port || mysqlDriver.defaultPort),
+      username: tenant.data_db_user,
+      password: tenant.data_db_password,
+      database: tenant.data_db_name,
+    };
+  },
+
+  //Qualifier generated SQL may use in front of table names (db.table).
+  tableQualifier(tenant) {
+    return tenant.data_db_name || null;
+  },
+
+  quoteIdentifier,
+
+  //Body of a string literal (without quotes); the SQL parser emits literal values verbatim.
+  escapeString(value) {
+    return mysql.escape(String(value)).slice(1, -1);
+  },
+
+  wrapScope(sql, scopeFilter) {
+    return `
+    SELECT *
+    FROM (
+      ${sql}
+    ) AS ${quoteIdentifier("scoped_result")}
+    WHERE (${scopeFilter})
+  `;
+  },
+
+  //Only SQL problems are worth sending back to the model; connection/auth failures are not.
+  isRepairableError(errorCode) {
+    const code = String(errorCode || "");
+    return code.startsWith("ER_") && !NON_REPAIRABLE_CODES.includes(code);
+  },
+};
+
+export default mysqlDriver;
@@ -0,0 +1,210 @@
+// lib/db/drivers/postgres.js
+// PostgreSQL data DB driver (pg). See lib/db/drivers/index.js for the driver contract.
+
+import pg from "pg";
+import { SQL_DIALECTS } from "@/lib/db/sqlSafety";
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, "")}"`;
+}
+
+//Source table / column names by "tableID:columnID", per pool (OIDs are only unique per database).
+const fieldSourceCache = new WeakMap();
+
+//pg reports plain table columns as { tableID, columnID } (0 for computed ones); look the names up
+//in the catalog so column masking and the column dictionary see through aliases (`email AS x`).
+async function resolveFieldSources(pool, client, fields) {
+  if (!fieldSourceCache.has(pool)) fieldSourceCache.set(pool, new Map());
+  const cache = fieldSourceCache.get(pool);
+  const key = (f) => `${f.tableID}:${f.columnID}`;
+
+  const missing = (fields || []).filter(
+    (f) => f.tableID > 0 && f.columnID > 0 && !cache.has(key(f))
+  );
+  if (missing.length > 0) {
+    try {
+      const result = await client.query(
+        `SELECT a.attrelid AS table_id, a.attnum AS column_id, c.relname, a.attname
+         FROM unnest($1::oid[], $2::int2[]) AS f(table_id, column_id)
+         JOIN pg_attribute a ON a.attrelid = f.table_id AND a.attnum = f.column_id
+         JOIN pg_class c ON c.oid = a.attrelid`,
+        [missing.map((f) => f.tableID), missing.map((f) => f.columnID)]
+      );
+      result.rows.forEach((r) =>
+        cache.set(`${r.table_id}:${r.column_id}`, {
+          orgTable: r.relname,
+          orgName: r.attname,
+        })
+      );
+    } catch (err) {
+      console.error("Column source lookup failed:", err);
+    }
+  }
+
+  return (fields || []).map((f) => cache.get(key(f)) || null);
+}
+
+//pg reports columns as { name, dataTypeID }; keep the mysql2-like shape the rest of the app reads.
+function normalizeFields(fields, sources = []) {
+  return (fields || []).map((f, i) => ({
+    name: f.name,
+    orgName: sources[i]?.orgName ?? null,
+    orgTable: sources[i]?.orgTable ?? null,
+    dataTypeID: f.dataTypeID,
+  }));
+}
+
+//Depth-first list of every node in an EXPLAIN (FORMAT JSON) plan.
+function planNodes(plan, out = []) {
+  if (!plan) return out;
+  out.push(plan);
+  (plan.Plans || []).forEach((child) => planNodes(child, out));
+  return out;
+}
+
+function relationName(node) {
+  return [node.Schema, node["Relation Name"]]
+    .filter(Boolean)
+    .map(quoteIdentifier)
+    .join(".");
+}
+
+// SQLSTATE classes that describe the query itself: 22 data exception, 42 syntax / undefined object.
+const REPAIRABLE_SQLSTATE_CLASSES = ["22", "42"];
+
+const postgresDriver = {
+  type: "postgres",
+  label: "PostgreSQL",
+  defaultPort: 5432,
+  sqlDialect: SQL_DIALECTS.postgres,
+
+  promptRules: [
+    'Quote identifiers and aliases that contain spaces, capitals or reserved words with double quotes ("Total Sales"), never backticks.',
+    "Use TO_CHAR(date, 'YYYY-MM') or DATE_TRUNC('month', date) for year-month buckets and CURRENT_DATE - INTERVAL '30 days' for relative dates.",
+    "Use ILIKE for case-insensitive matching.",
+    "Cast to NUMERIC before dividing integers (SUM(a)::numeric / NULLIF(SUM(b), 0)) to avoid integer division.",
+    "Every column in SELECT that is not aggregated must appear in GROUP BY.",
+  ],
+
+  createPool(tenant) {
+    return new pg.Pool({
+      host: tenant.data_db_host,
+      port: Number(tenant.data_db_port || postgresDriver.defaultPort),
+      user: tenant.data_db_user,
+      password: tenant.data_db_password,
+      database: tenant.data_db_name,
+      max: 10,
+      // Defense in depth on top of sqlSafety: sessions cannot write even if a query slips through.
+      options: "-c default_transaction_read_only=on",
+    });
+  },
+
+  //A dedicated client so an abort can pg_cancel_backend its backend pid.
+  async query(pool, sql, { signal, timeoutMs = 0 } = {}) {
+    signal?.throwIfAborted();
+    const client = await pool.connect();
+    const onAbort = () =>
+      pool
+        .query("SELECT pg_cancel_backend($1)", [client.processID])
+        .catch((err) => console.error("pg_cancel_backend failed:", err));
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    try {
+      // Server-side time limit; the query fails with SQLSTATE 57014 (not repairable)
+      await client.query(
+        `SET statement_timeout = ${timeoutMs > 0 ? Math.round(timeoutMs) : 0}`
+      );
+      const result = await client.query(sql);
+      const sources = await resolveFieldSources(pool, client, result.fields);
+      return {
+        rows: result.rows,
+        fields: normalizeFields(result.fields, sources),
+      };
+    } finally {
+      signal?.removeEventListener("abort", onAbort);
+      client.release();
+    }
+  },
+
+  //Sum of rows read by scan nodes. "Plan Rows" of a Seq Scan is its output after filtering,
+  //so sequential scans count the table's reltuples instead.
+  async estimateScanRows(pool, sql) {
+    const result = await pool.query(`EXPLAIN (FORMAT JSON) ${sql}`);
+    const scans = planNodes(result.rows?.[0]?.["QUERY PLAN"]?.[0]?.Plan).filter(
+      (node) => /Scan$/.test(String(node["Node Type"] || ""))
+    );
+
+    const seqTables = scans
+      .filter(
+        (node) => node["Node Type"] === "Seq Scan" && node["Relation Name"]
+      )
+      .map(relationName);
+
+    const reltuples = new Map();
+    if (seqTables.length > 0) {
+      try {
+        const stats = await pool.query(
+          `SELECT t.name, c.reltuples
+           FROM unnest($1::text[]) AS t(name)
+           LEFT JOIN pg_class c ON c.oid = to_regclass(t.name)`,
+          [seqTables]
+        );
+        stats.rows.forEach((r) => reltuples.set(r.name, Number(r.reltuples)));
+      } catch (err) {
+        console.error("reltuples lookup failed:", err);
+      }
+    }
+
+    return scans.reduce((sum, node) => {
+      const planRows = Number(node["Plan Rows"]) || 0;
+      const tableRows =
+        node["Node Type"] === "Seq Scan"
+          ? reltuples.get(relationName(node)) || 0
+          : 0;
+      return sum + Math.max(planRows, tableRows);
+    }, 0);
+  },
+
+  //TypeORM options used by SqlDatabase for schema introspection.
+  dataSourceOptions(tenant) {
+    return {
+      type: "postgres",
+      host: tenant.data_db_host,
+      port: Number(tenant.data_db_port || postgresDriver.defaultPort),
+      username: tenant.data_db_user,
+      password: tenant.data_db_password,
+      database: tenant.data_db_name,
+      schema: postgresDriver.tableQualifier(tenant),
+    };
+  },
+
+  //Qualifier generated SQL may use in front of table names (schema.table).
+  tableQualifier(tenant) {
+    return tenant.data_db_schema || "public";
+  },
+
+  quoteIdentifier,
+
+  //Body of a string literal (without quotes); standard_conforming_strings keeps backslashes literal.
+  escapeString(value) {
+    return String(value).replace(/\0/g, "").replace(/'/g, "''");
+  },
+
+  wrapScope(sql, scopeFilter) {
+    return `
+    SELECT *
+    FROM (
+      ${sql}
+    ) AS ${quoteIdentifier("scoped_result")}
+    WHERE (${scopeFilter})
+  `;
+  },
+
+  isRepairableError(errorCode) {
+    return REPAIRABLE_SQLSTATE_CLASSES.includes(
+      String(errorCode || "").slice(0, 2)
+    );
+  },
+};
+
+export default postgresDriver;
@@ -0,0 +1,185 @@
+// lib/db/drivers/sqlite.js
+// SQLite data DB driver (better-sqlite3, file opened read-only). See lib/db/drivers/index.js.
+//
+// better-sqlite3 is synchronous and cannot interrupt a statement, so queries run in a worker
+// thread on their own read-only handle: the event loop stays free, and the time limit or an abort
+// terminates the worker and rejects at once. A statement reading rows stops at the next row; a
+// single long step (e.g. a large aggregate) still runs to its end in the background.
+
+import { Worker } from "worker_threads";
+import Database from "better-sqlite3";
+import { SQL_DIALECTS, sqlPolicyError } from "@/lib/db/sqlSafety";
+import {
+  escapeString,
+  filterTables,
+  formatTableInfo,
+  quoteIdentifier,
+  resolveDataFile,
+  wrapScope,
+} from "./fileDb";
+
+// Errors about the query itself; SQLITE_READONLY / SQLITE_CANTOPEN / SQLITE_BUSY / timeouts are not.
+const REPAIRABLE_CODES = ["SQLITE_ERROR", "SQLITE_MISMATCH", "SQLITE_RANGE"];
+
+// CommonJS source of the query worker (eval'd, so it needs no file of its own in the build).
+const QUERY_WORKER_SOURCE = `
+const { parentPort, workerData } = require("worker_threads");
+const Database = require("better-sqlite3");
+let db = null;
+try {
+  db = new Database(workerData.file, { readonly: true, fileMustExist: true });
+  const stmt = db.prepare(workerData.sql);
+  if (!stmt.reader) {
+    parentPort.postMessage({ reader: false });
+  } else {
+    const rows = [];
+    for (const row of stmt.iterate()) rows.push(row);
+    parentPort.postMessage({ reader: true, rows, columns: stmt.columns() });
+  }
+} catch (err) {
+  parentPort.postMessage({ error: { message: String(err.message || err), code: err.code } });
+} finally {
+  if (db) db.close();
+}
+`;
+
+//Run one statement in a worker; resolves with its message, rejects on error, timeout or abort.
+function runInWorker(file, sql, { signal, timeoutMs = 0 } = {}) {
+  signal?.throwIfAborted();
+
+  return new Promise((resolve, reject) => {
+    const worker = new Worker(QUERY_WORKER_SOURCE, {
+      eval: true,
+      workerData: { file, sql },
+    });
+    let timer = null;
+    let settled = false;
+
+    const settle = (fn, value) => {
+      if (settled) return;
+      settled = true;
+      if (timer) clearTimeout(timer);
+      signal?.removeEventListener("abort", onAbort);
+      fn(value);
+    };
+    const stop = (err) => {
+      worker.terminate().catch(() => {});
+      settle(reject, err);
+    };
+    function onAbort() {
+      stop(signal.reason);
+    }
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+    if (timeoutMs > 0) {
+      timer = setTimeout(() => {
+        const err = new Error(
+          `Query exceeded the ${Math.round(timeoutMs)} ms time limit`
+        );
+        err.code = "SQLITE_QUERY_TIMEOUT";
+        stop(err);
+      }, timeoutMs);
+    }
+
+    worker.once("message", (message) => {
+      if (!message.error) return settle(resolve, message);
+      const err = new Error(message.error.message);
+      err.code = message.error.code;
+      settle(reject, err);
+    });
+    worker.once("error", (err) => settle(reject, err));
+    worker.once("exit", (code) =>
+      settle(reject, new Error(`SQLite query worker exited with code ${code}`))
+    );
+  });
+}
+
+const sqliteDriver = {
+  type: "sqlite",
+  label: "SQLite",
+  defaultPort: null,
+  sqlDialect: SQL_DIALECTS.sqlite,
+
+  promptRules: [
+    'Quote identifiers and aliases that contain spaces or reserved words with double quotes ("Total Sales").',
+    "Use strftime('%Y-%m', date) for year-month buckets and date('now', '-30 days') for relative dates.",
+    "There is no ILIKE; LIKE is already case-insensitive for ASCII text.",
+    "Multiply by 1.0 before dividing integers to avoid integer division.",
+  ],
+
+  //The "pool" is a single read-only handle; better-sqlite3 is synchronous.
+  createPool(tenant) {
+    return new Database(resolveDataFile(tenant), {
+      readonly: true,
+      fileMustExist: true,
+    });
+  },
+
+  //Runs in a worker on the handle's file (see the note at the top on what a timeout stops).
+  async query(db, sql, { signal, timeoutMs = 0 } = {}) {
+    const { reader, rows, columns } = await runInWorker(db.name, sql, {
+      signal,
+      timeoutMs,
+    });
+    if (!reader) {
+      throw sqlPolicyError(
+        "SQL_NOT_READ_ONLY",
+        "Only SELECT queries are allowed"
+      );
+    }
+    const fields = columns.map((c) => ({
+      name: c.name,
+      orgName: c.column,
+      orgTable: c.table,
+    }));
+    return { rows, fields };
+  },
+
+  //Local plans carry no row estimates; file-backed demo data is not cost-guarded.
+  async estimateScanRows() {
+    return null;
+  },
+
+  //No TypeORM data source; schema text comes from describeTables.
+  dataSourceOptions() {
+    return null;
+  },
+
+  async describeTables(db, allowedTables, sampleRows) {
+    const names = db
+      .prepare(
+        `SELECT name FROM sqlite_master
+         WHERE type IN ('table', 'view') AND name NOT LIKE 'sqlite_%'
+         ORDER BY name`
+      )
+      .all()
+      .map((r) => r.name);
+
+    const tables = filterTables(names, allowedTables).map((name) => ({
+      name,
+      columns: db
+        .prepare(`SELECT name, type, "notnull" FROM pragma_table_info(?)`)
+        .all(name)
+        .map((c) => ({ name: c.name, type: c.type, nullable: !c.notnull })),
+      sampleRows: db
+        .prepare(`SELECT * FROM ${quoteIdentifier(name)} LIMIT ?`)
+        .all(sampleRows),
+    }));
+
+    return formatTableInfo(tables);
+  },
+
+  tableQualifier() {
+    return "main";
+  },
+
+  quoteIdentifier,
+  escapeString,
+  wrapScope,
+
+  isRepairableError(errorCode) {
+    return REPAIRABLE_CODES.includes(String(errorCode || ""));
+  },
+};
+
+export default sqliteDriver;
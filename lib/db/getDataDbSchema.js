@@ -1,32 +1,34 @@
 // lib/db/getDataDbSchema.js
 import { SqlDatabase } from "@langchain/classic/sql_db";
 import { DataSource } from "typeorm";
+import { getDataDbDriver } from "@/lib/db/drivers";
+import { getDataDbConnectionForTenant } from "@/lib/db/dataDb";
 
-//Singleton SqlDatabase instance (important for Next dev HMR)
-let sqlDbPromise = null;
+const SCHEMA_SAMPLE_ROWS = 2;
 
-export function getSqlDb(tenant) {
-  if (!sqlDbPromise) {
-    const dataSource = new DataSource({
-      type: "mysql",
-      host: tenant.data_db_host,
-      port: Number(tenant.data_db_port || "3306"),
-      username: tenant.data_db_user,
-      password: tenant.data_db_password,
-      database: tenant.data_db_name,
-    });
+//Fresh SqlDatabase per call: it snapshots table metadata at init, so a long-lived instance
+//would never see schema changes. Caching per tenant lives in lib/db/schemaService.js.
+async function withSqlDb(tenant, fn) {
+  const dataSource = new DataSource(
+    getDataDbDriver(tenant).dataSourceOptions(tenant)
+  );
 
-    sqlDbPromise = SqlDatabase.fromDataSourceParams({
+  try {
+    const db = await SqlDatabase.fromDataSourceParams({
       appDataSource: dataSource,
       includesTables: parseTableList(tenant.table_list),
-      sampleRowsInTableInfo: 2,
+      sampleRowsInTableInfo: SCHEMA_SAMPLE_ROWS,
     });
+    return await fn(db);
+  } finally {
+    if (dataSource.isInitialized) {
+      await dataSource.destroy().catch(() => {});
+    }
   }
-  return sqlDbPromise;
 }
 
 //Converts list of data tables from tenant table into an array
-function parseTableList(tableList) {
+export function parseTableList(tableList) {
   if (Array.isArray(tableList)) return tableList;
   if (!tableList) return [];
   return String(tableList)
@@ -35,11 +37,22 @@ function parseTableList(tableList) {
     .filter(Boolean);
 }
 
-//Get current schema description as text for use in the prompt.
-
+//Read the current schema description (as prompt text) straight from the tenant's data DB.
+//Request handlers should use getTenantSchema() from lib/db/schemaService.js instead.
 export async function getDataDbSchema(tenant) {
-  const db = await getSqlDb(tenant);
-  const schema = await db.getTableInfo(parseTableList(tenant.table_list));
-  console.log(schema);
-  return schema;
+  const driver = getDataDbDriver(tenant);
+
+  // File-backed drivers (SQLite, DuckDB) describe themselves; TypeORM has no DuckDB support.
+  if (driver.describeTables) {
+    const pool = await getDataDbConnectionForTenant(tenant);
+    return driver.describeTables(
+      pool,
+      parseTableList(tenant.table_list),
+      SCHEMA_SAMPLE_ROWS
+    );
+  }
+
+  return withSqlDb(tenant, (db) =>
+    db.getTableInfo(parseTableList(tenant.table_list))
+  );
 }
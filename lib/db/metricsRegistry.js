@@ -0,0 +1,145 @@
+// lib/db/metricsRegistry.js
+// Governed metrics registry per tenant (core DB table `metric_definitions`).
+//
+// A definition carries: name, synonyms (comma-separated), sql_expression (e.g. "SUM(sales) / SUM(transactioncount)"),
+// grain, allowed_dimensions (comma-separated), default_time_window and an optional description.
+// Definitions whose name or synonym appears in the question are always given to the SQL prompt
+// (not left to RAG), and generated SQL must contain their governed expression; otherwise it is
+// rejected with SQL_METRIC_NOT_GOVERNED, which the repair loop sends back to the model.
+// Expressions are compared on the parsed + re-serialized SQL, ignoring quoting, table
+// qualifiers, case and whitespace.
+
+import { coreQuery } from "@/lib/db/coreDb";
+import {
+  parseSelectStatement,
+  sqlifySelect,
+  sqlPolicyError,
+} from "@/lib/db/sqlSafety";
+
+export function parseTermList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v).trim());
+  if (!value) return [];
+  return String(value)
+    .split(",")
+    .map((v) => v.trim())
+    .filter(Boolean);
+}
+
+export async function loadMetricDefinitions(tenantId) {
+  const rows = await coreQuery(
+    `SELECT id, name, synonyms, sql_expression, grain, allowed_dimensions, default_time_window, description
+     FROM metric_definitions
+     WHERE tenant_id = ?
+     ORDER BY name ASC`,
+    [tenantId]
+  );
+  return Array.isArray(rows) ? rows : [];
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function mentionsTerm(text, term) {
+  const pattern = new RegExp(
+    `(^|[^a-z0-9])${escapeRegExp(term.toLowerCase())}([^a-z0-9]|$)`
+  );
+  return pattern.test(text);
+}
+
+/**
+ * Definitions whose name or one of its synonyms is mentioned in the question.
+ */
+export function selectRelevantMetrics(definitions, question) {
+  const text = String(question || "").toLowerCase();
+
+  return (definitions || []).filter((metric) =>
+    [metric.name, ...parseTermList(metric.synonyms)]
+      .filter(Boolean)
+      .some((term) => mentionsTerm(text, term))
+  );
+}
+
+//Prompt block for the SQL generation / repair prompts.
+export function formatMetricDefinitions(metrics) {
+  return (metrics || [])
+    .map((metric) => {
+      const synonyms = parseTermList(metric.synonyms);
+      const dimensions = parseTermList(metric.allowed_dimensions);
+      const lines = [
+        `- ${metric.name}${synonyms.length ? ` (also called: ${synonyms.join(", ")})` : ""}`,
+        `  SQL expression: ${metric.sql_expression}`,
+      ];
+      if (metric.grain) lines.push(`  Grain: ${metric.grain}`);
+      if (dimensions.length) {
+        lines.push(`  Allowed dimensions: ${dimensions.join(", ")}`);
+      }
+      if (metric.default_time_window) {
+        lines.push(
+          `  Default time window when none is given: ${metric.default_time_window}`
+        );
+      }
+      if (metric.description) lines.push(`  Notes: ${metric.description}`);
+      return lines.join("\n");
+    })
+    .join("\n");
+}
+
+//Quoting, table qualifiers, case and whitespace do not change which expression is computed.
+function canonicalSql(text) {
+  return String(text || "")
+    .replace(/[`"]/g, "")
+    .replace(/\b[a-z_][a-z0-9_]*\./gi, "")
+    .replace(/\s+/g, " ")
+    .toLowerCase()
+    .trim();
+}
+
+function canonicalExpression(expression, dialect) {
+  const stmt = parseSelectStatement(`SELECT ${expression}`, dialect);
+  return canonicalSql(sqlifySelect(stmt, dialect).replace(/^SELECT\s+/i, ""));
+}
+
+/**
+ * Check that a metric's SQL expression parses as a single safe expression (admin API).
+ * Throws SQL_* coded errors like validateSelectSql.
+ */
+export function validateMetricExpression(expression, dialect) {
+  const stmt = parseSelectStatement(`SELECT ${expression}`, dialect);
+  if (stmt.from || (stmt.columns || []).length !== 1) {
+    throw sqlPolicyError(
+      "SQL_INVALID_METRIC_EXPRESSION",
+      "sql_expression must be a single expression without FROM"
+    );
+  }
+}
+
+/**
+ * Throws SQL_METRIC_NOT_GOVERNED when the SQL does not contain the governed expression
+ * of every given metric.
+ */
+export function assertGovernedMetrics(sql, metrics, dialect) {
+  if (!metrics || metrics.length === 0) return;
+
+  const used = canonicalSql(
+    sqlifySelect(parseSelectStatement(sql, dialect), dialect)
+  );
+
+  for (const metric of metrics) {
+    let expected;
+    try {
+      expected = canonicalExpression(metric.sql_expression, dialect);
+    } catch (err) {
+      console.error(`Unparsable governed metric "${metric.name}":`, err);
+      continue;
+    }
+
+    if (!used.includes(expected)) {
+      throw sqlPolicyError(
+        "SQL_METRIC_NOT_GOVERNED",
+        `Metric "${metric.name}" must be computed exactly as ${metric.sql_expression}`,
+        { metric: metric.name, expression: metric.sql_expression }
+      );
+    }
+  }
+}
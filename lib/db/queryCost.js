@@ -0,0 +1,44 @@
+// lib/db/queryCost.js
+// Cost guard: EXPLAIN the final (scoped) SQL and refuse queries whose estimated scanned rows
+// exceed the tenant's budget (`tenants.max_scan_rows`, DEFAULT_MAX_SCAN_ROWS when unset, 0 = off).
+// Refusals are SQL_COST_EXCEEDED policy errors, so the repair loop hands the explanation back to
+// the model for a narrower rewrite before giving up.
+
+import { getDataDbConnectionForTenant } from "@/lib/db/dataDb";
+import { getDataDbDriver } from "@/lib/db/drivers";
+import { sqlPolicyError } from "@/lib/db/sqlSafety";
+import { DEFAULT_MAX_SCAN_ROWS } from "@/lib/settings";
+
+export function scanBudgetForTenant(tenant) {
+  const value = tenant?.max_scan_rows;
+  if (value === null || value === undefined || value === "") {
+    return DEFAULT_MAX_SCAN_ROWS;
+  }
+  return Number(value) || 0;
+}
+
+/**
+ * Estimate rows scanned by `sql` and enforce the tenant budget.
+ * Returns { estimatedRows, budget }; estimatedRows is null when the driver has no estimate.
+ */
+export async function checkQueryCost(tenant, sql) {
+  const driver = getDataDbDriver(tenant);
+  const budget = scanBudgetForTenant(tenant);
+
+  const pool = await getDataDbConnectionForTenant(tenant);
+  const estimate = await driver.estimateScanRows(pool, sql);
+  const estimatedRows = estimate == null ? null : Math.round(estimate);
+
+  if (estimatedRows != null && budget > 0 && estimatedRows > budget) {
+    throw sqlPolicyError(
+      "SQL_COST_EXCEEDED",
+      `This query is estimated to scan about ${estimatedRows.toLocaleString("en-US")} rows, ` +
+        `over this workspace's limit of ${budget.toLocaleString("en-US")}. ` +
+        "Narrow it with filters on indexed columns (for example a date or yearmonth range), " +
+        "avoid window functions over whole tables, or aggregate before joining.",
+      { estimatedRows, budget }
+    );
+  }
+
+  return { estimatedRows, budget };
+}
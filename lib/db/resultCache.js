@@ -0,0 +1,171 @@
+// lib/db/resultCache.js
+// In-process result cache in front of the data DB (used by runTenantScopedQuery).
+//
+// Key: tenant id + normalized final SQL (after validation, row policies and scope wrapping, so
+// users with different row policies never share entries) + a data-version marker. The marker is
+// the result of the tenant's `freshness_query`; when new data lands the marker changes and old
+// entries simply stop matching. Tenants without a freshness query (or whose query fails) have no
+// marker, so their entries only expire by TTL.
+// TTL per tenant: `tenants.result_cache_ttl_seconds` (DEFAULT_RESULT_CACHE_TTL_MS when unset, 0 = off).
+// Rows are cached before PII masking, which is applied per user after retrieval.
+
+import crypto from "crypto";
+import { dataDbQuery } from "@/lib/db/dataDb";
+import {
+  DATA_VERSION_CHECK_MS,
+  DEFAULT_RESULT_CACHE_TTL_MS,
+  RESULT_CACHE_MAX_ENTRIES,
+} from "@/lib/settings";
+
+// key -> { tenantId, rows, fields, estimatedRows, dataVersion, storedAt, expiresAt }
+const entries = new Map();
+// tenantId -> { version, checkedAt }
+const dataVersions = new Map();
+// tenantId -> { hits, misses }
+const counters = new Map();
+// tenants whose freshness query failure has been logged (cleared once it succeeds again)
+const failingFreshness = new Set();
+
+export function resultCacheTtlForTenant(tenant) {
+  const value = tenant?.result_cache_ttl_seconds;
+  if (value === null || value === undefined || value === "") {
+    return DEFAULT_RESULT_CACHE_TTL_MS;
+  }
+  return (Number(value) || 0) * 1000;
+}
+
+// Whitespace and trailing semicolons do not change a query's result.
+export function normalizeSqlForCache(sql) {
+  return String(sql || "")
+    .replace(/\s+/g, " ")
+    .replace(/;+\s*$/, "")
+    .trim();
+}
+
+function countLookup(tenantId, hit) {
+  const c = counters.get(tenantId) || { hits: 0, misses: 0 };
+  if (hit) c.hits += 1;
+  else c.misses += 1;
+  counters.set(tenantId, c);
+}
+
+/**
+ * Current data-version marker for a tenant (re-checked at most every DATA_VERSION_CHECK_MS).
+ * No freshness query, or a failing one, yields null, so entries then only expire by TTL.
+ */
+async function getDataVersion(tenant) {
+  if (!tenant.freshness_query) return null;
+
+  const known = dataVersions.get(tenant.id);
+  if (known && Date.now() - known.checkedAt < DATA_VERSION_CHECK_MS) {
+    return known.version;
+  }
+
+  let version = null;
+  try {
+    const { rows } = await dataDbQuery(tenant, tenant.freshness_query);
+    const first = rows?.[0] ? Object.values(rows[0])[0] : null;
+    version =
+      first instanceof Date
+        ? first.toISOString()
+        : first == null
+          ? null
+          : String(first);
+    failingFreshness.delete(tenant.id);
+  } catch (err) {
+    // Re-run every DATA_VERSION_CHECK_MS; log only the first failure in a row
+    if (!failingFreshness.has(tenant.id)) {
+      failingFreshness.add(tenant.id);
+      console.error(`Freshness query failed for tenant ${tenant.id}:`, err);
+    }
+  }
+
+  dataVersions.set(tenant.id, { version, checkedAt: Date.now() });
+  return version;
+}
+
+function cacheKey(tenantId, sql, dataVersion) {
+  return crypto
+    .createHash("sha256")
+    .update(`${tenantId}\n${dataVersion ?? ""}\n${normalizeSqlForCache(sql)}`)
+    .digest("hex");
+}
+
+/**
+ * Look up a cached result for the final SQL.
+ * Returns { key, dataVersion, entry } (entry null on miss, key null when caching is off).
+ */
+export async function lookupCachedResult(tenant, sql) {
+  if (resultCacheTtlForTenant(tenant) <= 0) {
+    return { key: null, dataVersion: null, entry: null };
+  }
+
+  const dataVersion = await getDataVersion(tenant);
+  const key = cacheKey(tenant.id, sql, dataVersion);
+  const entry = entries.get(key) || null;
+
+  if (entry && entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+    countLookup(tenant.id, false);
+    return { key, dataVersion, entry: null };
+  }
+
+  countLookup(tenant.id, !!entry);
+  return { key, dataVersion, entry };
+}
+
+export function storeCachedResult(
+  tenant,
+  key,
+  { rows, fields, estimatedRows, dataVersion }
+) {
+  const ttlMs = resultCacheTtlForTenant(tenant);
+  if (!key || ttlMs <= 0) return;
+
+  // Oldest entries go first once the cache is full (Map keeps insertion order)
+  while (entries.size >= RESULT_CACHE_MAX_ENTRIES) {
+    entries.delete(entries.keys().next().value);
+  }
+
+  const now = Date.now();
+  entries.set(key, {
+    tenantId: tenant.id,
+    rows,
+    fields,
+    estimatedRows,
+    dataVersion,
+    storedAt: now,
+    expiresAt: now + ttlMs,
+  });
+}
+
+/**
+ * Drop every cached result (and the data-version marker) of a tenant.
+ * Returns the number of purged entries.
+ */
+export function purgeTenantResultCache(tenantId) {
+  let purged = 0;
+  for (const [key, entry] of entries) {
+    if (entry.tenantId === tenantId) {
+      entries.delete(key);
+      purged += 1;
+    }
+  }
+  dataVersions.delete(tenantId);
+  failingFreshness.delete(tenantId);
+  return purged;
+}
+
+export function getTenantResultCacheStats(tenantId) {
+  let size = 0;
+  for (const entry of entries.values()) {
+    if (entry.tenantId === tenantId) size += 1;
+  }
+  const { hits, misses } = counters.get(tenantId) || { hits: 0, misses: 0 };
+  return {
+    entries: size,
+    hits,
+    misses,
+    dataVersion: dataVersions.get(tenantId)?.version ?? null,
+  };
+}
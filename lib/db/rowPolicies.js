@@ -0,0 +1,221 @@
+// lib/db/rowPolicies.js
+// Row-level security policies (core DB table `row_policies`).
+//
+// A policy restricts one data table for a user (user_id) or a role (role, matched against the JWT
+// `role` or `tenantRole`). The predicate is a SQL boolean expression over that table's columns and
+// may reference JWT claims as named parameters, e.g.
+//   table_name = "members", predicate = "signuplocation = :signuplocation"
+// Claims are resolved from `user.attributes` (per-tenant user attributes issued at login) first,
+// then from top-level token claims (userId, email, role, ...).
+//
+// Policies are applied at the base-table level: every reference to the table is replaced by
+// `(SELECT * FROM table WHERE <predicate>) AS <alias>`, so aggregates only ever see permitted rows.
+// All policies that match a table are combined with AND. A missing claim rejects the query.
+// Parsing, quoting and literal escaping follow the tenant's data DB driver (MySQL by default).
+
+import { coreQuery } from "@/lib/db/coreDb";
+import mysqlDriver from "@/lib/db/drivers/mysql";
+import {
+  forEachBaseTable,
+  parseSelectStatement,
+  sqlPolicyError,
+  sqlifySelect,
+  walkAst,
+} from "@/lib/db/sqlSafety";
+
+/**
+ * Parse and validate a policy predicate.
+ * Returns the WHERE expression AST and the claim names it references.
+ */
+export function parseRowPolicyPredicate(
+  tableName,
+  predicate,
+  driver = mysqlDriver
+) {
+  const text = String(predicate || "").trim();
+  if (!tableName || !text) {
+    throw sqlPolicyError(
+      "RLS_INVALID_PREDICATE",
+      "Row policy requires a table and a predicate"
+    );
+  }
+
+  let stmt;
+  try {
+    stmt = parseSelectStatement(
+      `SELECT * FROM ${driver.quoteIdentifier(tableName)} WHERE (${text})`,
+      driver.sqlDialect
+    );
+  } catch (err) {
+    throw sqlPolicyError(
+      "RLS_INVALID_PREDICATE",
+      "Row policy predicate is invalid",
+      { reason: err.code || String(err.message || err) }
+    );
+  }
+
+  const claims = new Set();
+  walkAst(stmt.where, (node) => {
+    if (node.type === "select") {
+      throw sqlPolicyError(
+        "RLS_INVALID_PREDICATE",
+        "Row policy predicates cannot contain subqueries"
+      );
+    }
+    if (node.type === "param") claims.add(String(node.value));
+  });
+
+  return { where: stmt.where, claims: Array.from(claims) };
+}
+
+function claimValue(user, name) {
+  const attributes =
+    user?.attributes && typeof user.attributes === "object"
+      ? user.attributes
+      : {};
+  if (attributes[name] != null) return attributes[name];
+  if (user?.[name] != null) return user[name];
+  return undefined;
+}
+
+//Driver escaping; the parser emits literal values verbatim.
+function literalNode(value, driver) {
+  if (typeof value === "number" && Number.isFinite(value)) {
+    return { type: "number", value };
+  }
+  if (typeof value === "boolean") {
+    return { type: "bool", value };
+  }
+  return {
+    type: "single_quote_string",
+    value: driver.escapeString(value),
+  };
+}
+
+//Replace :claim params in a predicate AST with escaped literals (in place).
+function bindClaims(node, user, driver) {
+  if (!node || typeof node !== "object") return;
+  if (Array.isArray(node)) {
+    node.forEach((child, idx) => {
+      if (child?.type === "param") node[idx] = bindParam(child, user, driver);
+      else bindClaims(child, user, driver);
+    });
+    return;
+  }
+  Object.entries(node).forEach(([key, child]) => {
+    if (child?.type === "param") node[key] = bindParam(child, user, driver);
+    else bindClaims(child, user, driver);
+  });
+}
+
+function bindParam(paramNode, user, driver) {
+  const name = String(paramNode.value);
+  const value = claimValue(user, name);
+  if (value === undefined || value === null || typeof value === "object") {
+    throw sqlPolicyError(
+      "RLS_CLAIM_MISSING",
+      `Your account is missing the "${name}" attribute required to query this data`,
+      { claim: name }
+    );
+  }
+  return literalNode(value, driver);
+}
+
+function combineWithAnd(expressions) {
+  return expressions.reduce(
+    (acc, expr) =>
+      acc
+        ? {
+            type: "binary_expr",
+            operator: "AND",
+            left: { ...acc, parentheses: true },
+            right: { ...expr, parentheses: true },
+          }
+        : expr,
+    null
+  );
+}
+
+/**
+ * Load the active row policies that apply to this user in their tenant.
+ */
+export async function loadRowPoliciesForUser(user) {
+  if (!user?.tenantId) return [];
+
+  const rows = await coreQuery(
+    `SELECT id, table_name, predicate
+     FROM row_policies
+     WHERE tenant_id = ?
+       AND is_active = 1
+       AND (user_id = ? OR role = ? OR role = ?)
+     ORDER BY id ASC`,
+    [
+      user.tenantId,
+      user.userId ?? null,
+      user.role ?? null,
+      user.tenantRole ?? null,
+    ]
+  );
+
+  return Array.isArray(rows) ? rows : [];
+}
+
+/**
+ * Rewrite validated SQL so every reference to a policy-protected table reads only permitted rows.
+ * Returns the original SQL untouched when no policy applies.
+ */
+export function applyRowPolicies(
+  sql,
+  { policies, user, driver = mysqlDriver }
+) {
+  if (!Array.isArray(policies) || policies.length === 0) {
+    return { sql, appliedPolicyIds: [] };
+  }
+
+  const byTable = new Map();
+  for (const policy of policies) {
+    const key = String(policy.table_name || "").toLowerCase();
+    if (!key) continue;
+    if (!byTable.has(key)) byTable.set(key, []);
+    byTable.get(key).push(policy);
+  }
+
+  const stmt = parseSelectStatement(sql, driver.sqlDialect);
+  const applied = new Set();
+
+  forEachBaseTable(stmt, (entry) => {
+    const tablePolicies = byTable.get(String(entry.table).toLowerCase());
+    if (!tablePolicies) return;
+
+    const predicates = tablePolicies.map((policy) => {
+      const { where } = parseRowPolicyPredicate(
+        entry.table,
+        policy.predicate,
+        driver
+      );
+      bindClaims(where, user, driver);
+      applied.add(policy.id);
+      return where;
+    });
+
+    const inner = parseSelectStatement(
+      `SELECT * FROM ${driver.quoteIdentifier(entry.table)}`,
+      driver.sqlDialect
+    );
+    if (entry.db) inner.from[0].db = entry.db;
+    inner.where = combineWithAnd(predicates);
+
+    const alias = entry.as || entry.table;
+    delete entry.table;
+    delete entry.db;
+    entry.expr = { ast: inner, parentheses: true };
+    entry.as = alias;
+  });
+
+  if (applied.size === 0) return { sql, appliedPolicyIds: [] };
+
+  return {
+    sql: sqlifySelect(stmt, driver.sqlDialect),
+    appliedPolicyIds: Array.from(applied),
+  };
+}
@@ -1,84 +1,155 @@
-import { getDataDbConnectionForTenant } from "@/lib/db/dataDb";
-
-// -----------------------------
-// SQL safety guards
-// -----------------------------
-
-function normalize(sql) {
-  return sql.replace(/\s+/g, " ").trim();
-}
-
-function assertReadOnly(sql) {
-  const s = normalize(sql).toUpperCase();
-
-  if (!s.startsWith("SELECT ")) {
-    const err = new Error("Only SELECT queries are allowed");
-    err.code = "SQL_NOT_READ_ONLY";
-    throw err;
-  }
-
-  /*
-  // Prevent stacked queries
-  if (s.includes("; ")) {
-    const err = new Error("Multiple SQL statements are not allowed");
-    err.code = "SQL_MULTIPLE_STATEMENTS";
-    throw err;
-  }*/
-
-  // Prevent comment-based injection
-  if (s.includes("--") || s.includes("/*") || s.includes("*/")) {
-    const err = new Error("SQL comments are not allowed");
-    err.code = "SQL_COMMENTS_NOT_ALLOWED";
-    throw err;
-  }
-
-  // Prevent widening via UNION
-  if (s.includes(" UNION ")) {
-    const err = new Error("UNION queries are not allowed");
-    err.code = "SQL_UNION_NOT_ALLOWED";
-    throw err;
-  }
-
-  // Hard requirement: bounded result set
-  if (!s.includes(" LIMIT ")) {
-    const err = new Error("LIMIT clause is required");
-    err.code = "SQL_LIMIT_REQUIRED";
-    throw err;
-  }
-}
+import { dataDbQuery, dataDbStream } from "@/lib/db/dataDb";
+import { getDataDbDriver } from "@/lib/db/drivers";
+import { validateSelectSql } from "@/lib/db/sqlSafety";
+import { applyRowPolicies, loadRowPoliciesForUser } from "@/lib/db/rowPolicies";
+import { parseTableList } from "@/lib/db/getDataDbSchema";
+import { checkQueryCost } from "@/lib/db/queryCost";
+import { lookupCachedResult, storeCachedResult } from "@/lib/db/resultCache";
+import { DEFAULT_MAX_EXECUTION_MS, INJECTED_SQL_LIMIT } from "@/lib/settings";
 
 // -----------------------------
 // Scope enforcement
 // -----------------------------
 
-function enforceScope(sql, scopeFilter) {
+function enforceScope(driver, sql, scopeFilter) {
   if (!scopeFilter) return sql;
 
   // ALWAYS wrap to avoid operator-precedence exploits
-  return `
-    SELECT *
-    FROM (
-      ${sql}
-    ) AS scoped_result
-    WHERE (${scopeFilter})
-  `;
+  return driver.wrapScope(sql, scopeFilter);
 }
 
 // -----------------------------
 // Public API
 // -----------------------------
 
-export async function runTenantScopedQuery(tenant, sql) {
-  assertReadOnly(sql);
+// Per-tenant statement time limit (tenants.max_execution_ms, 0 = none).
+function executionTimeoutForTenant(tenant) {
+  const value = tenant?.max_execution_ms;
+  if (value === null || value === undefined || value === "") {
+    return DEFAULT_MAX_EXECUTION_MS;
+  }
+  return Number(value) || 0;
+}
+
+// Read-only policy and table allowlist check. Returns the validated statement serialized again,
+// which is the only form of `sql` that may be executed (throws SQL_* coded errors, see sqlSafety).
+// `maxRows` is the LIMIT added when the statement has none.
+function validateForTenant(tenant, sql, { maxRows = INJECTED_SQL_LIMIT } = {}) {
+  const driver = getDataDbDriver(tenant);
+  return validateSelectSql(sql, {
+    allowedTables: parseTableList(tenant.table_list),
+    database: driver.tableQualifier(tenant),
+    maxRows,
+    dialect: driver.sqlDialect,
+  }).sql;
+}
+
+// Validated, row-policy-filtered and tenant-scoped SQL for `user` (nothing is executed).
+async function scopeTenantSql(tenant, sql, { user, maxRows } = {}) {
+  const driver = getDataDbDriver(tenant);
+
+  const safeSql = validateForTenant(tenant, sql, { maxRows });
+
+  // Per-user / per-role row policies filter base tables before any aggregation
+  const policies = user ? await loadRowPoliciesForUser(user) : [];
+  const { sql: rowScopedSql, appliedPolicyIds } = applyRowPolicies(safeSql, {
+    policies,
+    user,
+    driver,
+  });
+
+  // Tenant-wide scope filter still wraps the final result set. The allowlist is checked again on
+  // exactly the statement that runs (row-policy rewrite and scope wrapper included).
+  const scopedSql = validateForTenant(
+    tenant,
+    enforceScope(driver, rowScopedSql, tenant.scope_filter),
+    { maxRows }
+  );
+
+  return { scopedSql, appliedPolicyIds };
+}
+
+/**
+ * Validate, row-filter, scope, cost-check and run a query (with the tenant result cache).
+ * `wrap(scopedSql)` builds an outer query over the scoped result (e.g. a pivot GROUP BY whose
+ * output no longer has the columns the scope filter references); the wrapped SQL is what runs.
+ * `maxRows` replaces INJECTED_SQL_LIMIT as the LIMIT added to `sql` (and its scope wrapper) when
+ * it has none.
+ */
+export async function runTenantScopedQuery(
+  tenant,
+  sql,
+  { user, signal, wrap, maxRows } = {}
+) {
+  const { scopedSql: innerSql, appliedPolicyIds } = await scopeTenantSql(
+    tenant,
+    sql,
+    { user, maxRows }
+  );
+  // Outer query composed around already scoped SQL: validated again, but not re-scoped
+  const scopedSql = wrap ? validateForTenant(tenant, wrap(innerSql)) : innerSql;
+
+  // Same final SQL on unchanged data: serve the cached rows, skip EXPLAIN and execution
+  const cached = await lookupCachedResult(tenant, scopedSql);
+  if (cached.entry) {
+    return {
+      rows: cached.entry.rows,
+      fields: cached.entry.fields,
+      sql: scopedSql,
+      appliedPolicyIds,
+      estimatedRows: cached.entry.estimatedRows,
+      cache: {
+        hit: true,
+        dataVersion: cached.dataVersion,
+        ageMs: Date.now() - cached.entry.storedAt,
+      },
+    };
+  }
 
-  const scopedSql = enforceScope(sql, tenant.scope_filter);
+  // EXPLAIN first; throws SQL_COST_EXCEEDED (details.estimatedRows) when over the tenant budget
+  const { estimatedRows } = await checkQueryCost(tenant, scopedSql);
 
-  const db = await getDataDbConnectionForTenant(tenant);
-  const [rows, fields] = await db.query(scopedSql);
+  // Aborting `signal` (client disconnected) kills the running statement
+  const { rows, fields } = await dataDbQuery(tenant, scopedSql, {
+    signal,
+    timeoutMs: executionTimeoutForTenant(tenant),
+  });
+
+  storeCachedResult(tenant, cached.key, {
+    rows,
+    fields,
+    estimatedRows,
+    dataVersion: cached.dataVersion,
+  });
 
   return {
     rows,
     fields,
     sql: scopedSql,
+    appliedPolicyIds,
+    estimatedRows,
+    cache: cached.key
+      ? { hit: false, dataVersion: cached.dataVersion, ageMs: 0 }
+      : null,
   };
 }
+
+/**
+ * Same validation, row policies, scope filter and cost check as runTenantScopedQuery, but rows
+ * are streamed (exports) and never cached. `onFields` receives the column metadata before the
+ * first row. `maxRows` replaces INJECTED_SQL_LIMIT as the LIMIT added to SQL without one.
+ */
+export async function* streamTenantScopedQuery(
+  tenant,
+  sql,
+  { user, signal, onFields, maxRows } = {}
+) {
+  const { scopedSql } = await scopeTenantSql(tenant, sql, { user, maxRows });
+  await checkQueryCost(tenant, scopedSql);
+
+  yield* dataDbStream(tenant, scopedSql, {
+    signal,
+    timeoutMs: executionTimeoutForTenant(tenant),
+    onFields,
+  });
+}
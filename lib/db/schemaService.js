@@ -0,0 +1,180 @@
+// lib/db/schemaService.js
+// Per-tenant schema cache (keyed by tenant id, SCHEMA_CACHE_TTL_MS) in front of getDataDbSchema.
+//
+// Each load fingerprints the table definitions (not the sample rows, which change with the data)
+// and stores it in core DB table `tenant_schema_fingerprints`. When the fingerprint differs from
+// the stored one the change is logged and, with SCHEMA_REINDEX_ON_CHANGE (or an explicit admin
+// refresh with reindex), the tenant's schema documents in Qdrant are re-embedded.
+
+import crypto from "crypto";
+import { coreQuery } from "@/lib/db/coreDb";
+import { getDataDbSchema } from "@/lib/db/getDataDbSchema";
+import { createQdrantHelper } from "@/lib/vector/qdrantManagement";
+import { SCHEMA_CACHE_TTL_MS, SCHEMA_REINDEX_ON_CHANGE } from "@/lib/settings";
+
+// tenantId -> { schemaText, fingerprint, tableCount, loadedAt } or { promise } while loading
+const cache = new Map();
+
+/**
+ * Split schema prompt text into one CREATE TABLE definition per table.
+ * Both SqlDatabase.getTableInfo() and the file drivers emit "CREATE TABLE name (...) \nSELECT ...".
+ */
+export function extractTableDefinitions(schemaText) {
+  const blocks =
+    String(schemaText || "").match(/CREATE TABLE[\s\S]*?\)\s*\n(?=SELECT )/g) ||
+    [];
+
+  return blocks.map((block) => {
+    const definition = block.trim();
+    const name = /^CREATE TABLE\s+([^\s(]+)/.exec(definition)?.[1] || "";
+    return { table: name.replace(/["`]/g, ""), definition };
+  });
+}
+
+export function schemaFingerprint(tables) {
+  return crypto
+    .createHash("sha256")
+    .update(tables.map((t) => t.definition).join("\n"))
+    .digest("hex");
+}
+
+async function loadStoredFingerprint(tenantId) {
+  const rows = await coreQuery(
+    "SELECT fingerprint FROM tenant_schema_fingerprints WHERE tenant_id = ?",
+    [tenantId]
+  );
+  return rows?.[0]?.fingerprint || null;
+}
+
+async function storeFingerprint(tenantId, fingerprint, tableCount) {
+  await coreQuery(
+    `INSERT INTO tenant_schema_fingerprints (tenant_id, fingerprint, table_count, changed_at, checked_at)
+     VALUES (?, ?, ?, NOW(), NOW())
+     ON DUPLICATE KEY UPDATE
+       changed_at = IF(fingerprint = VALUES(fingerprint), changed_at, NOW()),
+       fingerprint = VALUES(fingerprint),
+       table_count = VALUES(table_count),
+       checked_at = NOW()`,
+    [tenantId, fingerprint, tableCount]
+  );
+}
+
+/**
+ * Re-embed the tenant's schema documents (metadata.type = "schema") from the current definitions.
+ */
+export async function reindexSchemaDocuments(tenant, tables) {
+  if (!tenant.qdrant_collection) return 0;
+
+  const documents = tables.map(({ table, definition }) => ({
+    pageContent: definition,
+    metadata: {
+      type: "schema",
+      source: "schema_service",
+      table_name: table,
+      title: `Schema for ${table}`,
+    },
+  }));
+
+  const qdrant = createQdrantHelper({ collection: tenant.qdrant_collection });
+  const store = await qdrant.getVectorStore();
+  await store.replaceDocuments({ type: "schema" }, documents);
+
+  return documents.length;
+}
+
+//Compare with the stored fingerprint, persist the new one and react to changes.
+//Failures here never block answering; the schema text is still returned.
+async function trackFingerprint(tenant, tables, fingerprint, { reindex }) {
+  const result = {
+    previousFingerprint: null,
+    changed: false,
+    reindexed: false,
+  };
+
+  try {
+    result.previousFingerprint = await loadStoredFingerprint(tenant.id);
+    result.changed =
+      result.previousFingerprint !== null &&
+      result.previousFingerprint !== fingerprint;
+
+    await storeFingerprint(tenant.id, fingerprint, tables.length);
+  } catch (err) {
+    console.error("Schema fingerprint tracking failed:", err);
+    return result;
+  }
+
+  if (result.changed) {
+    console.log(
+      `Schema changed for tenant ${tenant.id}: ${result.previousFingerprint.slice(0, 12)} -> ${fingerprint.slice(0, 12)} (${tables.length} tables)`
+    );
+  }
+
+  if (reindex || (result.changed && SCHEMA_REINDEX_ON_CHANGE)) {
+    try {
+      const count = await reindexSchemaDocuments(tenant, tables);
+      result.reindexed = count > 0;
+      console.log(
+        `Re-indexed ${count} schema documents for tenant ${tenant.id}`
+      );
+    } catch (err) {
+      console.error("Schema re-indexing failed:", err);
+    }
+  }
+
+  return result;
+}
+
+async function loadSchema(tenant, { reindex = false } = {}) {
+  const schemaText = await getDataDbSchema(tenant);
+  const tables = extractTableDefinitions(schemaText);
+  const fingerprint = schemaFingerprint(tables);
+
+  const tracking = await trackFingerprint(tenant, tables, fingerprint, {
+    reindex,
+  });
+
+  const entry = {
+    schemaText,
+    fingerprint,
+    tableCount: tables.length,
+    loadedAt: Date.now(),
+  };
+  cache.set(tenant.id, entry);
+
+  return { ...entry, ...tracking };
+}
+
+/**
+ * Schema prompt text for a tenant, cached per tenant id for SCHEMA_CACHE_TTL_MS.
+ * Returns { schemaText, fingerprint, tableCount, loadedAt }.
+ */
+export async function getTenantSchema(tenant) {
+  const entry = cache.get(tenant.id);
+
+  if (entry?.promise) return entry.promise;
+  if (entry && Date.now() - entry.loadedAt < SCHEMA_CACHE_TTL_MS) return entry;
+
+  const promise = loadSchema(tenant).catch((err) => {
+    cache.delete(tenant.id);
+    throw err;
+  });
+  cache.set(tenant.id, { promise });
+
+  return promise;
+}
+
+/**
+ * Drop the cached schema and reload it now (admin "refresh schema").
+ * Returns the new entry plus { previousFingerprint, changed, reindexed }.
+ */
+export async function refreshTenantSchema(tenant, { reindex = false } = {}) {
+  cache.delete(tenant.id);
+
+  const promise = loadSchema(tenant, { reindex }).catch((err) => {
+    cache.delete(tenant.id);
+    throw err;
+  });
+  cache.set(tenant.id, { promise });
+
+  return promise;
+}
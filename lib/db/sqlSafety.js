@@ -0,0 +1,431 @@
+// lib/db/sqlSafety.js
+// AST-based read-only policy for generated SQL. The query is parsed (not pattern-matched),
+// so column names like `limit_amount` or string literals containing "--" are not rejected.
+//
+// Policy:
+// - exactly one SELECT (optionally WITH ...) statement
+// - no executable comments (MySQL /*! ... */, optimizer hints /*+ ... */): the server runs them,
+//   the parser skips them
+// - no SELECT ... INTO (OUTFILE / DUMPFILE / variables)
+// - no side-effect / timing functions (SLEEP, BENCHMARK, LOAD_FILE, pg_sleep, locks, ...)
+// - no system schemas / catalogs of the dialect (information_schema, mysql, pg_catalog, ...) or @@ variables
+// - only tables from the tenant's table_list (when configured), resolved through subqueries,
+//   derived tables and CTEs; qualified names must use the tenant's own data database
+// - a LIMIT is always applied (injected when missing)
+//
+// The SQL that runs is the validated AST serialized again, never the raw input text, so nothing
+// the parser did not see (comments, trailing text) reaches the database.
+
+import { Parser } from "node-sql-parser";
+
+const parser = new Parser();
+
+//Per-dialect policy inputs; data DB drivers (lib/db/drivers) pick one of these by data_db_type.
+export const SQL_DIALECTS = {
+  mysql: {
+    name: "mysql",
+    parserDatabase: "MySQL",
+    blockedFunctions: new Set([
+      "SLEEP",
+      "BENCHMARK",
+      "LOAD_FILE",
+      "GET_LOCK",
+      "RELEASE_LOCK",
+      "RELEASE_ALL_LOCKS",
+      "IS_FREE_LOCK",
+      "IS_USED_LOCK",
+      "MASTER_POS_WAIT",
+      "SOURCE_POS_WAIT",
+      "WAIT_FOR_EXECUTED_GTID_SET",
+      "SYS_EVAL",
+      "SYS_EXEC",
+    ]),
+    systemSchemas: new Set([
+      "information_schema",
+      "mysql",
+      "performance_schema",
+      "sys",
+    ]),
+    systemTablePattern: null,
+  },
+  postgres: {
+    name: "postgres",
+    parserDatabase: "Postgresql",
+    blockedFunctions: new Set([
+      "PG_SLEEP",
+      "PG_SLEEP_FOR",
+      "PG_SLEEP_UNTIL",
+      "PG_READ_FILE",
+      "PG_READ_BINARY_FILE",
+      "PG_LS_DIR",
+      "PG_STAT_FILE",
+      "LO_IMPORT",
+      "LO_EXPORT",
+      "LO_GET",
+      "DBLINK",
+      "DBLINK_EXEC",
+      "PG_TERMINATE_BACKEND",
+      "PG_CANCEL_BACKEND",
+      "PG_RELOAD_CONF",
+      "PG_ROTATE_LOGFILE",
+      "PG_ADVISORY_LOCK",
+      "PG_ADVISORY_XACT_LOCK",
+      "PG_TRY_ADVISORY_LOCK",
+      "SET_CONFIG",
+      "CURRENT_SETTING",
+      "NEXTVAL",
+      "SETVAL",
+      "QUERY_TO_XML",
+    ]),
+    systemSchemas: new Set(["information_schema", "pg_catalog", "pg_toast"]),
+    // pg_catalog is on the search_path, so pg_user, pg_shadow, ... resolve unqualified
+    systemTablePattern: /^pg_/i,
+  },
+  sqlite: {
+    name: "sqlite",
+    parserDatabase: "Sqlite",
+    blockedFunctions: new Set([
+      "LOAD_EXTENSION",
+      "READFILE",
+      "WRITEFILE",
+      "EDIT",
+      "FTS3_TOKENIZER",
+    ]),
+    systemSchemas: new Set(["temp"]),
+    systemTablePattern: /^sqlite_/i,
+  },
+  // DuckDB has no parser of its own; its SELECT syntax is close enough to PostgreSQL.
+  duckdb: {
+    name: "duckdb",
+    parserDatabase: "Postgresql",
+    blockedFunctions: new Set([
+      "READ_CSV",
+      "READ_CSV_AUTO",
+      "READ_PARQUET",
+      "PARQUET_SCAN",
+      "READ_JSON",
+      "READ_JSON_AUTO",
+      "READ_NDJSON",
+      "READ_TEXT",
+      "READ_BLOB",
+      "GLOB",
+      "SNIFF_CSV",
+      "CURRENT_SETTING",
+      "GETENV",
+    ]),
+    systemSchemas: new Set([
+      "information_schema",
+      "pg_catalog",
+      "system",
+      "temp",
+    ]),
+    systemTablePattern: /^(duckdb_|pg_|sqlite_)/i,
+    // duckdb_settings(), duckdb_secrets(), ... expose instance internals
+    blockedFunctionPattern: /^duckdb_/i,
+  },
+};
+
+const DEFAULT_DIALECT = SQL_DIALECTS.mysql;
+
+function parserOptions(dialect) {
+  return { database: (dialect || DEFAULT_DIALECT).parserDatabase };
+}
+
+export function sqlPolicyError(code, message, details = {}) {
+  const err = new Error(message);
+  err.code = code;
+  err.details = details;
+  err.isPolicyViolation = true;
+  return err;
+}
+
+//MySQL executes the body of /*! ... */ and /*!50000 ... */ comments; /*+ ... */ are optimizer hints.
+const EXECUTABLE_COMMENT_PATTERN = /\/\*\s*[!+]/;
+
+function stripTrailingSemicolons(sql) {
+  return String(sql || "")
+    .trim()
+    .replace(/;+\s*$/, "")
+    .trim();
+}
+
+//node-sql-parser represents function names either as a string or as { name: [{ value }] }.
+//Schema-qualified calls (pg_catalog.pg_sleep) are reduced to the bare function name.
+function functionName(node) {
+  const name = node?.name;
+  if (!name) return "";
+  if (typeof name === "string") return name.split(".").pop().toUpperCase();
+  if (Array.isArray(name.name)) {
+    return String(name.name[name.name.length - 1]?.value || "").toUpperCase();
+  }
+  return String(name.value || "").toUpperCase();
+}
+
+//Depth-first walk over every object in the AST.
+export function walkAst(node, visit) {
+  if (!node || typeof node !== "object") return;
+  if (Array.isArray(node)) {
+    node.forEach((child) => walkAst(child, visit));
+    return;
+  }
+  visit(node);
+  Object.values(node).forEach((child) => walkAst(child, visit));
+}
+
+function parseAst(text, dialect) {
+  try {
+    return parser.astify(text, parserOptions(dialect));
+  } catch (err) {
+    throw sqlPolicyError("SQL_PARSE_ERROR", "SQL could not be parsed", {
+      parserMessage: String(err?.message || err).slice(0, 300),
+    });
+  }
+}
+
+function assertSingleSelect(ast) {
+  const statements = Array.isArray(ast) ? ast : [ast];
+
+  if (statements.length !== 1) {
+    throw sqlPolicyError(
+      "SQL_MULTIPLE_STATEMENTS",
+      "Multiple SQL statements are not allowed"
+    );
+  }
+
+  const stmt = statements[0];
+  if (!stmt || stmt.type !== "select") {
+    throw sqlPolicyError(
+      "SQL_NOT_READ_ONLY",
+      "Only SELECT queries are allowed",
+      { statementType: stmt?.type || null }
+    );
+  }
+
+  return stmt;
+}
+
+export function assertNoUnsafeNodes(stmt, dialect = DEFAULT_DIALECT) {
+  walkAst(stmt, (node) => {
+    if (node.type === "select") {
+      if (node.into && node.into.type === "into") {
+        throw sqlPolicyError(
+          "SQL_INTO_NOT_ALLOWED",
+          "SELECT ... INTO is not allowed"
+        );
+      }
+      if (node._next) {
+        throw sqlPolicyError(
+          "SQL_UNION_NOT_ALLOWED",
+          "UNION queries are not allowed"
+        );
+      }
+    }
+
+    if (node.type === "function") {
+      const name = functionName(node);
+      if (
+        dialect.blockedFunctions.has(name) ||
+        dialect.blockedFunctionPattern?.test(name)
+      ) {
+        throw sqlPolicyError(
+          "SQL_FUNCTION_NOT_ALLOWED",
+          `Function ${name} is not allowed`,
+          { function: name }
+        );
+      }
+    }
+
+    if (node.type === "var" && node.prefix === "@@") {
+      throw sqlPolicyError(
+        "SQL_SYSTEM_VARIABLE_NOT_ALLOWED",
+        "System variables are not allowed"
+      );
+    }
+  });
+}
+
+function cteName(cte) {
+  const name = cte?.name?.value ?? cte?.name;
+  return name ? String(name).toLowerCase() : null;
+}
+
+//Visit every real table reference of a SELECT, including derived tables, subqueries and CTE bodies.
+//CTE names are only treated as CTEs where SQL makes them visible: a non-recursive CTE body sees the
+//CTEs declared before it, a recursive one also sees itself.
+function visitSelectTables(node, scope, visit) {
+  const localScope = new Set(scope);
+
+  if (Array.isArray(node.with)) {
+    const recursive = node.with.some((cte) => cte?.recursive);
+    if (recursive) node.with.forEach((cte) => localScope.add(cteName(cte)));
+
+    node.with.forEach((cte) => {
+      const bodyScope = new Set(localScope);
+      if (cte?.stmt?.ast) visitSelectTables(cte.stmt.ast, bodyScope, visit);
+      localScope.add(cteName(cte));
+    });
+  }
+
+  (Array.isArray(node.from) ? node.from : []).forEach((entry) => {
+    if (!entry || typeof entry !== "object") return;
+
+    if (entry.expr?.ast) {
+      visitSelectTables(entry.expr.ast, localScope, visit);
+    } else if (entry.table) {
+      const name = String(entry.table).toLowerCase();
+      const isCte = !entry.db && localScope.has(name);
+      const isDual = !entry.db && name === "dual";
+      if (!isCte && !isDual) visit(entry);
+    }
+
+    if (entry.on) visitNestedSelects(entry.on, localScope, visit);
+  });
+
+  Object.entries(node).forEach(([key, child]) => {
+    if (key === "with" || key === "from") return;
+    visitNestedSelects(child, localScope, visit);
+  });
+}
+
+function visitNestedSelects(node, scope, visit) {
+  if (!node || typeof node !== "object") return;
+  if (Array.isArray(node)) {
+    node.forEach((child) => visitNestedSelects(child, scope, visit));
+    return;
+  }
+  if (node.type === "select") {
+    visitSelectTables(node, scope, visit);
+    return;
+  }
+  Object.values(node).forEach((child) =>
+    visitNestedSelects(child, scope, visit)
+  );
+}
+
+/**
+ * Call `visit(entry)` for every base-table FROM/JOIN entry of a parsed SELECT (CTE names excluded).
+ * Entries are the parser's own objects, so a visitor may rewrite them in place.
+ */
+export function forEachBaseTable(stmt, visit) {
+  visitSelectTables(stmt, new Set(), visit);
+}
+
+/**
+ * Resolve every real table referenced by a parsed SELECT statement.
+ * Returns [{ db, table }] (db is null when unqualified), CTE names excluded.
+ */
+export function resolveReferencedTables(stmt) {
+  const out = [];
+  forEachBaseTable(stmt, (entry) => {
+    out.push({ db: entry.db || null, table: entry.table });
+  });
+  return out;
+}
+
+function assertAllowedTables(stmt, allowedTables, database, dialect) {
+  const allowed = new Set(
+    (allowedTables || []).map((t) => String(t).toLowerCase())
+  );
+  const referenced = [];
+
+  for (const { db, table } of resolveReferencedTables(stmt)) {
+    if (db && dialect.systemSchemas.has(db.toLowerCase())) {
+      throw sqlPolicyError(
+        "SQL_SYSTEM_SCHEMA_NOT_ALLOWED",
+        `Access to ${db} is not allowed`,
+        { schema: db }
+      );
+    }
+
+    if (dialect.systemTablePattern?.test(String(table))) {
+      throw sqlPolicyError(
+        "SQL_SYSTEM_SCHEMA_NOT_ALLOWED",
+        `Access to ${table} is not allowed`,
+        { table }
+      );
+    }
+
+    // Tables may only be qualified with the tenant's own data database (MySQL) or schema (PostgreSQL).
+    if (db && database && db.toLowerCase() !== String(database).toLowerCase()) {
+      throw sqlPolicyError(
+        "SQL_TABLE_NOT_ALLOWED",
+        `Table ${db}.${table} is not available for this tenant`,
+        { table, schema: db }
+      );
+    }
+
+    if (allowed.size > 0 && !allowed.has(String(table).toLowerCase())) {
+      throw sqlPolicyError(
+        "SQL_TABLE_NOT_ALLOWED",
+        `Table ${table} is not available for this tenant`,
+        { table }
+      );
+    }
+
+    referenced.push(table);
+  }
+
+  return Array.from(new Set(referenced));
+}
+
+function hasLimit(stmt) {
+  return Array.isArray(stmt.limit?.value) && stmt.limit.value.length > 0;
+}
+
+/**
+ * Validate generated SQL against the read-only policy.
+ * Returns the SQL to execute (the validated statement serialized again, with a LIMIT injected
+ * if missing) and the referenced tables.
+ * Throws an Error with a SQL_* `code` (and `details`) on rejection.
+ */
+export function validateSelectSql(
+  sql,
+  {
+    allowedTables = [],
+    database = null,
+    maxRows,
+    dialect = DEFAULT_DIALECT,
+  } = {}
+) {
+  const text = stripTrailingSemicolons(sql);
+  if (!text) {
+    throw sqlPolicyError("SQL_EMPTY", "SQL query is empty");
+  }
+
+  if (EXECUTABLE_COMMENT_PATTERN.test(text)) {
+    throw sqlPolicyError(
+      "SQL_EXECUTABLE_COMMENT_NOT_ALLOWED",
+      "Executable comments and optimizer hints are not allowed"
+    );
+  }
+
+  const stmt = assertSingleSelect(parseAst(text, dialect));
+  assertNoUnsafeNodes(stmt, dialect);
+  const tables = assertAllowedTables(stmt, allowedTables, database, dialect);
+
+  // Run exactly what was validated
+  const validatedSql = sqlifySelect(stmt, dialect);
+  const limitInjected = !hasLimit(stmt);
+  const safeSql = limitInjected
+    ? `${validatedSql}\nLIMIT ${maxRows}`
+    : validatedSql;
+
+  return { sql: safeSql, tables, limitInjected };
+}
+
+/**
+ * Parse SQL that already passed validateSelectSql into a single SELECT statement AST.
+ * Use with forEachBaseTable + sqlifySelect for AST-level rewrites.
+ */
+export function parseSelectStatement(sql, dialect = DEFAULT_DIALECT) {
+  const stmt = assertSingleSelect(
+    parseAst(stripTrailingSemicolons(sql), dialect)
+  );
+  assertNoUnsafeNodes(stmt, dialect);
+  return stmt;
+}
+
+//Serialize a (possibly rewritten) SELECT AST back to SQL.
+export function sqlifySelect(stmt, dialect = DEFAULT_DIALECT) {
+  return parser.sqlify(stmt, parserOptions(dialect));
+}
@@ -1,4 +1,5 @@
-/* Used to create and manage Server-Sent Events (SSE) connections: For streaming responses back to UI. */
+/* Used to create and manage Server-Sent Events (SSE) connections: For streaming responses back to UI.
+   Events: status, progress, answer_delta (answer text tokens), final, error. */
 
 export function createSse(res) {
   res.setHeader("Content-Type", "text/event-stream");
@@ -6,6 +7,12 @@ export function createSse(res) {
   res.setHeader("Connection", "keep-alive");
   res.flushHeaders();
 
+  // Aborted when the client goes away before the stream is finished (tab closed, navigation).
+  const abortController = new AbortController();
+  res.on("close", () => {
+    if (!res.writableEnded) abortController.abort();
+  });
+
   // SSE helpers
   function emit(event, data) {
     res.write(`event: ${event}\n`);
@@ -56,5 +63,6 @@ export function createSse(res) {
     emitProgress,
     closeWith,
     streamError,
+    signal: abortController.signal,
   };
 }
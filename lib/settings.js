@@ -7,3 +7,38 @@ export const llm = new ChatOpenAI({ model: MODEL_NAME, temperature: 0 });
 export const MAX_TABLE_ROWS_IN_RESPONSE = 20; // must match prompt rule unless user asks otherwise
 
 export const CSV_EXPORT_ROW_THRESHOLD = 21; // when >= this, include csv export payload
+
+export const MAX_SQL_REPAIR_ATTEMPTS = 2; // extra LLM rewrites after a failed execution
+
+export const INJECTED_SQL_LIMIT = 1000; // LIMIT added to generated SQL that has none
+
+export const SCHEMA_CACHE_TTL_MS = 10 * 60 * 1000; // per-tenant schema text cache
+
+export const SCHEMA_REINDEX_ON_CHANGE =
+  process.env.SCHEMA_REINDEX_ON_CHANGE === "true"; // re-embed schema docs when the fingerprint changes
+
+export const DEFAULT_MAX_SCAN_ROWS = 5000000; // EXPLAIN row-estimate budget when a tenant has no max_scan_rows (0 = off)
+
+export const DEFAULT_MAX_EXECUTION_MS = 30000; // data query time limit when a tenant has no max_execution_ms (0 = off)
+
+export const DEFAULT_RESULT_CACHE_TTL_MS = 15 * 60 * 1000; // query result cache TTL when a tenant has no result_cache_ttl_seconds (0 = off)
+
+export const RESULT_CACHE_MAX_ENTRIES = 500; // cached result sets kept in memory across all tenants
+
+export const DATA_VERSION_CHECK_MS = 60 * 1000; // how often the tenant freshness query is re-run
+
+export const SEMANTIC_CACHE_THRESHOLD = 0.92; // cosine similarity needed to reuse a verified earlier question's SQL
+
+export const SEMANTIC_CACHE_CANDIDATES = 200; // most recent positively rated turns compared per question
+
+export const EXPORT_MAX_ROWS = 100000; // hard cap on rows streamed by a result export (CSV / NDJSON / XLSX)
+
+export const EXPORT_URL_TTL_SECONDS = 5 * 60; // lifetime of a signed export download URL
+
+export const RESULT_PAGE_DEFAULT_SIZE = 50; // rows per page when paging an answer table
+
+export const RESULT_PAGE_MAX_SIZE = 500; // largest page size the result page endpoint serves
+
+export const PIVOT_MAX_GROUPS = 5000; // grouped rows a pivot query may return before it is cut off
+
+export const PIVOT_MAX_COLUMNS = 50; // distinct column-header combinations shown in a pivot
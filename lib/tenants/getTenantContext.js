@@ -20,13 +20,19 @@ export async function getTenantContext(req, tenantId) {
       id,
       slug,
       data_db_host,
+      data_db_port,
       data_db_name,
+      data_db_schema,
       data_db_user,
       data_db_password,
       qdrant_collection,
       scope_filter,
       table_list,
-      data_db_type
+      data_db_type,
+      max_scan_rows,
+      max_execution_ms,
+      result_cache_ttl_seconds,
+      freshness_query
     FROM tenants
     WHERE id = ? 
     AND is_active = 1
@@ -128,6 +128,7 @@ async function addDocumentsInternal(client, embeddings, collection, documents) {
  * Facade that mimics the subset of LangChain VectorStore API we actually use:
  * - similaritySearch(query, k)
  * - addDocuments(documents)
+ * - replaceDocuments(match, documents)
  */
 function makeVectorStoreFacade(client, embeddings, collection) {
   return {
@@ -138,6 +139,23 @@ function makeVectorStoreFacade(client, embeddings, collection) {
       await addDocumentsInternal(client, embeddings, collection, documents);
     },
 
+    /**
+     * Replace every point whose metadata matches `match` (e.g. { type: "schema" })
+     * with the given documents. Other documents in the collection are kept.
+     */
+    async replaceDocuments(match, documents) {
+      const must = Object.entries(match || {}).map(([key, value]) => ({
+        key: `metadata.${key}`,
+        match: { value },
+      }));
+      if (must.length === 0) {
+        throw new Error("replaceDocuments requires a metadata match");
+      }
+
+      await client.delete(collection, { wait: true, filter: { must } });
+      await addDocumentsInternal(client, embeddings, collection, documents);
+    },
+
     /**
      * similaritySearch: embed query, search Qdrant, return "Document-like" objects.
      * Each result has:
@@ -2,6 +2,8 @@
 const nextConfig = {
   /* config options here */
   reactStrictMode: true,
+  // Native DuckDB bindings must be loaded by Node, not bundled (better-sqlite3 and pg are external by default)
+  serverExternalPackages: ["@duckdb/node-api"],
 };
 
 export default nextConfig;
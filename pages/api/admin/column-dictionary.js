@@ -0,0 +1,118 @@
+// pages/api/admin/column-dictionary.js
+// Manage the column dictionary (labels, types, units, formats) for the admin's tenant
+// (see lib/db/columnDictionary.js). An entry for any table is stored with table_name '' rather
+// than NULL, since the unique key never treats two NULLs as equal and saves would duplicate it.
+
+import { requireAuth } from "@/lib/auth/requireAuth";
+import { coreQuery } from "@/lib/db/coreDb";
+import { COLUMN_TYPES } from "@/lib/db/columnDictionary";
+
+//Trimmed optional text field: null when missing or blank, undefined when not a string.
+function optionalText(value) {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== "string") return undefined;
+  return value.trim() || null;
+}
+
+export default requireAuth(async function handler(req, res) {
+  const { role: actorRole, tenantId } = req.user;
+
+  if (actorRole !== "SYSTEM_ADMIN" && actorRole !== "TENANT_ADMIN") {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  try {
+    if (req.method === "GET") {
+      const columns = await coreQuery(
+        `SELECT id, table_name, column_name, label, data_type, unit, format, updated_at
+         FROM column_dictionary
+         WHERE tenant_id = ?
+         ORDER BY table_name ASC, column_name ASC`,
+        [tenantId]
+      );
+      return res.status(200).json({ columns });
+    }
+
+    if (req.method === "POST" || req.method === "PUT") {
+      const { tableName, columnName, label, dataType, unit, format } =
+        req.body || {};
+
+      if (!columnName || typeof columnName !== "string" || !columnName.trim()) {
+        return res.status(400).json({ error: "columnName is required" });
+      }
+
+      if (!label || typeof label !== "string" || !label.trim()) {
+        return res.status(400).json({ error: "label is required" });
+      }
+
+      const fields = {
+        tableName: optionalText(tableName),
+        unit: optionalText(unit),
+        format: optionalText(format),
+      };
+      const invalid = Object.keys(fields).find((k) => fields[k] === undefined);
+      if (invalid) {
+        return res.status(400).json({ error: `${invalid} must be a string` });
+      }
+
+      if (!COLUMN_TYPES.includes(dataType)) {
+        return res.status(400).json({
+          error: `dataType must be one of: ${COLUMN_TYPES.join(", ")}`,
+        });
+      }
+
+      // One entry per (tenant, table, column); '' = any table
+      const entryTable = fields.tableName || "";
+      await coreQuery(
+        `INSERT INTO column_dictionary
+           (tenant_id, table_name, column_name, label, data_type, unit, format)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           label = VALUES(label),
+           data_type = VALUES(data_type),
+           unit = VALUES(unit),
+           format = VALUES(format),
+           updated_at = CURRENT_TIMESTAMP`,
+        [
+          tenantId,
+          entryTable,
+          columnName.trim(),
+          label.trim(),
+          dataType,
+          fields.unit,
+          fields.format,
+        ]
+      );
+
+      // Any-table entries saved with a NULL table_name are replaced by the one above
+      if (!entryTable) {
+        await coreQuery(
+          `DELETE FROM column_dictionary
+           WHERE tenant_id = ? AND table_name IS NULL AND column_name = ?`,
+          [tenantId, columnName.trim()]
+        );
+      }
+
+      return res.status(200).json({ ok: true });
+    }
+
+    if (req.method === "DELETE") {
+      const { id } = req.query;
+      if (!id) {
+        return res.status(400).json({ error: "id is required" });
+      }
+
+      await coreQuery(
+        "DELETE FROM column_dictionary WHERE id = ? AND tenant_id = ?",
+        [id, tenantId]
+      );
+      return res.status(200).json({ ok: true });
+    }
+
+    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    console.error("Error in /api/admin/column-dictionary:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
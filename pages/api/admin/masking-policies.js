@@ -0,0 +1,78 @@
+// pages/api/admin/masking-policies.js
+// Manage column masking (PII) policies for the admin's tenant (see lib/db/columnMasking.js).
+
+import { requireAuth } from "@/lib/auth/requireAuth";
+import { coreQuery } from "@/lib/db/coreDb";
+import { MASKING_STRATEGIES } from "@/lib/db/columnMasking";
+
+export default requireAuth(async function handler(req, res) {
+  const { role: actorRole, tenantId } = req.user;
+
+  if (actorRole !== "SYSTEM_ADMIN" && actorRole !== "TENANT_ADMIN") {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  try {
+    if (req.method === "GET") {
+      const policies = await coreQuery(
+        `SELECT id, table_name, column_name, strategy, exempt_roles, updated_at
+         FROM column_masking_policies
+         WHERE tenant_id = ?
+         ORDER BY column_name ASC`,
+        [tenantId]
+      );
+      return res.status(200).json({ policies });
+    }
+
+    if (req.method === "POST" || req.method === "PUT") {
+      const { tableName, columnName, strategy, exemptRoles } = req.body || {};
+
+      if (!columnName || typeof columnName !== "string") {
+        return res.status(400).json({ error: "columnName is required" });
+      }
+
+      if (!MASKING_STRATEGIES.includes(strategy)) {
+        return res.status(400).json({
+          error: `strategy must be one of: ${MASKING_STRATEGIES.join(", ")}`,
+        });
+      }
+
+      const exempt = Array.isArray(exemptRoles)
+        ? exemptRoles.join(",")
+        : exemptRoles || null;
+
+      // One policy per (tenant, table, column)
+      await coreQuery(
+        `INSERT INTO column_masking_policies
+           (tenant_id, table_name, column_name, strategy, exempt_roles)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           strategy = VALUES(strategy),
+           exempt_roles = VALUES(exempt_roles),
+           updated_at = CURRENT_TIMESTAMP`,
+        [tenantId, tableName || null, columnName.trim(), strategy, exempt]
+      );
+
+      return res.status(200).json({ ok: true });
+    }
+
+    if (req.method === "DELETE") {
+      const { id } = req.query;
+      if (!id) {
+        return res.status(400).json({ error: "id is required" });
+      }
+
+      await coreQuery(
+        "DELETE FROM column_masking_policies WHERE id = ? AND tenant_id = ?",
+        [id, tenantId]
+      );
+      return res.status(200).json({ ok: true });
+    }
+
+    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    console.error("Error in /api/admin/masking-policies:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
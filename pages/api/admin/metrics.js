@@ -0,0 +1,107 @@
+// pages/api/admin/metrics.js
+// Manage governed metric definitions for the admin's tenant (see lib/db/metricsRegistry.js).
+
+import { requireAuth } from "@/lib/auth/requireAuth";
+import { coreQuery } from "@/lib/db/coreDb";
+import { getDataDbDriver } from "@/lib/db/drivers";
+import {
+  loadMetricDefinitions,
+  parseTermList,
+  validateMetricExpression,
+} from "@/lib/db/metricsRegistry";
+
+export default requireAuth(async function handler(req, res) {
+  const { role: actorRole, tenantId } = req.user;
+
+  if (actorRole !== "SYSTEM_ADMIN" && actorRole !== "TENANT_ADMIN") {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  try {
+    if (req.method === "GET") {
+      const metrics = await loadMetricDefinitions(tenantId);
+      return res.status(200).json({ metrics });
+    }
+
+    if (req.method === "POST" || req.method === "PUT") {
+      const {
+        name,
+        synonyms,
+        sqlExpression,
+        grain,
+        allowedDimensions,
+        defaultTimeWindow,
+        description,
+      } = req.body || {};
+
+      if (!name || typeof name !== "string") {
+        return res.status(400).json({ error: "name is required" });
+      }
+      if (!sqlExpression || typeof sqlExpression !== "string") {
+        return res.status(400).json({ error: "sqlExpression is required" });
+      }
+
+      const tenantRows = await coreQuery(
+        "SELECT data_db_type FROM tenants WHERE id = ?",
+        [tenantId]
+      );
+
+      try {
+        validateMetricExpression(
+          sqlExpression.trim(),
+          getDataDbDriver(tenantRows[0]).sqlDialect
+        );
+      } catch (err) {
+        return res
+          .status(400)
+          .json({ error: err.message, code: err.code, details: err.details });
+      }
+
+      // One definition per (tenant, name)
+      await coreQuery(
+        `INSERT INTO metric_definitions
+           (tenant_id, name, synonyms, sql_expression, grain, allowed_dimensions, default_time_window, description)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE
+           synonyms = VALUES(synonyms),
+           sql_expression = VALUES(sql_expression),
+           grain = VALUES(grain),
+           allowed_dimensions = VALUES(allowed_dimensions),
+           default_time_window = VALUES(default_time_window),
+           description = VALUES(description),
+           updated_at = CURRENT_TIMESTAMP`,
+        [
+          tenantId,
+          name.trim(),
+          parseTermList(synonyms).join(",") || null,
+          sqlExpression.trim(),
+          grain || null,
+          parseTermList(allowedDimensions).join(",") || null,
+          defaultTimeWindow || null,
+          description || null,
+        ]
+      );
+
+      return res.status(200).json({ ok: true });
+    }
+
+    if (req.method === "DELETE") {
+      const { id } = req.query;
+      if (!id) {
+        return res.status(400).json({ error: "id is required" });
+      }
+
+      await coreQuery(
+        "DELETE FROM metric_definitions WHERE id = ? AND tenant_id = ?",
+        [id, tenantId]
+      );
+      return res.status(200).json({ ok: true });
+    }
+
+    res.setHeader("Allow", ["GET", "POST", "PUT", "DELETE"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    console.error("Error in /api/admin/metrics:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
@@ -0,0 +1,52 @@
+// pages/api/admin/refresh-schema.js
+// Inspect (GET) or force-refresh (POST) the cached data DB schema for the admin's tenant
+// (see lib/db/schemaService.js). POST { reindex: true } also re-embeds the schema documents.
+
+import { requireAuth } from "@/lib/auth/requireAuth";
+import { coreQuery } from "@/lib/db/coreDb";
+import { refreshTenantSchema } from "@/lib/db/schemaService";
+import { getTenantContext } from "@/lib/tenants/getTenantContext";
+
+export default requireAuth(async function handler(req, res) {
+  const { role: actorRole, tenantId } = req.user;
+
+  if (actorRole !== "SYSTEM_ADMIN" && actorRole !== "TENANT_ADMIN") {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  try {
+    if (req.method === "GET") {
+      const rows = await coreQuery(
+        `SELECT fingerprint, table_count, changed_at, checked_at
+         FROM tenant_schema_fingerprints
+         WHERE tenant_id = ?`,
+        [tenantId]
+      );
+      return res.status(200).json({ schema: rows[0] || null });
+    }
+
+    if (req.method === "POST") {
+      const { reindex } = req.body || {};
+      const tenant = await getTenantContext(req, tenantId);
+
+      const result = await refreshTenantSchema(tenant, {
+        reindex: reindex === true,
+      });
+
+      return res.status(200).json({
+        fingerprint: result.fingerprint,
+        previousFingerprint: result.previousFingerprint,
+        changed: result.changed,
+        reindexed: result.reindexed,
+        tableCount: result.tableCount,
+        loadedAt: new Date(result.loadedAt).toISOString(),
+      });
+    }
+
+    res.setHeader("Allow", ["GET", "POST"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    console.error("Error in /api/admin/refresh-schema:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
@@ -0,0 +1,37 @@
+// pages/api/admin/result-cache.js
+// Inspect (GET) or purge (DELETE) the query result cache for the admin's tenant
+// (see lib/db/resultCache.js). Purging also forgets the data-version marker, so the
+// freshness query runs again on the next question.
+
+import { requireAuth } from "@/lib/auth/requireAuth";
+import {
+  getTenantResultCacheStats,
+  purgeTenantResultCache,
+} from "@/lib/db/resultCache";
+
+export default requireAuth(async function handler(req, res) {
+  const { role: actorRole, tenantId } = req.user;
+
+  if (actorRole !== "SYSTEM_ADMIN" && actorRole !== "TENANT_ADMIN") {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  try {
+    if (req.method === "GET") {
+      return res
+        .status(200)
+        .json({ cache: getTenantResultCacheStats(tenantId) });
+    }
+
+    if (req.method === "DELETE") {
+      const purged = purgeTenantResultCache(tenantId);
+      return res.status(200).json({ purged });
+    }
+
+    res.setHeader("Allow", ["GET", "DELETE"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    console.error("Error in /api/admin/result-cache:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
@@ -0,0 +1,99 @@
+// pages/api/admin/row-policies.js
+// Manage row-level security policies for the admin's tenant (see lib/db/rowPolicies.js).
+
+import { requireAuth } from "@/lib/auth/requireAuth";
+import { coreQuery } from "@/lib/db/coreDb";
+import { parseTableList } from "@/lib/db/getDataDbSchema";
+import { getDataDbDriver } from "@/lib/db/drivers";
+import { parseRowPolicyPredicate } from "@/lib/db/rowPolicies";
+
+export default requireAuth(async function handler(req, res) {
+  const { role: actorRole, tenantId } = req.user;
+
+  if (actorRole !== "SYSTEM_ADMIN" && actorRole !== "TENANT_ADMIN") {
+    return res.status(403).json({ error: "Forbidden" });
+  }
+
+  try {
+    if (req.method === "GET") {
+      const policies = await coreQuery(
+        `SELECT id, user_id, role, table_name, predicate, is_active, created_at
+         FROM row_policies
+         WHERE tenant_id = ?
+         ORDER BY table_name ASC, id ASC`,
+        [tenantId]
+      );
+      return res.status(200).json({ policies });
+    }
+
+    if (req.method === "POST") {
+      const { userId, role, tableName, predicate } = req.body || {};
+
+      if (!userId && !role) {
+        return res
+          .status(400)
+          .json({ error: "Either userId or role is required" });
+      }
+
+      const tenantRows = await coreQuery(
+        "SELECT table_list, data_db_type FROM tenants WHERE id = ?",
+        [tenantId]
+      );
+      const allowedTables = parseTableList(tenantRows[0]?.table_list);
+      if (
+        allowedTables.length > 0 &&
+        !allowedTables.includes(String(tableName || ""))
+      ) {
+        return res
+          .status(400)
+          .json({ error: `Unknown table for this tenant: ${tableName}` });
+      }
+
+      let claims;
+      try {
+        ({ claims } = parseRowPolicyPredicate(
+          tableName,
+          predicate,
+          getDataDbDriver(tenantRows[0])
+        ));
+      } catch (err) {
+        return res
+          .status(400)
+          .json({ error: err.message, code: err.code, details: err.details });
+      }
+
+      const result = await coreQuery(
+        `INSERT INTO row_policies (tenant_id, user_id, role, table_name, predicate, is_active)
+         VALUES (?, ?, ?, ?, ?, 1)`,
+        [
+          tenantId,
+          userId || null,
+          role || null,
+          tableName,
+          String(predicate).trim(),
+        ]
+      );
+
+      return res.status(201).json({ id: result.insertId, claims });
+    }
+
+    if (req.method === "DELETE") {
+      const { id } = req.query;
+      if (!id) {
+        return res.status(400).json({ error: "id is required" });
+      }
+
+      await coreQuery(
+        "UPDATE row_policies SET is_active = 0 WHERE id = ? AND tenant_id = ?",
+        [id, tenantId]
+      );
+      return res.status(200).json({ ok: true });
+    }
+
+    res.setHeader("Allow", ["GET", "POST", "DELETE"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  } catch (err) {
+    console.error("Error in /api/admin/row-policies:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
@@ -76,7 +76,7 @@ export default async function handler(req, res) {
   ------------------------------------------------- */
   const [linkRows] = await db.query(
     `
-    SELECT role
+    SELECT role, attributes
     FROM user_tenants
     WHERE user_id = ?
       AND tenant_id = ?
@@ -92,6 +92,16 @@ export default async function handler(req, res) {
 
   const tenantRole = linkRows[0].role;
 
+  // Per-tenant user attributes (e.g. { "signuplocation": "Cebu City" }) bound into row policies
+  let attributes = linkRows[0].attributes || {};
+  if (typeof attributes === "string") {
+    try {
+      attributes = JSON.parse(attributes);
+    } catch {
+      attributes = {};
+    }
+  }
+
   /* -------------------------------------------------
      4. Validate password
   ------------------------------------------------- */
@@ -114,6 +124,7 @@ export default async function handler(req, res) {
     tenantSlug: tenant.slug,
     tenantId: tenant.id,
     tenantRole, // ADMIN / USER
+    attributes, // row policy claims
   });
 
   /* -------------------------------------------------
@@ -1,6 +1,8 @@
 // pages/api/chat/ask.js
 // Streaming (SSE) chat endpoint: classifies request, optionally retrieves context (RAG/memory),
 // generates SQL, runs it, summarizes results, and returns a stable `answerPayload` for the UI.
+// POST { conversationId, question, useRag } asks a new question; POST { regenerateMessageId, useRag }
+// answers an earlier answer's question again as a new version of it (lib/chat/branches.js).
 
 import { requireAuth } from "@/lib/auth/requireAuth";
 import { createSse } from "@/lib/http/sse";
@@ -8,6 +10,7 @@ import { requirePost } from "@/lib/http/guards";
 import { requireUserAndTenant } from "@/lib/http/tenantContext";
 
 import { ensureConversationAndPersistUserMessage } from "@/lib/chat/conversationBootstrap";
+import { resolveRegeneratedQuestion } from "@/lib/chat/conversationBootstrap";
 import { classifyDataRequest } from "@/lib/chat/classifyDataRequest";
 import { handleNonData } from "@/lib/chat/handleNonData";
 
@@ -17,35 +20,30 @@ import { getUserLongTermMemorySummary } from "@/lib/chat/buildContext";
 import { retrieveRAGContext } from "@/lib/chat/buildContext";
 import { buildCombinedContext } from "@/lib/chat/buildContext";
 
-import { getDataDbSchema } from "@/lib/db/getDataDbSchema";
+import { getTenantSchema } from "@/lib/db/schemaService";
+import { loadMetricDefinitions } from "@/lib/db/metricsRegistry";
+import { selectRelevantMetrics } from "@/lib/db/metricsRegistry";
+import { findReusableSql } from "@/lib/chat/semanticCache";
 import { convertToSQL } from "@/lib/chat/convertToSQL";
-import { executeDataSQL } from "@/lib/chat/convertToSQL";
-import { logFinalSQL } from "@/lib/chat/convertToSQL";
-
-import { getAnswerText } from "@/lib/chat/buildAnswer";
-import { logAnswerTelemetry } from "@/lib/chat/buildAnswer";
-import { buildTable } from "@/lib/chat/buildAnswer";
-import { buildAreaChart } from "@/lib/chat/buildAreaChart";
-import { buildRagMeta } from "@/lib/chat/buildAnswer";
-import { buildAnswerPayload } from "@/lib/chat/buildAnswer";
-import { persistAssistantMessage } from "@/lib/chat/buildAnswer";
-import { updateMessageSummary } from "@/lib/chat/buildAnswer";
+import { executeWithRepair } from "@/lib/chat/convertToSQL";
+
+import { finishDataAnswer } from "@/lib/chat/finishDataAnswer";
+import { persistCancelledTurn } from "@/lib/chat/buildAnswer";
 import { emptyUsage } from "@/lib/chat/usageLogger";
 import { addUsage } from "@/lib/chat/usageLogger";
-import { applySummaryUsageUpdate } from "@/lib/chat/usageLogger";
 
 import { MODEL_NAME } from "@/lib/settings";
 import { llm } from "@/lib/settings";
 import { MAX_TABLE_ROWS_IN_RESPONSE } from "@/lib/settings";
-import { CSV_EXPORT_ROW_THRESHOLD } from "@/lib/settings";
+import { MAX_SQL_REPAIR_ATTEMPTS } from "@/lib/settings";
 
 export default requireAuth(async function handler(req, res) {
   // ----------------------------------------------------
   // 1) Enable SSE, Check for POST, Get user and tenant info
   // ---------------------------------------------------
 
-  //SSE setup
-  const { emitStatus, streamError, closeWith } = createSse(res);
+  //SSE setup (signal aborts when the client disconnects)
+  const { emit, emitStatus, streamError, closeWith, signal } = createSse(res);
 
   //Check for POST
   if (!requirePost(req, streamError)) return;
@@ -61,23 +59,43 @@ export default requireAuth(async function handler(req, res) {
   // ---------------------------------------------------
 
   // Validate request body
-  const { conversationId, question, useRag } = req.body;
+  const { conversationId, useRag, regenerateMessageId } = req.body;
+  let { question } = req.body;
   const useRagBool = useRag === "1" || useRag === true;
-  if (typeof question !== "string" || question.trim() === "") {
+  if (
+    !regenerateMessageId &&
+    (typeof question !== "string" || question.trim() === "")
+  ) {
     streamError(400, "INVALID_REQUEST", "Question is required");
     return;
   }
 
+  // Turn state kept outside the try so a cancelled turn can still be recorded
+  let convId = null;
+  let userMessageId = null;
+  let totalUsage = emptyUsage();
+  let sql = null;
+  let sqlQueryId = null;
+  let sqlAttempts = [];
+
   try {
-    // Persist conversation and user message
-    const bootstrap = await ensureConversationAndPersistUserMessage({
-      conversationId,
-      question,
-      user,
-      streamError,
-    });
+    // Persist conversation and user message (regenerate: reuse the answer's question)
+    const bootstrap = regenerateMessageId
+      ? await resolveRegeneratedQuestion({
+          messageId: regenerateMessageId,
+          user,
+          streamError,
+        })
+      : await ensureConversationAndPersistUserMessage({
+          conversationId,
+          question,
+          user,
+          streamError,
+        });
     if (!bootstrap) return;
-    const { convId, userMessageId } = bootstrap;
+    convId = bootstrap.convId;
+    userMessageId = bootstrap.userMessageId;
+    question = bootstrap.question ?? question;
     emitStatus("Understanding your question…", 8);
 
     // Quick classification: data vs non-data
@@ -89,7 +107,8 @@ export default requireAuth(async function handler(req, res) {
       });
 
     // Initialize total usage with classification usage
-    let totalUsage = addUsage(emptyUsage(), classificationUsage);
+    totalUsage = addUsage(totalUsage, classificationUsage);
+    signal.throwIfAborted();
 
     // ----------------------------------------------------
     // 3) Handle Non-Data Requests
@@ -101,6 +120,7 @@ export default requireAuth(async function handler(req, res) {
         question,
         user,
         convId,
+        userMessageId,
         emitStatus,
         closeWith,
         llm,
@@ -117,10 +137,11 @@ export default requireAuth(async function handler(req, res) {
     //Handle Data Request
     emitStatus("Gathering user context…", 25);
 
-    // Gather conversation summary
+    // Gather conversation summary (of the branch this question is on)
     const conversationSummaryForPrompt = await buildConversationSummary({
       convId,
       tenantId: user.tenantId,
+      leafId: userMessageId,
     });
 
     // Gather user long-term memory
@@ -130,6 +151,7 @@ export default requireAuth(async function handler(req, res) {
     const recentQAPairsText = await getRecentQAPairs({
       convId,
       user: user,
+      leafId: userMessageId,
     });
 
     emitStatus("Getting Business Context...", 35);
@@ -154,172 +176,115 @@ export default requireAuth(async function handler(req, res) {
     // 5) Handle Data Requests: Convert Natural Language to SQL and Execute
     // ---------------------------------------------------
 
+    signal.throwIfAborted();
     emitStatus("Generating SQL query…", 50);
 
-    // Get database schema text
-    const schemaText = await getDataDbSchema(tenant);
+    // Get database schema text (cached per tenant)
+    const { schemaText } = await getTenantSchema(tenant);
+
+    // Governed metric definitions mentioned in the question (always given to the SQL prompt)
+    const metrics = selectRelevantMetrics(
+      await loadMetricDefinitions(user.tenantId),
+      question
+    );
+
+    //Look for a positively rated earlier turn asking the same thing in other words
+    //(not when regenerating: the user asked for a different answer)
+    const reuseMatch = regenerateMessageId
+      ? null
+      : await findReusableSql({
+          tenantId: user.tenantId,
+          question,
+        });
+    const reuse = reuseMatch
+      ? {
+          reused: reuseMatch.reused,
+          matchedQuestion: reuseMatch.matchedQuestion,
+          similarity: reuseMatch.similarity,
+          queryLogId: reuseMatch.queryLogId,
+        }
+      : null;
+    signal.throwIfAborted();
+
+    if (reuseMatch?.reused) {
+      //Reuse the verified SQL instead of generating it again
+      emitStatus("Reusing a verified query…", 55);
+      sql = reuseMatch.sql;
+    } else {
+      //Carry out natural language to SQL conversion
+      const { sql: generatedSql, usage: sqlUsage } = await convertToSQL({
+        llm,
+        question,
+        schemaText,
+        context: ragContext,
+        maxRows: MAX_TABLE_ROWS_IN_RESPONSE,
+        dbType: tenant.data_db_type,
+        metrics,
+        signal,
+      });
+      sql = generatedSql;
+
+      //Accumulate token usage
+      totalUsage = addUsage(totalUsage, sqlUsage);
+    }
+
+    emitStatus("Running query on database…", 65);
 
-    //Carry out natural language to SQL conversion
-    let { sql, usage: sqlUsage } = await convertToSQL({
+    //Run actual SQL against tenant data database, repairing failed SQL (bounded).
+    //Every attempt is persisted to sql_queries with its attempt number.
+    const {
+      sql: repairedSql,
+      execution,
+      sqlQueryId: executedSqlQueryId,
+      attempts: executedAttempts,
+      usage: repairUsage,
+    } = await executeWithRepair({
       llm,
+      tenant,
+      user,
       question,
       schemaText,
       context: ragContext,
       maxRows: MAX_TABLE_ROWS_IN_RESPONSE,
       dbType: tenant.data_db_type,
-    });
-
-    //Accumulate token usage
-    totalUsage = addUsage(totalUsage, sqlUsage);
-
-    emitStatus("Running query on database…", 65);
-
-    //Run actual SQL against tenant data database
-    const {
-      sql: executedSql,
-      rows,
-      fields,
-      rowCount,
-      durationMs,
-      status,
-      errorMessage,
-    } = await executeDataSQL({ tenant, sql });
-
-    const finalSql = executedSql;
-
-    // Persist final SQL metadata
-    const sqlQueryId = await logFinalSQL({
+      sql,
+      maxRepairs: MAX_SQL_REPAIR_ATTEMPTS,
+      emitStatus,
       tenantId: user.tenantId,
       conversationId: convId,
       messageId: userMessageId,
-      finalSql,
-      status,
-      rowCount,
-      errorMessage,
-      durationMs,
+      metrics,
+      signal,
     });
-
+    sql = repairedSql;
+    sqlQueryId = executedSqlQueryId;
+    sqlAttempts = executedAttempts;
+    totalUsage = addUsage(totalUsage, repairUsage);
+    signal.throwIfAborted();
     // ----------------------------------------------------
-    // 6) Handle Data Requests: Prepare data for UI Packaging
+    // 6) Handle Data Requests: Package, persist and log the answer
     // ---------------------------------------------------
 
-    emitStatus("Summarizing results…", 80);
-
-    //Get concise answer text from results
-    const { answerText, usage: answerUsage } = await getAnswerText({
-      llm,
-      question,
-      sql,
-      fields,
-      rows,
-    });
-
-    //Accumulate token usage
-    totalUsage = addUsage(totalUsage, answerUsage);
-
-    //Build table + optional CSV download
-    const { table, downloads } = buildTable({
-      fields,
-      rows,
-      convId,
-      maxRows: MAX_TABLE_ROWS_IN_RESPONSE,
-      csvThreshold: CSV_EXPORT_ROW_THRESHOLD,
-    });
-
-    //Build Optional chart payload
-    const { chart, usage: chartUsage } = await buildAreaChart({
+    const { messages, answerPayload } = await finishDataAnswer({
+      tenant,
+      user,
       question,
-      fields,
-      rows,
-      llm,
-    });
-
-    //Accumulate token usage
-    totalUsage = addUsage(totalUsage, chartUsage);
-
-    //Build RAG metadata
-    const ragMeta = buildRagMeta({
-      requested: useRagBool,
-      retrievedDocs,
-      ragError,
-    });
-
-    //Build answerPayload (UI contract)
-    let answerPayload = buildAnswerPayload({
-      answerText,
-      sql,
-      sqlQueryId,
-      usage: totalUsage,
-      modelName: MODEL_NAME,
-      table,
-      downloads,
-      chart,
-      rag: ragMeta,
-    });
-
-    emitStatus("Finalizing response…", 92);
-
-    // ----------------------------------------------------
-    // 7) Handle Data Requests: Complete logs and SSE response
-    // ---------------------------------------------------
-
-    // Persist assistant message & TokenUsage
-    const { messageId, tokenUsageId } = await persistAssistantMessage({
-      tenantId: user.tenantId,
-      userId: user.userId,
-      conversationId: convId,
-      answerText,
-      answerPayload,
-      modelName: MODEL_NAME,
-      usage: totalUsage,
-    });
-    console.log("Persisted assistant message with ID:", messageId);
-
-    //Update conversation summary if needed
-    const { messages, usage: summaryUsage } = await updateMessageSummary({
       convId,
+      parentMessageId: userMessageId,
       conversationSummaryForPrompt,
-      user,
-      llm,
-    });
-
-    //Accumulate token usage
-    totalUsage = addUsage(totalUsage, summaryUsage);
-
-    //Apply summary usage update to answerPayload if applicable
-    const summaryUpdate = await applySummaryUsageUpdate({
-      summaryUsage,
-      totalUsage,
-      answerText,
+      execution,
       sql,
       sqlQueryId,
-      modelName: MODEL_NAME,
-      table,
-      downloads,
-      chart,
-      ragMeta,
-      messageId,
-      tenantId: user.tenantId,
-      tokenUsageId,
-      messages,
-    });
-    if (summaryUpdate.answerPayload) {
-      answerPayload = summaryUpdate.answerPayload;
-    }
-
-    //Log telemetry (query_logs + query_sources)
-    await logAnswerTelemetry({
-      tenantId: user.tenantId,
-      userId: user.userId,
-      conversationId: convId,
-      question,
-      answerText,
-      sql,
+      attempts: sqlAttempts,
       usage: totalUsage,
-      durationMs,
-      modelName: MODEL_NAME,
-      useRagBool,
-      retrievedDocs,
+      onUsage: (usage) => {
+        totalUsage = usage;
+      },
+      rag: { requested: useRagBool, retrievedDocs, ragError },
+      reuse,
+      emit,
+      emitStatus,
+      signal,
     });
 
     //Send final SSE response
@@ -330,6 +295,27 @@ export default requireAuth(async function handler(req, res) {
       answerPayload,
     });
   } catch (err) {
+    // Client disconnected: LLM calls and the data query were aborted; record the turn as cancelled
+    if (signal.aborted) {
+      console.log("Client disconnected; /api/chat/ask turn cancelled");
+      if (convId) {
+        await persistCancelledTurn({
+          tenantId: user.tenantId,
+          userId: user.userId,
+          conversationId: convId,
+          parentMessageId: userMessageId,
+          sql,
+          sqlQueryId,
+          attempts: sqlAttempts,
+          modelName: MODEL_NAME,
+          usage: totalUsage,
+        }).catch((persistErr) =>
+          console.error("Failed to record cancelled turn:", persistErr)
+        );
+      }
+      return;
+    }
+
     console.error("Error in /api/chat/ask:", err);
     if (!res.writableEnded) {
       streamError(500, "INTERNAL_SERVER_ERROR", "Internal server error");
@@ -0,0 +1,54 @@
+// pages/api/chat/branch.js
+// Switch the conversation to another version of an answer (lib/chat/branches.js).
+//   POST { messageId } -> { conversationId, messages }
+// The branch through `messageId` (down to its latest follow-up) becomes the active one, which
+// history, recent Q&A and the conversation summary follow from then on.
+
+import { requireAuth } from "@/lib/auth/requireAuth";
+import { coreQuery } from "@/lib/db/coreDb";
+import { loadBranchMessages, setActiveBranch } from "@/lib/chat/branches";
+
+export default requireAuth(async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const user = req.user;
+  const { messageId } = req.body || {};
+
+  if (!messageId) {
+    return res.status(400).json({ error: "messageId is required" });
+  }
+
+  try {
+    // Only messages in the user's own conversations
+    const rows = await coreQuery(
+      `SELECT m.id, m.conversation_id
+       FROM messages m
+       JOIN conversations c ON c.id = m.conversation_id
+       WHERE m.id = ? AND m.tenant_id = ? AND c.user_id = ?`,
+      [messageId, user.tenantId, user.userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    const convId = rows[0].conversation_id;
+    await setActiveBranch({
+      convId,
+      tenantId: user.tenantId,
+      messageId: rows[0].id,
+    });
+
+    const messages = await loadBranchMessages({
+      convId,
+      tenantId: user.tenantId,
+    });
+
+    return res.status(200).json({ conversationId: convId, messages });
+  } catch (err) {
+    console.error("Error in /api/chat/branch:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
@@ -0,0 +1,63 @@
+// pages/api/chat/chart-image.js
+// Chart of an assistant message as an image: GET ?messageId=&format=png|svg (default png).
+// Rendered server-side from the stored answerPayload.chart (see lib/chat/chartImage.js).
+
+import { requireAuth } from "@/lib/auth/requireAuth";
+import { coreQuery } from "@/lib/db/coreDb";
+import { renderChartPng, renderChartSvg } from "@/lib/chat/chartImage";
+
+export default requireAuth(async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const user = req.user;
+  const { messageId, format = "png" } = req.query;
+
+  if (!messageId) {
+    return res.status(400).json({ error: "messageId is required" });
+  }
+
+  if (format !== "png" && format !== "svg") {
+    return res.status(400).json({ error: "format must be png or svg" });
+  }
+
+  try {
+    // Only messages in the user's own conversations
+    const rows = await coreQuery(
+      `SELECT m.id, m.answer_payload
+       FROM messages m
+       JOIN conversations c ON c.id = m.conversation_id
+       WHERE m.id = ? AND m.tenant_id = ? AND m.role = 'assistant' AND c.user_id = ?`,
+      [messageId, user.tenantId, user.userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    const raw = rows[0].answer_payload;
+    const payload = typeof raw === "string" ? JSON.parse(raw) : raw;
+
+    const svg = renderChartSvg(payload?.chart);
+    if (!svg) {
+      return res.status(404).json({ error: "This message has no chart" });
+    }
+
+    const filename = `chart-${rows[0].id}.${format}`;
+    res.setHeader("Content-Disposition", `inline; filename="${filename}"`);
+    res.setHeader("Cache-Control", "private, max-age=300");
+
+    if (format === "svg") {
+      res.setHeader("Content-Type", "image/svg+xml; charset=utf-8");
+      return res.status(200).send(svg);
+    }
+
+    const png = await renderChartPng(payload.chart);
+    res.setHeader("Content-Type", "image/png");
+    return res.status(200).send(png);
+  } catch (err) {
+    console.error("Error in /api/chat/chart-image:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
@@ -25,12 +25,19 @@ async function getConversations(req, res, user) {
         c.status,
         c.created_at,
         c.updated_at,
-        (
-          SELECT m.content
-          FROM messages m
-          WHERE m.conversation_id = c.id
-          ORDER BY m.created_at DESC, m.id DESC
-          LIMIT 1
+        COALESCE(
+          (
+            SELECT m.content
+            FROM messages m
+            WHERE m.id = c.active_message_id
+          ),
+          (
+            SELECT m.content
+            FROM messages m
+            WHERE m.conversation_id = c.id
+            ORDER BY m.created_at DESC, m.id DESC
+            LIMIT 1
+          )
         ) AS last_message
       FROM conversations c
       WHERE c.user_id = ?
@@ -0,0 +1,47 @@
+// pages/api/chat/export-link.js
+// Signed, short-lived download URL for a full result export: POST { sqlQueryId, format }.
+// format: "csv" (default) or "ndjson". See lib/chat/resultExport.js.
+
+import { requireAuth } from "@/lib/auth/requireAuth";
+import {
+  EXPORT_FORMATS,
+  loadExportableQuery,
+  signExportUrl,
+} from "@/lib/chat/resultExport";
+
+export default requireAuth(async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const user = req.user;
+  const { sqlQueryId, format = "csv" } = req.body || {};
+
+  if (!sqlQueryId) {
+    return res.status(400).json({ error: "sqlQueryId is required" });
+  }
+
+  if (!EXPORT_FORMATS[format]) {
+    return res.status(400).json({
+      error: `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`,
+    });
+  }
+
+  try {
+    const query = await loadExportableQuery({ sqlQueryId, user });
+    if (!query) {
+      return res.status(404).json({ error: "Query not found" });
+    }
+
+    const { url, expiresAt } = signExportUrl({
+      sqlQueryId: query.id,
+      format,
+      user,
+    });
+    return res.status(200).json({ url, expiresAt });
+  } catch (err) {
+    console.error("Error in /api/chat/export-link:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
@@ -0,0 +1,101 @@
+// pages/api/chat/export-xlsx.js
+// Excel download of an assistant message's result: GET ?messageId=
+// Built from the stored answerPayload (see lib/chat/xlsxExport.js); truncated results re-run the
+// saved query like the CSV export does (lib/chat/resultExport.js).
+
+import { requireAuth } from "@/lib/auth/requireAuth";
+import { coreQuery } from "@/lib/db/coreDb";
+import { getTenantContext } from "@/lib/tenants/getTenantContext";
+import { findQuestionMessage } from "@/lib/chat/branches";
+import { loadExportableQuery, streamExportRows } from "@/lib/chat/resultExport";
+import {
+  buildAnswerWorkbook,
+  rowsFromAnswerPayload,
+} from "@/lib/chat/xlsxExport";
+
+const XLSX_MIME_TYPE =
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet";
+
+export default requireAuth(async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const user = req.user;
+  const { messageId } = req.query;
+
+  if (!messageId) {
+    return res.status(400).json({ error: "messageId is required" });
+  }
+
+  try {
+    // Only messages in the user's own conversations
+    const rows = await coreQuery(
+      `SELECT m.id, m.conversation_id, m.answer_payload, m.created_at
+       FROM messages m
+       JOIN conversations c ON c.id = m.conversation_id
+       WHERE m.id = ? AND m.tenant_id = ? AND m.role = 'assistant' AND c.user_id = ?`,
+      [messageId, user.tenantId, user.userId]
+    );
+    if (rows.length === 0) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    const message = rows[0];
+    const payload =
+      typeof message.answer_payload === "string"
+        ? JSON.parse(message.answer_payload)
+        : message.answer_payload;
+
+    const columns = payload?.table?.columns;
+    if (!Array.isArray(columns) || columns.length === 0) {
+      return res.status(404).json({ error: "This message has no table" });
+    }
+
+    const questionMessage = await findQuestionMessage({
+      convId: message.conversation_id,
+      tenantId: user.tenantId,
+      answerId: message.id,
+    });
+
+    // Full result (capped) when the answer only kept a preview
+    let dataRows = rowsFromAnswerPayload(payload);
+    const reference = (payload.downloads || []).find((d) => d?.sqlQueryId);
+    const query =
+      payload.table.truncated && reference
+        ? await loadExportableQuery({ sqlQueryId: reference.sqlQueryId, user })
+        : null;
+    if (query) {
+      const tenant = await getTenantContext(req, user.tenantId);
+      dataRows = [];
+      for await (const row of streamExportRows({
+        tenant,
+        sql: query.source_sql,
+        user,
+      })) {
+        dataRows.push(row);
+      }
+    }
+
+    const buffer = await buildAnswerWorkbook({
+      question: questionMessage?.content || "",
+      answerText: payload.answerText,
+      sql: payload.meta?.sql,
+      columns,
+      rows: dataRows,
+      rowCount: payload.table.rowCount,
+      answeredAt: message.created_at ? new Date(message.created_at) : null,
+    });
+
+    res.setHeader("Content-Type", XLSX_MIME_TYPE);
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="answer-${message.id}.xlsx"`
+    );
+    return res.status(200).send(buffer);
+  } catch (err) {
+    console.error("Error in /api/chat/export-xlsx:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
@@ -0,0 +1,107 @@
+// pages/api/chat/export.js
+// Streams a full result export as CSV or NDJSON: GET ?token= (signed URL from /api/chat/export-link).
+// The token stands in for the Authorization header so the browser can download directly.
+
+import { getTenantContext } from "@/lib/tenants/getTenantContext";
+import {
+  EXPORT_FORMATS,
+  csvLine,
+  loadExportableQuery,
+  streamExportRows,
+  verifyExportToken,
+} from "@/lib/chat/resultExport";
+
+// Exports can exceed Next's default API response size warning
+export const config = {
+  api: { responseLimit: false },
+};
+
+//Resolves once the response buffer has drained (backpressure for slow clients) or the client left.
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    res.once("drain", resolve);
+    res.once("close", resolve);
+  });
+}
+
+export default async function handler(req, res) {
+  if (req.method !== "GET") {
+    res.setHeader("Allow", ["GET"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  let claims;
+  try {
+    claims = verifyExportToken(String(req.query.token || ""));
+  } catch {
+    return res.status(401).json({ error: "Invalid or expired download link" });
+  }
+
+  const { sqlQueryId, format, user } = claims;
+  const { mimeType, extension } = EXPORT_FORMATS[format] || EXPORT_FORMATS.csv;
+
+  // Stop the database stream when the client goes away
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  let started = false;
+  try {
+    const query = await loadExportableQuery({ sqlQueryId, user });
+    if (!query) {
+      return res.status(404).json({ error: "Query not found" });
+    }
+
+    const tenant = await getTenantContext(req, user.tenantId);
+
+    let columns = [];
+    const rows = streamExportRows({
+      tenant,
+      sql: query.source_sql,
+      user,
+      signal: controller.signal,
+      onColumns: (c) => {
+        columns = c;
+      },
+    });
+
+    // Headers go out with the first row, so query errors can still answer with a status
+    const startDownload = async () => {
+      started = true;
+      res.setHeader("Content-Type", mimeType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename="export-${query.id}.${extension}"`
+      );
+      res.setHeader("Cache-Control", "no-store");
+      if (format === "csv") {
+        await write(res, csvLine(columns.map((c) => c.label)));
+      }
+    };
+
+    for await (const row of rows) {
+      if (controller.signal.aborted) break;
+      if (!started) await startDownload();
+      await write(
+        res,
+        format === "csv"
+          ? csvLine(columns.map((c) => row?.[c.key] ?? null))
+          : `${JSON.stringify(row)}\n`
+      );
+    }
+
+    // No rows: still a valid (header-only / empty) file
+    if (!started) await startDownload();
+
+    return res.end();
+  } catch (err) {
+    if (controller.signal.aborted) return;
+    console.error("Error in /api/chat/export:", err);
+
+    // Headers already sent: cut the download short rather than append an error body
+    if (started) return res.destroy(err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+}
@@ -1,5 +1,6 @@
 import { requireAuth } from "@/lib/auth/requireAuth";
 import { coreQuery } from "@/lib/db/coreDb";
+import { loadBranchMessages } from "@/lib/chat/branches";
 
 export default requireAuth(async function handler(req, res) {
   if (req.method !== "GET") {
@@ -27,10 +28,11 @@ export default requireAuth(async function handler(req, res) {
       return res.status(404).json({ error: "Conversation not found" });
     }
 
-    const messages = await coreQuery(
-      "SELECT id, role, content, answer_payload, created_at FROM messages WHERE conversation_id = ? ORDER BY created_at ASC, id ASC",
-      [conversationId]
-    );
+    // Messages of the chosen branch (answers with other versions carry `versions`)
+    const messages = await loadBranchMessages({
+      convId: conversationId,
+      tenantId: user.tenantId,
+    });
 
     return res.status(200).json({ messages });
   } catch (err) {
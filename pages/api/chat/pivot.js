@@ -0,0 +1,69 @@
+// pages/api/chat/pivot.js
+// Pivot of a saved query's result: POST { sqlQueryId, rows, columns, measure, aggregation }.
+// rows / columns are result column keys; aggregation: sum | avg | min | max | count | count_distinct.
+// Computed by the data DB inside the tenant scope without a model call (see lib/chat/resultPivot.js).
+
+import { requireAuth } from "@/lib/auth/requireAuth";
+import { getTenantContext } from "@/lib/tenants/getTenantContext";
+import { getDataDbDriver } from "@/lib/db/drivers";
+import { loadExportableQuery } from "@/lib/chat/resultExport";
+import { fetchResultPivot } from "@/lib/chat/resultPivot";
+
+export default requireAuth(async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const user = req.user;
+  const { sqlQueryId, rows, columns, measure, aggregation } = req.body || {};
+
+  if (!sqlQueryId) {
+    return res.status(400).json({ error: "sqlQueryId is required" });
+  }
+
+  // Stop the pivot query when the client goes away
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  let tenant = null;
+  try {
+    const query = await loadExportableQuery({ sqlQueryId, user });
+    if (!query) {
+      return res.status(404).json({ error: "Query not found" });
+    }
+
+    tenant = await getTenantContext(req, user.tenantId);
+
+    const pivot = await fetchResultPivot({
+      tenant,
+      sql: query.source_sql,
+      user,
+      config: { rows, columns, measure, aggregation },
+      signal: controller.signal,
+    });
+
+    return res.status(200).json({ sqlQueryId: query.id, ...pivot });
+  } catch (err) {
+    if (controller.signal.aborted) return;
+
+    // Invalid config, unusable / masked field, or over the tenant's cost budget
+    if (err.isPolicyViolation) {
+      return res
+        .status(400)
+        .json({ error: err.message, code: err.code, details: err.details });
+    }
+
+    // The database rejected the aggregation (e.g. SUM over a text column)
+    if (tenant && getDataDbDriver(tenant).isRepairableError(err.code)) {
+      return res
+        .status(400)
+        .json({ error: "This aggregation does not apply to the measure" });
+    }
+
+    console.error("Error in /api/chat/pivot:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
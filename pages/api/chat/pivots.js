@@ -0,0 +1,102 @@
+// pages/api/chat/pivots.js
+// Pivot configurations saved on an assistant message (answerPayload.pivots).
+//   POST   { messageId, pivot: { name, rows, columns, measure, aggregation } } -> { pivots }
+//   DELETE { messageId, pivotId }                                            -> { pivots }
+
+import crypto from "crypto";
+import { requireAuth } from "@/lib/auth/requireAuth";
+import { coreQuery } from "@/lib/db/coreDb";
+import { normalizePivotConfig } from "@/lib/chat/resultPivot";
+
+const MAX_SAVED_PIVOTS = 20;
+
+//Answer payload of an assistant message in one of the user's own conversations, or null.
+async function loadOwnAnswer(messageId, user) {
+  const rows = await coreQuery(
+    `SELECT m.id, m.answer_payload
+     FROM messages m
+     JOIN conversations c ON c.id = m.conversation_id
+     WHERE m.id = ? AND m.tenant_id = ? AND m.role = 'assistant' AND c.user_id = ?`,
+    [messageId, user.tenantId, user.userId]
+  );
+  if (rows.length === 0) return null;
+
+  const raw = rows[0].answer_payload;
+  return (typeof raw === "string" ? JSON.parse(raw) : raw) || {};
+}
+
+async function saveAnswer(messageId, user, payload) {
+  await coreQuery(
+    "UPDATE messages SET answer_payload = ? WHERE id = ? AND tenant_id = ?",
+    [JSON.stringify(payload), messageId, user.tenantId]
+  );
+}
+
+export default requireAuth(async function handler(req, res) {
+  if (req.method !== "POST" && req.method !== "DELETE") {
+    res.setHeader("Allow", ["POST", "DELETE"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const user = req.user;
+  const { messageId, pivot, pivotId } = req.body || {};
+
+  if (!messageId) {
+    return res.status(400).json({ error: "messageId is required" });
+  }
+
+  try {
+    const payload = await loadOwnAnswer(messageId, user);
+    if (!payload) {
+      return res.status(404).json({ error: "Message not found" });
+    }
+
+    const pivots = Array.isArray(payload.pivots) ? payload.pivots : [];
+
+    if (req.method === "DELETE") {
+      if (!pivotId) {
+        return res.status(400).json({ error: "pivotId is required" });
+      }
+      payload.pivots = pivots.filter((p) => p.id !== pivotId);
+      await saveAnswer(messageId, user, payload);
+      return res.status(200).json({ pivots: payload.pivots });
+    }
+
+    if (!payload.meta?.sqlQueryId) {
+      return res
+        .status(400)
+        .json({ error: "This answer has no saved query to pivot" });
+    }
+
+    if (pivots.length >= MAX_SAVED_PIVOTS) {
+      return res.status(400).json({
+        error: `At most ${MAX_SAVED_PIVOTS} pivots can be saved on an answer`,
+      });
+    }
+
+    let config;
+    try {
+      config = normalizePivotConfig(pivot);
+    } catch (err) {
+      return res
+        .status(400)
+        .json({ error: err.message, code: err.code, details: err.details });
+    }
+
+    const name =
+      typeof pivot?.name === "string" && pivot.name.trim()
+        ? pivot.name.trim().slice(0, 120)
+        : "Pivot";
+
+    payload.pivots = [
+      ...pivots,
+      { id: crypto.randomUUID(), name, ...config, createdAt: new Date() },
+    ];
+    await saveAnswer(messageId, user, payload);
+
+    return res.status(201).json({ pivots: payload.pivots });
+  } catch (err) {
+    console.error("Error in /api/chat/pivots:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
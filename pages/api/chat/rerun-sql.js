@@ -0,0 +1,227 @@
+// pages/api/chat/rerun-sql.js
+// Streaming (SSE) "Edit SQL" endpoint: runs SQL edited by a permitted user (lib/auth/permissions.js)
+// for an earlier answer's question, through the same validation, row policies and tenant scope
+// as generated SQL, and answers with a new assistant message (answerPayload.meta.userEditedSql).
+// POST { messageId, sql }; events and the final payload match /api/chat/ask. The new answer is
+// stored as another version of the edited one (same question, see lib/chat/branches.js).
+// A successful edit is also kept as a correction example for retrieval (lib/chat/sqlCorrections.js).
+
+import { requireAuth } from "@/lib/auth/requireAuth";
+import { canEditSql } from "@/lib/auth/permissions";
+import { createSse } from "@/lib/http/sse";
+import { requirePost } from "@/lib/http/guards";
+import { requireUserAndTenant } from "@/lib/http/tenantContext";
+import { coreQuery } from "@/lib/db/coreDb";
+
+import { buildConversationSummary } from "@/lib/chat/buildContext";
+import { loadMetricDefinitions } from "@/lib/db/metricsRegistry";
+import { selectRelevantMetrics } from "@/lib/db/metricsRegistry";
+import { executeDataSQL } from "@/lib/chat/convertToSQL";
+import { logFinalSQL } from "@/lib/chat/convertToSQL";
+import { recordSqlCorrection } from "@/lib/chat/sqlCorrections";
+import { findQuestionMessage } from "@/lib/chat/branches";
+
+import { finishDataAnswer } from "@/lib/chat/finishDataAnswer";
+import { persistCancelledTurn } from "@/lib/chat/buildAnswer";
+import { emptyUsage } from "@/lib/chat/usageLogger";
+
+import { MODEL_NAME } from "@/lib/settings";
+
+//Assistant message in one of the user's own conversations, with the question it answered.
+async function loadSourceAnswer(messageId, user) {
+  const rows = await coreQuery(
+    `SELECT m.id, m.conversation_id, m.answer_payload
+     FROM messages m
+     JOIN conversations c ON c.id = m.conversation_id
+     WHERE m.id = ? AND m.tenant_id = ? AND m.role = 'assistant' AND c.user_id = ?`,
+    [messageId, user.tenantId, user.userId]
+  );
+  if (rows.length === 0) return null;
+
+  const questionMessage = await findQuestionMessage({
+    convId: rows[0].conversation_id,
+    tenantId: user.tenantId,
+    answerId: rows[0].id,
+  });
+  if (!questionMessage) return null;
+
+  const raw = rows[0].answer_payload;
+  return {
+    conversationId: rows[0].conversation_id,
+    payload: (typeof raw === "string" ? JSON.parse(raw) : raw) || {},
+    question: questionMessage.content,
+    questionMessageId: questionMessage.id,
+  };
+}
+
+export default requireAuth(async function handler(req, res) {
+  //SSE setup (signal aborts when the client disconnects)
+  const { emit, emitStatus, streamError, closeWith, signal } = createSse(res);
+
+  if (!requirePost(req, streamError)) return;
+
+  const ctx = await requireUserAndTenant(req, streamError);
+  if (!ctx) return;
+  const { user, tenant } = ctx;
+
+  if (!canEditSql(user)) {
+    streamError(403, "FORBIDDEN", "Your role cannot edit SQL");
+    return;
+  }
+
+  const { messageId, sql: editedSql } = req.body || {};
+  if (!messageId || typeof editedSql !== "string" || !editedSql.trim()) {
+    streamError(400, "INVALID_REQUEST", "messageId and sql are required");
+    return;
+  }
+
+  // Turn state kept outside the try so a cancelled turn can still be recorded
+  let convId = null;
+  let questionMessageId = null;
+  let totalUsage = emptyUsage();
+  let sqlQueryId = null;
+  let sqlAttempts = [];
+
+  try {
+    const source = await loadSourceAnswer(messageId, user);
+    if (!source) {
+      streamError(404, "NOT_FOUND", "Answer not found");
+      return;
+    }
+    convId = source.conversationId;
+    questionMessageId = source.questionMessageId;
+    const { question } = source;
+    emitStatus("Running your SQL…", 20);
+
+    // Governed metric definitions still apply to hand-written SQL
+    const metrics = selectRelevantMetrics(
+      await loadMetricDefinitions(user.tenantId),
+      question
+    );
+
+    // Same validation, row policies, scope filter, cost check and cache as generated SQL
+    const execution = await executeDataSQL({
+      tenant,
+      sql: editedSql,
+      user,
+      metrics,
+      signal,
+    });
+
+    sqlQueryId = await logFinalSQL({
+      tenantId: user.tenantId,
+      conversationId: convId,
+      messageId: questionMessageId,
+      sourceSql: editedSql,
+      finalSql: execution.sql,
+      status: execution.status,
+      rowCount: execution.rowCount,
+      errorMessage: execution.errorMessage,
+      durationMs: execution.durationMs,
+      estimatedRows: execution.estimatedRows,
+      cacheHit: !!execution.cache?.hit,
+    });
+    sqlAttempts = [
+      {
+        attempt: 1,
+        sql: editedSql,
+        status: execution.status,
+        errorCode: execution.errorCode,
+        errorMessage: execution.errorMessage,
+        durationMs: execution.durationMs,
+        estimatedRows: execution.estimatedRows,
+        cacheHit: !!execution.cache?.hit,
+        sqlQueryId,
+      },
+    ];
+    signal.throwIfAborted();
+
+    // No repair loop for edited SQL: report the error so the user can fix it
+    if (execution.status !== "success") {
+      streamError(
+        400,
+        execution.errorCode || "SQL_ERROR",
+        execution.errorMessage || "The SQL could not be run"
+      );
+      return;
+    }
+
+    const conversationSummaryForPrompt = await buildConversationSummary({
+      convId,
+      tenantId: user.tenantId,
+      leafId: questionMessageId,
+    });
+
+    // Same masking, answer packaging, persistence and telemetry as /api/chat/ask
+    const {
+      messageId: newMessageId,
+      messages,
+      answerPayload,
+    } = await finishDataAnswer({
+      tenant,
+      user,
+      question,
+      convId,
+      parentMessageId: questionMessageId,
+      conversationSummaryForPrompt,
+      execution,
+      sql: editedSql,
+      sqlQueryId,
+      attempts: sqlAttempts,
+      usage: totalUsage,
+      onUsage: (usage) => {
+        totalUsage = usage;
+      },
+      userEditedSql: true,
+      emit,
+      emitStatus,
+      signal,
+    });
+
+    // Keep the fix as an example for similar questions (only when the SQL actually changed)
+    const originalSql = source.payload?.meta?.sql || null;
+    if (String(originalSql || "").trim() !== editedSql.trim()) {
+      await recordSqlCorrection({
+        tenant,
+        question,
+        originalSql,
+        correctedSql: editedSql,
+        userId: user.userId,
+        messageId: newMessageId,
+      });
+    }
+
+    emitStatus("Done.", 100);
+    closeWith("final", {
+      conversationId: convId,
+      messages,
+      answerPayload,
+    });
+  } catch (err) {
+    // Client disconnected: record the turn as cancelled, like /api/chat/ask
+    if (signal.aborted) {
+      console.log("Client disconnected; /api/chat/rerun-sql turn cancelled");
+      if (convId) {
+        await persistCancelledTurn({
+          tenantId: user.tenantId,
+          userId: user.userId,
+          conversationId: convId,
+          parentMessageId: questionMessageId,
+          sql: editedSql,
+          sqlQueryId,
+          attempts: sqlAttempts,
+          modelName: MODEL_NAME,
+          usage: totalUsage,
+        }).catch((persistErr) =>
+          console.error("Failed to record cancelled turn:", persistErr)
+        );
+      }
+      return;
+    }
+
+    console.error("Error in /api/chat/rerun-sql:", err);
+    if (!res.writableEnded) {
+      streamError(500, "INTERNAL_SERVER_ERROR", "Internal server error");
+    }
+  }
+});
@@ -0,0 +1,110 @@
+// pages/api/chat/result-page.js
+// One page of a saved query's result: POST { sqlQueryId, page, pageSize, sort, filter }.
+// sort: { column, direction: "asc" | "desc" }; filter: { column, op: "contains" | "eq" | "gt" | "lt", value }.
+// Re-runs the saved SQL under the tenant scope without asking the model (see lib/chat/resultPage.js).
+
+import { requireAuth } from "@/lib/auth/requireAuth";
+import { getTenantContext } from "@/lib/tenants/getTenantContext";
+import { getDataDbDriver } from "@/lib/db/drivers";
+import { loadExportableQuery } from "@/lib/chat/resultExport";
+import { FILTER_OPERATORS, fetchResultPage } from "@/lib/chat/resultPage";
+import { RESULT_PAGE_DEFAULT_SIZE } from "@/lib/settings";
+
+function parseSort(sort) {
+  if (!sort?.column) return null;
+  return {
+    column: String(sort.column),
+    direction: sort.direction === "desc" ? "desc" : "asc",
+  };
+}
+
+function parseFilter(filter) {
+  if (!filter?.column || filter.value == null || filter.value === "") {
+    return null;
+  }
+  return {
+    column: String(filter.column),
+    op: filter.op || "contains",
+    value: String(filter.value),
+  };
+}
+
+export default requireAuth(async function handler(req, res) {
+  if (req.method !== "POST") {
+    res.setHeader("Allow", ["POST"]);
+    return res.status(405).json({ error: "Method not allowed" });
+  }
+
+  const user = req.user;
+  const {
+    sqlQueryId,
+    page = 1,
+    pageSize = RESULT_PAGE_DEFAULT_SIZE,
+  } = req.body || {};
+  const sort = parseSort(req.body?.sort);
+  const filter = parseFilter(req.body?.filter);
+
+  if (!sqlQueryId) {
+    return res.status(400).json({ error: "sqlQueryId is required" });
+  }
+
+  if (!Number.isInteger(Number(page)) || !Number.isInteger(Number(pageSize))) {
+    return res
+      .status(400)
+      .json({ error: "page and pageSize must be integers" });
+  }
+
+  if (filter && !FILTER_OPERATORS[filter.op]) {
+    return res.status(400).json({
+      error: `filter.op must be one of: ${Object.keys(FILTER_OPERATORS).join(", ")}`,
+    });
+  }
+
+  // Stop the page query when the client goes away (e.g. the user paged again)
+  const controller = new AbortController();
+  res.on("close", () => {
+    if (!res.writableFinished) controller.abort();
+  });
+
+  let tenant = null;
+  try {
+    const query = await loadExportableQuery({ sqlQueryId, user });
+    if (!query) {
+      return res.status(404).json({ error: "Query not found" });
+    }
+
+    tenant = await getTenantContext(req, user.tenantId);
+
+    const result = await fetchResultPage({
+      tenant,
+      sql: query.source_sql,
+      user,
+      page: Number(page),
+      pageSize: Number(pageSize),
+      sort,
+      filter,
+      signal: controller.signal,
+    });
+
+    return res.status(200).json({ sqlQueryId: query.id, ...result });
+  } catch (err) {
+    if (controller.signal.aborted) return;
+
+    // Unusable sort / filter column, or over the tenant's cost budget
+    if (err.isPolicyViolation) {
+      return res
+        .status(400)
+        .json({ error: err.message, code: err.code, details: err.details });
+    }
+
+    // The database rejected the sort / filter (e.g. "contains" on a numeric column)
+    if (tenant && getDataDbDriver(tenant).isRepairableError(err.code)) {
+      return res
+        .status(400)
+        .json({ error: "This sort or filter does not apply to the column" });
+    }
+
+    console.error("Error in /api/chat/result-page:", err);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
@@ -28,7 +28,7 @@ export default requireAuth(async function handler(req, res) {
     }
 
     const sqlQueries = await coreQuery(
-      `SELECT id, sql_text, status, rows_returned, error_message, duration_ms, created_at
+      `SELECT id, sql_text, status, rows_returned, error_message, duration_ms, estimated_rows, cache_hit, attempt_number, created_at
        FROM sql_queries
        WHERE conversation_id = ?
        ORDER BY created_at DESC, id DESC
@@ -23,46 +23,252 @@ import { useVirtualizer } from "@tanstack/react-virtual";
 // -----------------------------
 
 // We must load Recharts on the client only. `dynamic()` returns a React component,
-// so we wrap the Recharts module into a single chart component.
-const BasicAreaChartInner = dynamic(
+// so we wrap the Recharts module into a single chart component that renders every chart type
+// from the answerPayload chart spec (see normalizeChart).
+const AnswerChartInner = dynamic(
   () =>
     import("recharts").then((mod) => {
       const {
         ResponsiveContainer,
         AreaChart,
         Area,
+        BarChart,
+        Bar,
+        LineChart,
+        Line,
+        PieChart,
+        Pie,
+        Cell,
+        ScatterChart,
+        Scatter,
         XAxis,
         YAxis,
         Tooltip,
+        Legend,
         CartesianGrid,
       } = mod;
 
-      function Chart({ data, xKey, yKey }) {
+      const margin = { top: 8, right: 12, left: 0, bottom: 0 };
+      const legendStyle = { fontSize: 10 };
+
+      function Chart({ chart }) {
+        const { type, x, y, series, data, labelKey } = chart;
+        const columnFor = (key) => series.find((s) => s.key === key) || y;
+        const showLegend = series.length > 1;
+
+        const xTickFormatter = (v) => formatCellValue(v, x);
+        const yTickFormatter = (v) => formatCellValue(v, y);
+        const seriesFormatter = (v, name, item) => [
+          formatCellValue(v, columnFor(item?.dataKey)),
+          name,
+        ];
+
+        if (type === "pie" || type === "donut") {
+          const measure = series[0];
+          return (
+            <ResponsiveContainer width="100%" height="100%">
+              <PieChart>
+                <Pie
+                  data={data}
+                  dataKey={measure.key}
+                  nameKey={x.key}
+                  innerRadius={type === "donut" ? "50%" : 0}
+                  outerRadius="80%"
+                  isAnimationActive={false}
+                >
+                  {data.map((point, i) => (
+                    <Cell
+                      key={String(point[x.key])}
+                      fill={CHART_COLORS[i % CHART_COLORS.length]}
+                    />
+                  ))}
+                </Pie>
+                <Tooltip
+                  formatter={(v, name) => [formatCellValue(v, measure), name]}
+                />
+                <Legend wrapperStyle={legendStyle} />
+              </PieChart>
+            </ResponsiveContainer>
+          );
+        }
+
+        if (type === "scatter") {
+          return (
+            <ResponsiveContainer width="100%" height="100%">
+              <ScatterChart margin={margin}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  type="number"
+                  dataKey={x.key}
+                  name={x.label}
+                  tick={{ fontSize: 10 }}
+                  tickFormatter={xTickFormatter}
+                />
+                <YAxis
+                  type="number"
+                  dataKey={y.key}
+                  name={y.label}
+                  tick={{ fontSize: 10 }}
+                  width={44}
+                  tickFormatter={yTickFormatter}
+                />
+                <Tooltip
+                  content={({ active, payload }) => {
+                    const point = active && payload?.[0]?.payload;
+                    if (!point) return null;
+                    return (
+                      <div className="rounded border border-neutral-200 bg-white px-2 py-1 text-[10px] shadow-sm">
+                        {labelKey && (
+                          <div className="font-semibold">{point[labelKey]}</div>
+                        )}
+                        <div>
+                          {x.label}: {formatCellValue(point[x.key], x)}
+                        </div>
+                        <div>
+                          {y.label}: {formatCellValue(point[y.key], y)}
+                        </div>
+                      </div>
+                    );
+                  }}
+                />
+                <Scatter
+                  data={data}
+                  fill={CHART_COLORS[0]}
+                  isAnimationActive={false}
+                />
+              </ScatterChart>
+            </ResponsiveContainer>
+          );
+        }
+
+        if (type === "bar" || type === "horizontal_bar") {
+          const horizontal = type === "horizontal_bar";
+          return (
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart
+                data={data}
+                layout={horizontal ? "vertical" : "horizontal"}
+                margin={margin}
+              >
+                <CartesianGrid strokeDasharray="3 3" />
+                {horizontal ? (
+                  <>
+                    <XAxis
+                      type="number"
+                      tick={{ fontSize: 10 }}
+                      tickFormatter={yTickFormatter}
+                    />
+                    <YAxis
+                      type="category"
+                      dataKey={x.key}
+                      tick={{ fontSize: 10 }}
+                      width={110}
+                      tickFormatter={xTickFormatter}
+                    />
+                  </>
+                ) : (
+                  <>
+                    <XAxis
+                      dataKey={x.key}
+                      tick={{ fontSize: 10 }}
+                      minTickGap={8}
+                      tickFormatter={xTickFormatter}
+                    />
+                    <YAxis
+                      tick={{ fontSize: 10 }}
+                      width={44}
+                      tickFormatter={yTickFormatter}
+                    />
+                  </>
+                )}
+                <Tooltip
+                  labelFormatter={xTickFormatter}
+                  formatter={seriesFormatter}
+                />
+                {showLegend && <Legend wrapperStyle={legendStyle} />}
+                {series.map((s, i) => (
+                  <Bar
+                    key={s.key}
+                    dataKey={s.key}
+                    name={s.label}
+                    fill={seriesColor(s, i)}
+                    isAnimationActive={false}
+                  />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          );
+        }
+
+        const axes = (
+          <>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey={x.key}
+              tick={{ fontSize: 10 }}
+              minTickGap={24}
+              tickFormatter={xTickFormatter}
+            />
+            <YAxis
+              tick={{ fontSize: 10 }}
+              width={44}
+              tickFormatter={yTickFormatter}
+            />
+            <Tooltip
+              labelFormatter={xTickFormatter}
+              formatter={seriesFormatter}
+            />
+            {showLegend && <Legend wrapperStyle={legendStyle} />}
+          </>
+        );
+
+        if (type === "stacked_area") {
+          return (
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={data} margin={margin}>
+                {axes}
+                {series.map((s, i) => (
+                  <Area
+                    key={s.key}
+                    type="monotone"
+                    dataKey={s.key}
+                    name={s.label}
+                    stackId="1"
+                    stroke={seriesColor(s, i)}
+                    fill={seriesColor(s, i)}
+                    fillOpacity={0.35}
+                    isAnimationActive={false}
+                  />
+                ))}
+              </AreaChart>
+            </ResponsiveContainer>
+          );
+        }
+
+        // "line" and "multi_line"
         return (
           <ResponsiveContainer width="100%" height="100%">
-            <AreaChart
-              data={data}
-              margin={{ top: 8, right: 12, left: 0, bottom: 0 }}
-            >
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey={xKey} tick={{ fontSize: 10 }} minTickGap={24} />
-              <YAxis tick={{ fontSize: 10 }} width={44} />
-              <Tooltip />
-              <Area
-                type="monotone"
-                dataKey={yKey}
-                stroke="#B71C1C"
-                fill="#FECACA"
-                fillOpacity={0.5}
-                strokeWidth={2}
-                isAnimationActive={false}
-              />
-            </AreaChart>
+            <LineChart data={data} margin={margin}>
+              {axes}
+              {series.map((s, i) => (
+                <Line
+                  key={s.key}
+                  type="monotone"
+                  dataKey={s.key}
+                  name={s.label}
+                  stroke={seriesColor(s, i)}
+                  strokeWidth={2}
+                  dot={false}
+                  connectNulls
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
           </ResponsiveContainer>
         );
       }
 
-      Chart.displayName = "BasicAreaChartInner";
+      Chart.displayName = "AnswerChartInner";
       return Chart;
     }),
   { ssr: false }
@@ -89,6 +295,47 @@ const geistMono = Geist_Mono({
 const STREAMING_MESSAGE_ID = "streaming";
 const TOAST_TIMEOUT_MS = 1200;
 
+const CHART_TYPES = [
+  "kpi",
+  "line",
+  "multi_line",
+  "stacked_area",
+  "bar",
+  "horizontal_bar",
+  "pie",
+  "donut",
+  "scatter",
+];
+const CHART_TITLES = {
+  kpi: "Key figures",
+  line: "Trend",
+  multi_line: "Trend",
+  stacked_area: "Trend",
+  bar: "Breakdown",
+  horizontal_bar: "Breakdown",
+  pie: "Share",
+  donut: "Share",
+  scatter: "Relationship",
+};
+const CHART_COLORS = [
+  "#B71C1C",
+  "#1E40AF",
+  "#047857",
+  "#B45309",
+  "#6D28D9",
+  "#0E7490",
+  "#BE185D",
+  "#4D7C0F",
+];
+const CHART_OTHER_COLOR = "#A3A3A3";
+
+//Series color by position; the "Other" bucket of a pivoted chart is always grey.
+function seriesColor(series, i) {
+  return series?.other
+    ? CHART_OTHER_COLOR
+    : CHART_COLORS[i % CHART_COLORS.length];
+}
+
 // -----------------------------
 // Display formatters
 // -----------------------------
@@ -97,9 +344,88 @@ const numberFormatter = new Intl.NumberFormat("en-US", {
   maximumFractionDigits: 6,
 });
 
-function formatCellValue(value) {
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+//Decimal places from a "#,##0.00"-style pattern.
+function decimalsFromFormat(format) {
+  const m = /\.([0#]+)/.exec(String(format || ""));
+  return m ? m[1].length : null;
+}
+
+//Format a value by its column metadata (type / unit / format from the column dictionary).
+//Returns null when the column carries no usable type so the generic formatting applies.
+function formatTypedValue(value, column) {
+  const type = column?.type;
+
+  if (["number", "integer", "currency", "percent"].includes(type)) {
+    const n =
+      typeof value === "number"
+        ? value
+        : Number(String(value).trim().replace(/,/g, ""));
+    if (!Number.isFinite(n)) return null;
+
+    const decimals =
+      decimalsFromFormat(column.format) ??
+      (type === "integer" ? 0 : type === "currency" ? 2 : null);
+    const options =
+      decimals == null
+        ? { maximumFractionDigits: 6 }
+        : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+
+    if (type === "currency") {
+      try {
+        return new Intl.NumberFormat("en-PH", {
+          style: "currency",
+          currency: column.unit || "PHP",
+          ...options,
+        }).format(n);
+      } catch {
+        // Unknown currency code: plain number below
+      }
+    }
+
+    const text = new Intl.NumberFormat("en-US", options).format(n);
+    return type === "percent" ? `${text}%` : text;
+  }
+
+  if (type === "date" || type === "yearmonth") {
+    const iso = value instanceof Date ? value.toISOString() : String(value);
+    const m = /^(\d{4})-?(\d{2})(?:-(\d{2}))?/.exec(iso);
+    if (!m) return null;
+
+    const format =
+      column.format || (type === "yearmonth" ? "YYYY-MM" : "YYYY-MM-DD");
+    if (format === "MMM YYYY")
+      return `${MONTH_NAMES[Number(m[2]) - 1]} ${m[1]}`;
+    if (format === "YYYY-MM" || !m[3]) return `${m[1]}-${m[2]}`;
+    return `${m[1]}-${m[2]}-${m[3]}`;
+  }
+
+  // Declared text columns (ids, codes) are shown as-is
+  if (type === "string") return String(value);
+
+  return null;
+}
+
+function formatCellValue(value, column) {
   if (value == null) return "";
 
+  const typed = formatTypedValue(value, column);
+  if (typed != null) return typed;
+
   // Format numbers
   if (typeof value === "number" && Number.isFinite(value)) {
     return numberFormatter.format(value);
@@ -125,10 +451,104 @@ function formatCellValue(value) {
   return String(value);
 }
 
+//Column header: display label, plus the unit when it is not a currency code.
+function columnHeader(column) {
+  return column.unit && column.type !== "currency"
+    ? `${column.label} (${column.unit})`
+    : column.label;
+}
+
 // -----------------------------
 // AnswerPayload helpers
 // -----------------------------
 
+//Table columns are metadata objects ({ key, label, type, unit, format });
+//payloads stored before the column dictionary carry bare column names.
+function normalizeTableColumn(col) {
+  if (col && typeof col === "object") {
+    const key = String(col.key ?? col.label ?? "");
+    return {
+      key,
+      label: col.label || key,
+      type: col.type || null,
+      unit: col.unit || null,
+      format: col.format || null,
+    };
+  }
+
+  const key = String(col ?? "");
+  return { key, label: key, type: null, unit: null, format: null };
+}
+
+/**
+ * Chart spec ({ type, x, y, series, data, seriesColumn, labelKey, items }) or null.
+ * Legacy "basicareachart" payloads (xKey / yKey) become single-series line charts.
+ */
+function normalizeChart(chart) {
+  if (!chart || typeof chart !== "object") return null;
+
+  if (chart.type === "basicareachart") {
+    if (typeof chart.xKey !== "string" || typeof chart.yKey !== "string") {
+      return null;
+    }
+    if (!Array.isArray(chart.data) || chart.data.length === 0) return null;
+
+    const y = normalizeTableColumn({ key: chart.yKey, ...chart.yColumn });
+    return {
+      type: "line",
+      x: normalizeTableColumn({ key: chart.xKey, ...chart.xColumn }),
+      y,
+      series: [y],
+      data: chart.data,
+      seriesColumn: null,
+      labelKey: null,
+      items: [],
+    };
+  }
+
+  if (!CHART_TYPES.includes(chart.type)) return null;
+
+  if (chart.type === "kpi") {
+    const items = Array.isArray(chart.items)
+      ? chart.items
+          .filter((item) => item && typeof item === "object")
+          .map((item) => ({ ...normalizeTableColumn(item), value: item.value }))
+      : [];
+    if (items.length === 0) return null;
+    return {
+      type: "kpi",
+      x: null,
+      y: null,
+      series: [],
+      data: [],
+      seriesColumn: null,
+      labelKey: null,
+      items,
+    };
+  }
+
+  const series = Array.isArray(chart.series)
+    ? chart.series
+        .filter(Boolean)
+        .map((s) => ({ ...normalizeTableColumn(s), other: !!s.other }))
+    : [];
+  if (!chart.x || series.length === 0) return null;
+  if (!Array.isArray(chart.data) || chart.data.length === 0) return null;
+
+  return {
+    type: chart.type,
+    x: normalizeTableColumn(chart.x),
+    y: normalizeTableColumn(chart.y || series[0]),
+    series,
+    data: chart.data,
+    seriesColumn: chart.seriesColumn
+      ? normalizeTableColumn(chart.seriesColumn)
+      : null,
+    labelKey: typeof chart.labelKey === "string" ? chart.labelKey : null,
+    items: [],
+  };
+}
+
 /**
  * Ensures we always have a consistent answerPayload shape.
  * (Important: this is UI-contract glue; keep behavior stable.)
@@ -154,7 +574,7 @@ function normalizeAnswerPayload(payload) {
     }
 
     normalized.table = {
-      columns,
+      columns: columns.map(normalizeTableColumn),
       rows,
       rowCount:
         typeof table.rowCount === "number" ? table.rowCount : rows.length,
@@ -162,29 +582,15 @@ function normalizeAnswerPayload(payload) {
     };
   }
 
-  // Normalize optional chart payload
-  if (normalized.chart && typeof normalized.chart === "object") {
-    const chart = normalized.chart;
+  // Insights: deterministic facts rendered as callouts
+  normalized.insights = Array.isArray(normalized.insights)
+    ? normalized.insights.filter(
+        (i) => i && typeof i === "object" && typeof i.headline === "string"
+      )
+    : [];
 
-    // Only one chart type for now
-    if (
-      chart.type === "basicareachart" &&
-      typeof chart.xKey === "string" &&
-      typeof chart.yKey === "string" &&
-      Array.isArray(chart.data)
-    ) {
-      normalized.chart = {
-        type: "basicareachart",
-        xKey: chart.xKey,
-        yKey: chart.yKey,
-        data: chart.data,
-      };
-    } else {
-      normalized.chart = null;
-    }
-  } else if (normalized.chart == null) {
-    normalized.chart = null;
-  }
+  // Normalize optional chart payload
+  normalized.chart = normalizeChart(normalized.chart);
 
   return normalized;
 }
@@ -273,17 +679,42 @@ function buildAnswerMetaByMessage(messages, conversationId) {
   return rebuilt;
 }
 
-function downloadCsvFromPayload(payload) {
-  const dl = payload?.downloads?.find(
-    (d) => d && d.kind === "csv" && typeof d.content === "string"
-  );
+//Full result export: older answers embed the CSV, newer ones reference the saved query,
+//which is streamed from a signed, short-lived URL (format: "csv" or "ndjson").
+async function downloadExportFromPayload(payload, format = "csv") {
+  const dl = payload?.downloads?.find((d) => d && d.kind === "csv");
   if (!dl) return;
 
   try {
-    const blob = new Blob([dl.content], { type: dl.mimeType || "text/csv" });
-    saveAs(blob, dl.filename || "export.csv");
+    if (typeof dl.content === "string") {
+      const blob = new Blob([dl.content], { type: dl.mimeType || "text/csv" });
+      saveAs(blob, dl.filename || "export.csv");
+      return;
+    }
+
+    const res = await fetch("/api/chat/export-link", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ sqlQueryId: dl.sqlQueryId, format }),
+    });
+    if (!res.ok) throw new Error(`Export link request failed (${res.status})`);
+    const { url } = await res.json();
+
+    // The browser downloads the stream itself (attachment response)
+    window.location.assign(url);
+  } catch (err) {
+    console.error("Export download failed:", err);
+  }
+}
+
+//File download from an API route (chart image, XLSX export).
+async function downloadFromApi(url, filename) {
+  try {
+    const res = await fetch(url);
+    if (!res.ok) throw new Error(`Download failed (${res.status})`);
+    saveAs(await res.blob(), filename);
   } catch (err) {
-    console.error("CSV download failed:", err);
+    console.error("Download failed:", url, err);
   }
 }
 
@@ -315,10 +746,10 @@ function VirtualTable({ columns, rows, maxHeight = 420 }) {
           <tr>
             {columns.map((col) => (
               <th
-                key={col}
+                key={col.key}
                 className="px-2 py-1 text-left font-medium text-neutral-700"
               >
-                {col}
+                {columnHeader(col)}
               </th>
             ))}
           </tr>
@@ -357,10 +788,10 @@ function VirtualTable({ columns, rows, maxHeight = 420 }) {
                         >
                           {columns.map((col) => (
                             <div
-                              key={col}
+                              key={col.key}
                               className="px-2 py-1 whitespace-nowrap font-mono text-[10px] text-neutral-800"
                             >
-                              {formatCellValue(row?.[col])}
+                              {formatCellValue(row?.[col.key], col)}
                             </div>
                           ))}
                         </div>
@@ -950,16 +1381,13 @@ export default function DashboardPage({ user }) {
 
     if (columns.length > 0 && rows.length > 0) {
       try {
-        // Build a CSV using column order.
-        const normalizedRows = rows.map((r) => {
-          const out = {};
-          columns.forEach((c) => {
-            out[c] = r?.[c] == null ? "" : r[c];
-          });
-          return out;
+        // Build a CSV using column order, with display labels as headers.
+        tableText = Papa.unparse({
+          fields: columns.map((c) => c.label),
+          data: rows.map((r) =>
+            columns.map((c) => (r?.[c.key] == null ? "" : r[c.key]))
+          ),
         });
-
-        tableText = Papa.unparse(normalizedRows, { columns });
       } catch (err) {
         console.error("Failed to build CSV for clipboard:", err);
       }
@@ -1017,7 +1445,8 @@ export default function DashboardPage({ user }) {
       const updated = prev.map((m) => {
         if (m.id === STREAMING_MESSAGE_ID) {
           found = true;
-          return { ...m, content: message };
+          // Once answer text is streaming, later status lines stay in the progress bar only
+          return m.streamedText != null ? m : { ...m, content: message };
         }
         return m;
       });
@@ -1034,6 +1463,18 @@ export default function DashboardPage({ user }) {
     });
   }
 
+  //Append answer text tokens (`answer_delta`) to the streaming message.
+  //The `final` event replaces it with the persisted message.
+  function appendStreamingAnswerDelta(delta) {
+    setMessages((prev) =>
+      prev.map((m) => {
+        if (m.id !== STREAMING_MESSAGE_ID) return m;
+        const streamedText = `${m.streamedText ?? ""}${delta}`;
+        return { ...m, streamedText, content: streamedText };
+      })
+    );
+  }
+
   function replaceStreamingWithError(message) {
     setMessages((prev) => [
       ...prev.filter((m) => m.id !== STREAMING_MESSAGE_ID),
@@ -1131,7 +1572,15 @@ export default function DashboardPage({ user }) {
           return;
         }
 
-        // 3) Final: replace temp messages with server messages and update meta.
+        // 3) Answer text tokens from ask.js: { delta }
+        if (eventName === "answer_delta" && payload) {
+          if (typeof payload.delta === "string" && payload.delta) {
+            appendStreamingAnswerDelta(payload.delta);
+          }
+          return;
+        }
+
+        // 4) Final: replace temp messages with server messages and update meta.
         if (eventName === "final" && payload) {
           shouldStop = true;
           streamControllerRef.current = null;
@@ -1169,7 +1618,7 @@ export default function DashboardPage({ user }) {
           return;
         }
 
-        // 4) Error
+        // 5) Error
         if (eventName === "error") {
           shouldStop = true;
           streamControllerRef.current = null;
@@ -1309,7 +1758,7 @@ export default function DashboardPage({ user }) {
                 className="h-7 border-neutral-300 text-neutral-700 hover:bg-neutral-100"
                 onClick={(e) => {
                   e.stopPropagation();
-                  downloadCsvFromPayload(payload);
+                  downloadExportFromPayload(payload);
                 }}
               >
                 <Download className="mr-1 h-3.5 w-3.5" />
@@ -1328,10 +1777,10 @@ export default function DashboardPage({ user }) {
                 <tr>
                   {columns.map((col) => (
                     <th
-                      key={col}
+                      key={col.key}
                       className="px-2 py-1 text-left font-medium text-neutral-700"
                     >
-                      {col}
+                      {columnHeader(col)}
                     </th>
                   ))}
                 </tr>
@@ -1344,10 +1793,10 @@ export default function DashboardPage({ user }) {
                   >
                     {columns.map((col) => (
                       <td
-                        key={col}
+                        key={col.key}
                         className="px-2 py-1 whitespace-nowrap font-mono text-[10px] text-neutral-800"
                       >
-                        {formatCellValue(row?.[col])}
+                        {formatCellValue(row?.[col.key], col)}
                       </td>
                     ))}
                   </tr>
@@ -1629,6 +2078,32 @@ export default function DashboardPage({ user }) {
                               ) : null}
                             </div>
 
+                            {/* Insight callouts */}
+                            {(() => {
+                              const insights =
+                                answerMetaByMessageId?.[msg.id]?.answerPayload
+                                  ?.insights || [];
+                              if (!showInlineVisuals || insights.length === 0)
+                                return null;
+
+                              return (
+                                <div className="mt-2 space-y-1">
+                                  {insights.map((insight, idx) => (
+                                    <div
+                                      key={idx}
+                                      className={`rounded-md border-l-2 px-3 py-1.5 text-[11px] leading-snug ${
+                                        insight.type === "outlier"
+                                          ? "border-amber-500 bg-amber-50 text-amber-900"
+                                          : "border-neutral-500 bg-white text-neutral-800"
+                                      }`}
+                                    >
+                                      {insight.headline}
+                                    </div>
+                                  ))}
+                                </div>
+                              );
+                            })()}
+
                             {/* Inline BI rendering (stacked) */}
                             {(() => {
                               const payload =
@@ -1666,13 +2141,34 @@ export default function DashboardPage({ user }) {
                                             className="h-7 border-neutral-300 text-neutral-700 hover:bg-neutral-100"
                                             onClick={(e) => {
                                               e.stopPropagation();
-                                              downloadCsvFromPayload(payload);
+                                              downloadExportFromPayload(
+                                                payload
+                                              );
                                             }}
                                           >
                                             <Download className="mr-1 h-3.5 w-3.5" />
                                             CSV
                                           </Button>
                                         ) : null}
+
+                                        {msg.id !== STREAMING_MESSAGE_ID ? (
+                                          <Button
+                                            type="button"
+                                            size="sm"
+                                            variant="outline"
+                                            className="h-7 border-neutral-300 text-neutral-700 hover:bg-neutral-100"
+                                            onClick={(e) => {
+                                              e.stopPropagation();
+                                              downloadFromApi(
+                                                `/api/chat/export-xlsx?messageId=${encodeURIComponent(msg.id)}`,
+                                                `answer-${msg.id}.xlsx`
+                                              );
+                                            }}
+                                          >
+                                            <Download className="mr-1 h-3.5 w-3.5" />
+                                            XLSX
+                                          </Button>
+                                        ) : null}
                                       </div>
                                     </div>
 
@@ -1689,10 +2185,10 @@ export default function DashboardPage({ user }) {
                                             <tr>
                                               {columns.map((col) => (
                                                 <th
-                                                  key={col}
+                                                  key={col.key}
                                                   className="px-2 py-1 text-left font-medium text-neutral-700"
                                                 >
-                                                  {col}
+                                                  {columnHeader(col)}
                                                 </th>
                                               ))}
                                             </tr>
@@ -1709,11 +2205,12 @@ export default function DashboardPage({ user }) {
                                               >
                                                 {columns.map((col) => (
                                                   <td
-                                                    key={col}
+                                                    key={col.key}
                                                     className="px-2 py-1 whitespace-nowrap font-mono text-[10px] text-neutral-800"
                                                   >
                                                     {formatCellValue(
-                                                      row?.[col]
+                                                      row?.[col.key],
+                                                      col
                                                     )}
                                                   </td>
                                                 ))}
@@ -1747,36 +2244,79 @@ export default function DashboardPage({ user }) {
                               if (!isClient) return null;
 
                               const chart = payload?.chart;
-                              if (!chart || chart.type !== "basicareachart") {
-                                return null;
+                              if (!chart) return null;
+
+                              if (chart.type === "kpi") {
+                                return (
+                                  <div className="mt-2 grid grid-cols-2 gap-2 sm:grid-cols-4">
+                                    {chart.items.map((item) => (
+                                      <div
+                                        key={item.key}
+                                        className="rounded-md border border-neutral-200 bg-white px-3 py-2"
+                                      >
+                                        <div className="text-[10px] text-neutral-500">
+                                          {columnHeader(item)}
+                                        </div>
+                                        <div className="text-[16px] font-semibold text-neutral-900">
+                                          {formatCellValue(item.value, item)}
+                                        </div>
+                                      </div>
+                                    ))}
+                                  </div>
+                                );
                               }
 
-                              const xKey = chart?.xKey;
-                              const yKey = chart?.yKey;
-                              const data = Array.isArray(chart?.data)
-                                ? chart.data
-                                : [];
+                              let subtitle = `${chart.y.label} by ${chart.x.label}`;
+                              if (chart.type === "scatter") {
+                                subtitle = `${chart.y.label} vs ${chart.x.label}`;
+                              } else if (chart.seriesColumn) {
+                                subtitle = `${chart.y.label} by ${chart.seriesColumn.label} over ${chart.x.label}`;
+                              } else if (chart.series.length > 1) {
+                                subtitle = `${chart.series.map((s) => s.label).join(", ")} by ${chart.x.label}`;
+                              }
 
-                              if (!xKey || !yKey || data.length === 0)
-                                return null;
+                              // One bar row per category
+                              const height =
+                                chart.type === "horizontal_bar"
+                                  ? Math.max(224, chart.data.length * 22)
+                                  : 224;
 
                               return (
                                 <div className="mt-2 rounded-md border border-neutral-200 bg-white">
                                   <div className="flex items-center justify-between border-b border-neutral-100 px-3 py-2">
                                     <div className="text-[12px] font-semibold text-neutral-800">
-                                      Trend
+                                      {CHART_TITLES[chart.type]}
                                     </div>
-                                    <div className="text-[10px] text-neutral-500">
-                                      {yKey} over {xKey}
+                                    <div className="flex items-center gap-2">
+                                      <div className="text-[10px] text-neutral-500">
+                                        {subtitle}
+                                      </div>
+                                      {msg.id !== STREAMING_MESSAGE_ID ? (
+                                        <Button
+                                          type="button"
+                                          size="sm"
+                                          variant="outline"
+                                          className="h-7 border-neutral-300 text-neutral-700 hover:bg-neutral-100"
+                                          onClick={(e) => {
+                                            e.stopPropagation();
+                                            downloadFromApi(
+                                              `/api/chat/chart-image?messageId=${encodeURIComponent(msg.id)}&format=png`,
+                                              `chart-${msg.id}.png`
+                                            );
+                                          }}
+                                        >
+                                          <Download className="mr-1 h-3.5 w-3.5" />
+                                          PNG
+                                        </Button>
+                                      ) : null}
                                     </div>
                                   </div>
 
-                                  <div className="h-56 w-full px-2 py-2">
-                                    <BasicAreaChartInner
-                                      data={data}
-                                      xKey={xKey}
-                                      yKey={yKey}
-                                    />
+                                  <div
+                                    className="w-full px-2 py-2"
+                                    style={{ height }}
+                                  >
+                                    <AnswerChartInner chart={chart} />
                                   </div>
                                 </div>
                               );
@@ -2310,20 +2850,36 @@ export default function DashboardPage({ user }) {
                               Download
                             </div>
                             <div className="text-[10px] text-neutral-600">
-                              Export the full result set as CSV.
+                              Export the full result set as CSV or NDJSON.
                             </div>
                           </div>
-                          <Button
-                            type="button"
-                            size="sm"
-                            className="bg-neutral-900 text-neutral-50 hover:bg-neutral-800"
-                            onClick={() =>
-                              downloadCsvFromPayload(activeAnswerPayload)
-                            }
-                          >
-                            <Download className="mr-1 h-3.5 w-3.5" />
-                            CSV
-                          </Button>
+                          <div className="flex items-center gap-2">
+                            <Button
+                              type="button"
+                              size="sm"
+                              className="bg-neutral-900 text-neutral-50 hover:bg-neutral-800"
+                              onClick={() =>
+                                downloadExportFromPayload(activeAnswerPayload)
+                              }
+                            >
+                              <Download className="mr-1 h-3.5 w-3.5" />
+                              CSV
+                            </Button>
+                            <Button
+                              type="button"
+                              size="sm"
+                              className="bg-neutral-900 text-neutral-50 hover:bg-neutral-800"
+                              onClick={() =>
+                                downloadExportFromPayload(
+                                  activeAnswerPayload,
+                                  "ndjson"
+                                )
+                              }
+                            >
+                              <Download className="mr-1 h-3.5 w-3.5" />
+                              NDJSON
+                            </Button>
+                          </div>
                         </div>
                       )}
 
@@ -2398,10 +2954,10 @@ export default function DashboardPage({ user }) {
                                       <tr>
                                         {cols.map((col) => (
                                           <th
-                                            key={col}
+                                            key={col.key}
                                             className="px-2 py-1 text-left font-medium text-neutral-700"
                                           >
-                                            {col}
+                                            {columnHeader(col)}
                                           </th>
                                         ))}
                                       </tr>
@@ -2418,10 +2974,13 @@ export default function DashboardPage({ user }) {
                                         >
                                           {cols.map((col) => (
                                             <td
-                                              key={col}
+                                              key={col.key}
                                               className="px-2 py-1 whitespace-nowrap font-mono text-[10px] text-neutral-800"
                                             >
-                                              {row[col]}
+                                              {formatCellValue(
+                                                row?.[col.key],
+                                                col
+                                              )}
                                             </td>
                                           ))}
                                         </tr>
@@ -4,6 +4,7 @@
 import { withAuth } from "@/lib/auth/withAuth";
 import { useAuth } from "@/lib/auth/AuthContext";
 import { getToken } from "@/lib/auth/clientAuth";
+import { canEditSql } from "@/lib/auth/permissions";
 
 import { useEffect, useRef, useState } from "react";
 import { Geist, Geist_Mono } from "next/font/google";
@@ -16,7 +17,16 @@ import { Button } from "@/components/ui/button";
 import { Card, CardContent, CardHeader, CardTitle } from "@/components/ui/card";
 import { Input } from "@/components/ui/input";
 
-import { Copy, Download, Settings, ThumbsDown, ThumbsUp } from "lucide-react";
+import {
+  ChevronLeft,
+  ChevronRight,
+  Copy,
+  Download,
+  RefreshCw,
+  Settings,
+  ThumbsDown,
+  ThumbsUp,
+} from "lucide-react";
 import { saveAs } from "file-saver";
 import Papa from "papaparse";
 
@@ -27,46 +37,252 @@ import { useVirtualizer } from "@tanstack/react-virtual";
 // -----------------------------
 
 // We must load Recharts on the client only. `dynamic()` returns a React component,
-// so we wrap the Recharts module into a single chart component.
-const BasicAreaChartInner = dynamic(
+// so we wrap the Recharts module into a single chart component that renders every chart type
+// from the answerPayload chart spec (see normalizeChart).
+const AnswerChartInner = dynamic(
   () =>
     import("recharts").then((mod) => {
       const {
         ResponsiveContainer,
         AreaChart,
         Area,
+        BarChart,
+        Bar,
+        LineChart,
+        Line,
+        PieChart,
+        Pie,
+        Cell,
+        ScatterChart,
+        Scatter,
         XAxis,
         YAxis,
         Tooltip,
+        Legend,
         CartesianGrid,
       } = mod;
 
-      function Chart({ data, xKey, yKey }) {
+      const margin = { top: 8, right: 12, left: 0, bottom: 0 };
+      const legendStyle = { fontSize: 10 };
+
+      function Chart({ chart }) {
+        const { type, x, y, series, data, labelKey } = chart;
+        const columnFor = (key) => series.find((s) => s.key === key) || y;
+        const showLegend = series.length > 1;
+
+        const xTickFormatter = (v) => formatCellValue(v, x);
+        const yTickFormatter = (v) => formatCellValue(v, y);
+        const seriesFormatter = (v, name, item) => [
+          formatCellValue(v, columnFor(item?.dataKey)),
+          name,
+        ];
+
+        if (type === "pie" || type === "donut") {
+          const measure = series[0];
+          return (
+            <ResponsiveContainer width="100%" height="100%">
+              <PieChart>
+                <Pie
+                  data={data}
+                  dataKey={measure.key}
+                  nameKey={x.key}
+                  innerRadius={type === "donut" ? "50%" : 0}
+                  outerRadius="80%"
+                  isAnimationActive={false}
+                >
+                  {data.map((point, i) => (
+                    <Cell
+                      key={String(point[x.key])}
+                      fill={CHART_COLORS[i % CHART_COLORS.length]}
+                    />
+                  ))}
+                </Pie>
+                <Tooltip
+                  formatter={(v, name) => [formatCellValue(v, measure), name]}
+                />
+                <Legend wrapperStyle={legendStyle} />
+              </PieChart>
+            </ResponsiveContainer>
+          );
+        }
+
+        if (type === "scatter") {
+          return (
+            <ResponsiveContainer width="100%" height="100%">
+              <ScatterChart margin={margin}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis
+                  type="number"
+                  dataKey={x.key}
+                  name={x.label}
+                  tick={{ fontSize: 10 }}
+                  tickFormatter={xTickFormatter}
+                />
+                <YAxis
+                  type="number"
+                  dataKey={y.key}
+                  name={y.label}
+                  tick={{ fontSize: 10 }}
+                  width={44}
+                  tickFormatter={yTickFormatter}
+                />
+                <Tooltip
+                  content={({ active, payload }) => {
+                    const point = active && payload?.[0]?.payload;
+                    if (!point) return null;
+                    return (
+                      <div className="rounded border border-neutral-200 bg-white px-2 py-1 text-[10px] shadow-sm">
+                        {labelKey && (
+                          <div className="font-semibold">{point[labelKey]}</div>
+                        )}
+                        <div>
+                          {x.label}: {formatCellValue(point[x.key], x)}
+                        </div>
+                        <div>
+                          {y.label}: {formatCellValue(point[y.key], y)}
+                        </div>
+                      </div>
+                    );
+                  }}
+                />
+                <Scatter
+                  data={data}
+                  fill={CHART_COLORS[0]}
+                  isAnimationActive={false}
+                />
+              </ScatterChart>
+            </ResponsiveContainer>
+          );
+        }
+
+        if (type === "bar" || type === "horizontal_bar") {
+          const horizontal = type === "horizontal_bar";
+          return (
+            <ResponsiveContainer width="100%" height="100%">
+              <BarChart
+                data={data}
+                layout={horizontal ? "vertical" : "horizontal"}
+                margin={margin}
+              >
+                <CartesianGrid strokeDasharray="3 3" />
+                {horizontal ? (
+                  <>
+                    <XAxis
+                      type="number"
+                      tick={{ fontSize: 10 }}
+                      tickFormatter={yTickFormatter}
+                    />
+                    <YAxis
+                      type="category"
+                      dataKey={x.key}
+                      tick={{ fontSize: 10 }}
+                      width={110}
+                      tickFormatter={xTickFormatter}
+                    />
+                  </>
+                ) : (
+                  <>
+                    <XAxis
+                      dataKey={x.key}
+                      tick={{ fontSize: 10 }}
+                      minTickGap={8}
+                      tickFormatter={xTickFormatter}
+                    />
+                    <YAxis
+                      tick={{ fontSize: 10 }}
+                      width={44}
+                      tickFormatter={yTickFormatter}
+                    />
+                  </>
+                )}
+                <Tooltip
+                  labelFormatter={xTickFormatter}
+                  formatter={seriesFormatter}
+                />
+                {showLegend && <Legend wrapperStyle={legendStyle} />}
+                {series.map((s, i) => (
+                  <Bar
+                    key={s.key}
+                    dataKey={s.key}
+                    name={s.label}
+                    fill={seriesColor(s, i)}
+                    isAnimationActive={false}
+                  />
+                ))}
+              </BarChart>
+            </ResponsiveContainer>
+          );
+        }
+
+        const axes = (
+          <>
+            <CartesianGrid strokeDasharray="3 3" />
+            <XAxis
+              dataKey={x.key}
+              tick={{ fontSize: 10 }}
+              minTickGap={24}
+              tickFormatter={xTickFormatter}
+            />
+            <YAxis
+              tick={{ fontSize: 10 }}
+              width={44}
+              tickFormatter={yTickFormatter}
+            />
+            <Tooltip
+              labelFormatter={xTickFormatter}
+              formatter={seriesFormatter}
+            />
+            {showLegend && <Legend wrapperStyle={legendStyle} />}
+          </>
+        );
+
+        if (type === "stacked_area") {
+          return (
+            <ResponsiveContainer width="100%" height="100%">
+              <AreaChart data={data} margin={margin}>
+                {axes}
+                {series.map((s, i) => (
+                  <Area
+                    key={s.key}
+                    type="monotone"
+                    dataKey={s.key}
+                    name={s.label}
+                    stackId="1"
+                    stroke={seriesColor(s, i)}
+                    fill={seriesColor(s, i)}
+                    fillOpacity={0.35}
+                    isAnimationActive={false}
+                  />
+                ))}
+              </AreaChart>
+            </ResponsiveContainer>
+          );
+        }
+
+        // "line" and "multi_line"
         return (
           <ResponsiveContainer width="100%" height="100%">
-            <AreaChart
-              data={data}
-              margin={{ top: 8, right: 12, left: 0, bottom: 0 }}
-            >
-              <CartesianGrid strokeDasharray="3 3" />
-              <XAxis dataKey={xKey} tick={{ fontSize: 10 }} minTickGap={24} />
-              <YAxis tick={{ fontSize: 10 }} width={44} />
-              <Tooltip />
-              <Area
-                type="monotone"
-                dataKey={yKey}
-                stroke="#B71C1C"
-                fill="#FECACA"
-                fillOpacity={0.5}
-                strokeWidth={2}
-                isAnimationActive={false}
-              />
-            </AreaChart>
+            <LineChart data={data} margin={margin}>
+              {axes}
+              {series.map((s, i) => (
+                <Line
+                  key={s.key}
+                  type="monotone"
+                  dataKey={s.key}
+                  name={s.label}
+                  stroke={seriesColor(s, i)}
+                  strokeWidth={2}
+                  dot={false}
+                  connectNulls
+                  isAnimationActive={false}
+                />
+              ))}
+            </LineChart>
           </ResponsiveContainer>
         );
       }
 
-      Chart.displayName = "BasicAreaChartInner";
+      Chart.displayName = "AnswerChartInner";
       return Chart;
     }),
   { ssr: false }
@@ -93,6 +309,47 @@ const geistMono = Geist_Mono({
 const STREAMING_MESSAGE_ID = "streaming";
 const TOAST_TIMEOUT_MS = 1200;
 
+const CHART_TYPES = [
+  "kpi",
+  "line",
+  "multi_line",
+  "stacked_area",
+  "bar",
+  "horizontal_bar",
+  "pie",
+  "donut",
+  "scatter",
+];
+const CHART_TITLES = {
+  kpi: "Key figures",
+  line: "Trend",
+  multi_line: "Trend",
+  stacked_area: "Trend",
+  bar: "Breakdown",
+  horizontal_bar: "Breakdown",
+  pie: "Share",
+  donut: "Share",
+  scatter: "Relationship",
+};
+const CHART_COLORS = [
+  "#B71C1C",
+  "#1E40AF",
+  "#047857",
+  "#B45309",
+  "#6D28D9",
+  "#0E7490",
+  "#BE185D",
+  "#4D7C0F",
+];
+const CHART_OTHER_COLOR = "#A3A3A3";
+
+//Series color by position; the "Other" bucket of a pivoted chart is always grey.
+function seriesColor(series, i) {
+  return series?.other
+    ? CHART_OTHER_COLOR
+    : CHART_COLORS[i % CHART_COLORS.length];
+}
+
 // -----------------------------
 // Display formatters
 // -----------------------------
@@ -101,9 +358,88 @@ const numberFormatter = new Intl.NumberFormat("en-US", {
   maximumFractionDigits: 6,
 });
 
-function formatCellValue(value) {
+const MONTH_NAMES = [
+  "Jan",
+  "Feb",
+  "Mar",
+  "Apr",
+  "May",
+  "Jun",
+  "Jul",
+  "Aug",
+  "Sep",
+  "Oct",
+  "Nov",
+  "Dec",
+];
+
+//Decimal places from a "#,##0.00"-style pattern.
+function decimalsFromFormat(format) {
+  const m = /\.([0#]+)/.exec(String(format || ""));
+  return m ? m[1].length : null;
+}
+
+//Format a value by its column metadata (type / unit / format from the column dictionary).
+//Returns null when the column carries no usable type so the generic formatting applies.
+function formatTypedValue(value, column) {
+  const type = column?.type;
+
+  if (["number", "integer", "currency", "percent"].includes(type)) {
+    const n =
+      typeof value === "number"
+        ? value
+        : Number(String(value).trim().replace(/,/g, ""));
+    if (!Number.isFinite(n)) return null;
+
+    const decimals =
+      decimalsFromFormat(column.format) ??
+      (type === "integer" ? 0 : type === "currency" ? 2 : null);
+    const options =
+      decimals == null
+        ? { maximumFractionDigits: 6 }
+        : { minimumFractionDigits: decimals, maximumFractionDigits: decimals };
+
+    if (type === "currency") {
+      try {
+        return new Intl.NumberFormat("en-PH", {
+          style: "currency",
+          currency: column.unit || "PHP",
+          ...options,
+        }).format(n);
+      } catch {
+        // Unknown currency code: plain number below
+      }
+    }
+
+    const text = new Intl.NumberFormat("en-US", options).format(n);
+    return type === "percent" ? `${text}%` : text;
+  }
+
+  if (type === "date" || type === "yearmonth") {
+    const iso = value instanceof Date ? value.toISOString() : String(value);
+    const m = /^(\d{4})-?(\d{2})(?:-(\d{2}))?/.exec(iso);
+    if (!m) return null;
+
+    const format =
+      column.format || (type === "yearmonth" ? "YYYY-MM" : "YYYY-MM-DD");
+    if (format === "MMM YYYY")
+      return `${MONTH_NAMES[Number(m[2]) - 1]} ${m[1]}`;
+    if (format === "YYYY-MM" || !m[3]) return `${m[1]}-${m[2]}`;
+    return `${m[1]}-${m[2]}-${m[3]}`;
+  }
+
+  // Declared text columns (ids, codes) are shown as-is
+  if (type === "string") return String(value);
+
+  return null;
+}
+
+function formatCellValue(value, column) {
   if (value == null) return "";
 
+  const typed = formatTypedValue(value, column);
+  if (typed != null) return typed;
+
   // Format numbers
   if (typeof value === "number" && Number.isFinite(value)) {
     return numberFormatter.format(value);
@@ -129,10 +465,104 @@ function formatCellValue(value) {
   return String(value);
 }
 
+//Column header: display label, plus the unit when it is not a currency code.
+function columnHeader(column) {
+  return column.unit && column.type !== "currency"
+    ? `${column.label} (${column.unit})`
+    : column.label;
+}
+
 // -----------------------------
 // AnswerPayload helpers
 // -----------------------------
 
+//Table columns are metadata objects ({ key, label, type, unit, format });
+//payloads stored before the column dictionary carry bare column names.
+function normalizeTableColumn(col) {
+  if (col && typeof col === "object") {
+    const key = String(col.key ?? col.label ?? "");
+    return {
+      key,
+      label: col.label || key,
+      type: col.type || null,
+      unit: col.unit || null,
+      format: col.format || null,
+    };
+  }
+
+  const key = String(col ?? "");
+  return { key, label: key, type: null, unit: null, format: null };
+}
+
+/**
+ * Chart spec ({ type, x, y, series, data, seriesColumn, labelKey, items }) or null.
+ * Legacy "basicareachart" payloads (xKey / yKey) become single-series line charts.
+ */
+function normalizeChart(chart) {
+  if (!chart || typeof chart !== "object") return null;
+
+  if (chart.type === "basicareachart") {
+    if (typeof chart.xKey !== "string" || typeof chart.yKey !== "string") {
+      return null;
+    }
+    if (!Array.isArray(chart.data) || chart.data.length === 0) return null;
+
+    const y = normalizeTableColumn({ key: chart.yKey, ...chart.yColumn });
+    return {
+      type: "line",
+      x: normalizeTableColumn({ key: chart.xKey, ...chart.xColumn }),
+      y,
+      series: [y],
+      data: chart.data,
+      seriesColumn: null,
+      labelKey: null,
+      items: [],
+    };
+  }
+
+  if (!CHART_TYPES.includes(chart.type)) return null;
+
+  if (chart.type === "kpi") {
+    const items = Array.isArray(chart.items)
+      ? chart.items
+          .filter((item) => item && typeof item === "object")
+          .map((item) => ({ ...normalizeTableColumn(item), value: item.value }))
+      : [];
+    if (items.length === 0) return null;
+    return {
+      type: "kpi",
+      x: null,
+      y: null,
+      series: [],
+      data: [],
+      seriesColumn: null,
+      labelKey: null,
+      items,
+    };
+  }
+
+  const series = Array.isArray(chart.series)
+    ? chart.series
+        .filter(Boolean)
+        .map((s) => ({ ...normalizeTableColumn(s), other: !!s.other }))
+    : [];
+  if (!chart.x || series.length === 0) return null;
+  if (!Array.isArray(chart.data) || chart.data.length === 0) return null;
+
+  return {
+    type: chart.type,
+    x: normalizeTableColumn(chart.x),
+    y: normalizeTableColumn(chart.y || series[0]),
+    series,
+    data: chart.data,
+    seriesColumn: chart.seriesColumn
+      ? normalizeTableColumn(chart.seriesColumn)
+      : null,
+    labelKey: typeof chart.labelKey === "string" ? chart.labelKey : null,
+    items: [],
+  };
+}
+
 /**
  * Ensures we always have a consistent answerPayload shape.
  * (Important: this is UI-contract glue; keep behavior stable.)
@@ -158,7 +588,7 @@ function normalizeAnswerPayload(payload) {
     }
 
     normalized.table = {
-      columns,
+      columns: columns.map(normalizeTableColumn),
       rows,
       rowCount:
         typeof table.rowCount === "number" ? table.rowCount : rows.length,
@@ -166,29 +596,22 @@ function normalizeAnswerPayload(payload) {
     };
   }
 
+  // Insights: deterministic facts rendered as callouts
+  normalized.insights = Array.isArray(normalized.insights)
+    ? normalized.insights.filter(
+        (i) => i && typeof i === "object" && typeof i.headline === "string"
+      )
+    : [];
+
   // Normalize optional chart payload
-  if (normalized.chart && typeof normalized.chart === "object") {
-    const chart = normalized.chart;
+  normalized.chart = normalizeChart(normalized.chart);
 
-    // Only one chart type for now
-    if (
-      chart.type === "basicareachart" &&
-      typeof chart.xKey === "string" &&
-      typeof chart.yKey === "string" &&
-      Array.isArray(chart.data)
-    ) {
-      normalized.chart = {
-        type: "basicareachart",
-        xKey: chart.xKey,
-        yKey: chart.yKey,
-        data: chart.data,
-      };
-    } else {
-      normalized.chart = null;
-    }
-  } else if (normalized.chart == null) {
-    normalized.chart = null;
-  }
+  // Pivot configurations saved on the answer
+  normalized.pivots = Array.isArray(normalized.pivots)
+    ? normalized.pivots.filter(
+        (p) => p && typeof p === "object" && Array.isArray(p.rows)
+      )
+    : [];
 
   return normalized;
 }
@@ -277,17 +700,47 @@ function buildAnswerMetaByMessage(messages, conversationId) {
   return rebuilt;
 }
 
-function downloadCsvFromPayload(payload) {
-  const dl = payload?.downloads?.find(
-    (d) => d && d.kind === "csv" && typeof d.content === "string"
-  );
+//Full result export: older answers embed the CSV, newer ones reference the saved query,
+//which is streamed from a signed, short-lived URL (format: "csv" or "ndjson").
+async function downloadExportFromPayload(payload, format = "csv") {
+  const dl = payload?.downloads?.find((d) => d && d.kind === "csv");
   if (!dl) return;
 
   try {
-    const blob = new Blob([dl.content], { type: dl.mimeType || "text/csv" });
-    saveAs(blob, dl.filename || "export.csv");
+    if (typeof dl.content === "string") {
+      const blob = new Blob([dl.content], { type: dl.mimeType || "text/csv" });
+      saveAs(blob, dl.filename || "export.csv");
+      return;
+    }
+
+    const res = await fetch("/api/chat/export-link", {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${getToken()}`,
+      },
+      body: JSON.stringify({ sqlQueryId: dl.sqlQueryId, format }),
+    });
+    if (!res.ok) throw new Error(`Export link request failed (${res.status})`);
+    const { url } = await res.json();
+
+    // The browser downloads the stream itself (attachment response)
+    window.location.assign(url);
+  } catch (err) {
+    console.error("Export download failed:", err);
+  }
+}
+
+//Authenticated file download from an API route (chart image, XLSX export).
+async function downloadFromApi(url, filename) {
+  try {
+    const res = await fetch(url, {
+      headers: { Authorization: `Bearer ${getToken()}` },
+    });
+    if (!res.ok) throw new Error(`Download failed (${res.status})`);
+    saveAs(await res.blob(), filename);
   } catch (err) {
-    console.error("CSV download failed:", err);
+    console.error("Download failed:", url, err);
   }
 }
 
@@ -319,10 +772,10 @@ function VirtualTable({ columns, rows, maxHeight = 420 }) {
           <tr>
             {columns.map((col) => (
               <th
-                key={col}
+                key={col.key}
                 className="px-2 py-1 text-left font-medium text-neutral-700"
               >
-                {col}
+                {columnHeader(col)}
               </th>
             ))}
           </tr>
@@ -361,10 +814,10 @@ function VirtualTable({ columns, rows, maxHeight = 420 }) {
                         >
                           {columns.map((col) => (
                             <div
-                              key={col}
+                              key={col.key}
                               className="px-2 py-1 whitespace-nowrap font-mono text-[10px] text-neutral-800"
                             >
-                              {formatCellValue(row?.[col])}
+                              {formatCellValue(row?.[col.key], col)}
                             </div>
                           ))}
                         </div>
@@ -381,6 +834,655 @@ function VirtualTable({ columns, rows, maxHeight = 420 }) {
   );
 }
 
+// -----------------------------
+// Paged results (full result, fetched page by page)
+// -----------------------------
+
+const RESULT_PAGE_SIZES = [20, 50, 100];
+
+const FILTER_OPERATOR_LABELS = {
+  contains: "contains",
+  eq: "=",
+  gt: ">",
+  lt: "<",
+};
+
+//Pages, sorts and filters a saved query's full result on the server (/api/chat/result-page).
+//Starts on the inline preview rows; nothing is fetched until the user pages, sorts or filters.
+function PagedResultsTable({ sqlQueryId, columns, rows, rowCount }) {
+  const [pageSize, setPageSize] = useState(
+    RESULT_PAGE_SIZES.includes(rows.length) ? rows.length : RESULT_PAGE_SIZES[0]
+  );
+  const [view, setView] = useState({
+    page: 1,
+    rows,
+    totalRows: rowCount,
+    sort: null,
+    filter: null,
+  });
+  const [filterDraft, setFilterDraft] = useState({
+    column: columns[0]?.key || "",
+    op: "contains",
+    value: "",
+  });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const requestRef = useRef(null);
+
+  async function loadPage(next) {
+    const request = {
+      page: next.page ?? view.page,
+      pageSize: next.pageSize ?? pageSize,
+      sort: next.sort !== undefined ? next.sort : view.sort,
+      filter: next.filter !== undefined ? next.filter : view.filter,
+    };
+
+    requestRef.current?.abort();
+    const controller = new AbortController();
+    requestRef.current = controller;
+
+    setLoading(true);
+    setError("");
+    try {
+      const res = await fetch("/api/chat/result-page", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${getToken()}`,
+        },
+        body: JSON.stringify({ sqlQueryId, ...request }),
+        signal: controller.signal,
+      });
+      const data = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(data.error || "Failed to load rows");
+
+      // Past the end (rows changed since the answer): go back to the first page
+      if (data.totalRows == null && request.page > 1) {
+        return loadPage({ ...request, page: 1 });
+      }
+
+      setPageSize(request.pageSize);
+      setView({
+        page: data.page,
+        rows: Array.isArray(data.rows) ? data.rows : [],
+        totalRows: data.totalRows ?? 0,
+        sort: request.sort,
+        filter: request.filter,
+      });
+    } catch (err) {
+      if (err.name === "AbortError") return;
+      console.error("Result page failed:", err);
+      setError(err.message || "Failed to load rows");
+    } finally {
+      if (requestRef.current === controller) setLoading(false);
+    }
+  }
+
+  //Header click cycles ascending -> descending -> unsorted.
+  function toggleSort(key) {
+    const current = view.sort?.column === key ? view.sort.direction : null;
+    const sort =
+      current === null
+        ? { column: key, direction: "asc" }
+        : current === "asc"
+          ? { column: key, direction: "desc" }
+          : null;
+    loadPage({ page: 1, sort });
+  }
+
+  function applyFilter(e) {
+    e.preventDefault();
+    if (!filterDraft.value.trim()) return;
+    loadPage({ page: 1, filter: { ...filterDraft } });
+  }
+
+  function clearFilter() {
+    setFilterDraft((d) => ({ ...d, value: "" }));
+    loadPage({ page: 1, filter: null });
+  }
+
+  const pageCount = Math.max(1, Math.ceil(view.totalRows / pageSize));
+  const firstRow = view.totalRows === 0 ? 0 : (view.page - 1) * pageSize + 1;
+  const lastRow = Math.min(view.totalRows, firstRow + view.rows.length - 1);
+
+  return (
+    <div>
+      <form
+        onSubmit={applyFilter}
+        className="flex flex-wrap items-center gap-2 border-b border-neutral-100 px-3 py-2 text-[11px]"
+      >
+        <span className="text-neutral-600">Filter</span>
+        <select
+          value={filterDraft.column}
+          onChange={(e) =>
+            setFilterDraft((d) => ({ ...d, column: e.target.value }))
+          }
+          className="h-7 rounded-md border border-neutral-300 bg-white px-1"
+        >
+          {columns.map((col) => (
+            <option key={col.key} value={col.key}>
+              {col.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={filterDraft.op}
+          onChange={(e) =>
+            setFilterDraft((d) => ({ ...d, op: e.target.value }))
+          }
+          className="h-7 rounded-md border border-neutral-300 bg-white px-1"
+        >
+          {Object.entries(FILTER_OPERATOR_LABELS).map(([op, label]) => (
+            <option key={op} value={op}>
+              {label}
+            </option>
+          ))}
+        </select>
+        <Input
+          value={filterDraft.value}
+          onChange={(e) =>
+            setFilterDraft((d) => ({ ...d, value: e.target.value }))
+          }
+          placeholder="Value"
+          className="h-7 w-40 text-[11px]"
+        />
+        <Button
+          type="submit"
+          size="sm"
+          variant="outline"
+          disabled={loading || !filterDraft.value.trim()}
+          className="h-7 border-neutral-300 text-neutral-700 hover:bg-neutral-100"
+        >
+          Apply
+        </Button>
+        {view.filter ? (
+          <Button
+            type="button"
+            size="sm"
+            variant="ghost"
+            disabled={loading}
+            className="h-7 text-neutral-600"
+            onClick={clearFilter}
+          >
+            Clear
+          </Button>
+        ) : null}
+        {loading ? <span className="text-neutral-500">Loading…</span> : null}
+        {error ? <span className="text-red-600">{error}</span> : null}
+      </form>
+
+      <div className="max-h-80 overflow-auto">
+        <table className="min-w-full border-collapse text-[12px]">
+          <thead className="sticky top-0 z-10 bg-neutral-50">
+            <tr>
+              {columns.map((col) => (
+                <th
+                  key={col.key}
+                  className="cursor-pointer select-none px-2 py-1 text-left font-medium text-neutral-700 hover:bg-neutral-100"
+                  onClick={() => toggleSort(col.key)}
+                >
+                  {columnHeader(col)}
+                  {view.sort?.column === col.key
+                    ? view.sort.direction === "asc"
+                      ? " ▲"
+                      : " ▼"
+                    : ""}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className={loading ? "opacity-50" : ""}>
+            {view.rows.map((row, idx) => (
+              <tr
+                key={idx}
+                className={idx % 2 === 0 ? "bg-white" : "bg-neutral-50"}
+              >
+                {columns.map((col) => (
+                  <td
+                    key={col.key}
+                    className="px-2 py-1 whitespace-nowrap font-mono text-[10px] text-neutral-800"
+                  >
+                    {formatCellValue(row?.[col.key], col)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="flex items-center justify-between border-t border-neutral-100 px-3 py-2 text-[10px] text-neutral-600">
+        <span>
+          Rows {firstRow.toLocaleString()}–{lastRow.toLocaleString()} of{" "}
+          {view.totalRows.toLocaleString()}
+          {view.filter ? " (filtered)" : ""}
+        </span>
+        <div className="flex items-center gap-2">
+          <select
+            value={pageSize}
+            disabled={loading}
+            onChange={(e) =>
+              loadPage({ page: 1, pageSize: Number(e.target.value) })
+            }
+            className="h-6 rounded-md border border-neutral-300 bg-white px-1"
+          >
+            {RESULT_PAGE_SIZES.map((n) => (
+              <option key={n} value={n}>
+                {n} / page
+              </option>
+            ))}
+          </select>
+          <Button
+            type="button"
+            size="sm"
+            variant="outline"
+            disabled={loading || view.page <= 1}
+            className="h-6 border-neutral-300 px-2 text-[10px]"
+            onClick={() => loadPage({ page: view.page - 1 })}
+          >
+            Prev
+          </Button>
+          <span>
+            Page {view.page} of {pageCount}
+          </span>
+          <Button
+            type="button"
+            size="sm"
+            variant="outline"
+            disabled={loading || view.page >= pageCount}
+            className="h-6 border-neutral-300 px-2 text-[10px]"
+            onClick={() => loadPage({ page: view.page + 1 })}
+          >
+            Next
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// -----------------------------
+// Pivot view (server-side GROUP BY over the saved query)
+// -----------------------------
+
+const PIVOT_AGGREGATION_LABELS = {
+  sum: "Sum",
+  avg: "Average",
+  min: "Min",
+  max: "Max",
+  count: "Count",
+  count_distinct: "Distinct count",
+};
+
+const MEASURE_TYPES = ["number", "integer", "currency", "percent"];
+
+function pivotTitle(config, columns) {
+  const label = (key) => columns.find((c) => c.key === key)?.label || key;
+  const value =
+    config.aggregation === "count"
+      ? "Count of rows"
+      : `${PIVOT_AGGREGATION_LABELS[config.aggregation]} of ${label(config.measure)}`;
+  const by = [...config.rows, ...config.columns].map(label).join(" × ");
+  return `${value} by ${by}`;
+}
+
+//Column metadata used to format pivot cells.
+function pivotValueColumn(config, columns) {
+  if (
+    config.aggregation === "count" ||
+    config.aggregation === "count_distinct"
+  ) {
+    return { key: "pivot_value", label: "Count", type: "integer" };
+  }
+  const measure = columns.find((c) => c.key === config.measure);
+  if (!measure) return { key: "pivot_value", label: "Value", type: "number" };
+  return config.aggregation === "avg" && measure.type === "integer"
+    ? { ...measure, type: "number" }
+    : measure;
+}
+
+function pivotHeaderText(values, keys, columns) {
+  return values
+    .map((v, i) =>
+      v == null
+        ? "(blank)"
+        : formatCellValue(
+            v,
+            columns.find((c) => c.key === keys[i]) || { key: keys[i] }
+          )
+    )
+    .join(" / ");
+}
+
+//Rows × columns of one measure for a saved query; configurations can be saved on the answer.
+function PivotPanel({
+  messageId,
+  sqlQueryId,
+  columns,
+  savedPivots,
+  onPivotsChange,
+}) {
+  const measures = columns.filter((c) => MEASURE_TYPES.includes(c.type));
+  const dimensions = columns.filter((c) => !MEASURE_TYPES.includes(c.type));
+
+  const [config, setConfig] = useState({
+    rows: [dimensions[0]?.key || columns[0]?.key].filter(Boolean),
+    columns: [],
+    measure: measures[0]?.key || "",
+    aggregation: measures.length > 0 ? "sum" : "count",
+  });
+  const [result, setResult] = useState(null);
+  const [name, setName] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+
+  async function callApi(url, method, body) {
+    const res = await fetch(url, {
+      method,
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Bearer ${getToken()}`,
+      },
+      body: JSON.stringify(body),
+    });
+    const data = await res.json().catch(() => ({}));
+    if (!res.ok)
+      throw new Error(data.error || `Request failed (${res.status})`);
+    return data;
+  }
+
+  async function runPivot(next = config) {
+    setConfig(next);
+    setLoading(true);
+    setError("");
+    try {
+      setResult(
+        await callApi("/api/chat/pivot", "POST", { sqlQueryId, ...next })
+      );
+    } catch (err) {
+      console.error("Pivot failed:", err);
+      setResult(null);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  async function savePivot() {
+    try {
+      // Save what is shown, even if the pickers changed since
+      const { rows, columns: columnKeys, measure, aggregation } = result;
+      const shown = { rows, columns: columnKeys, measure, aggregation };
+      const { pivots } = await callApi("/api/chat/pivots", "POST", {
+        messageId,
+        pivot: { ...shown, name: name.trim() || pivotTitle(shown, columns) },
+      });
+      setName("");
+      onPivotsChange(pivots);
+    } catch (err) {
+      console.error("Saving pivot failed:", err);
+      setError(err.message);
+    }
+  }
+
+  async function deletePivot(pivotId) {
+    try {
+      const { pivots } = await callApi("/api/chat/pivots", "DELETE", {
+        messageId,
+        pivotId,
+      });
+      onPivotsChange(pivots);
+    } catch (err) {
+      console.error("Deleting pivot failed:", err);
+      setError(err.message);
+    }
+  }
+
+  const setField = (field, value) =>
+    setConfig((c) => ({ ...c, [field]: value }));
+  const selectClass =
+    "h-7 rounded-md border border-neutral-300 bg-white px-1 text-[11px]";
+  const valueColumn = result ? pivotValueColumn(result, columns) : null;
+  const totals = result?.rowTotals != null;
+
+  return (
+    <div className="border-t border-neutral-100">
+      <div className="flex flex-wrap items-center gap-2 px-3 py-2 text-[11px] text-neutral-600">
+        <span>Rows</span>
+        <select
+          value={config.rows[0] || ""}
+          onChange={(e) =>
+            setField("rows", [e.target.value, ...config.rows.slice(1)])
+          }
+          className={selectClass}
+        >
+          {columns.map((col) => (
+            <option key={col.key} value={col.key}>
+              {col.label}
+            </option>
+          ))}
+        </select>
+        <select
+          value={config.rows[1] || ""}
+          onChange={(e) =>
+            setField("rows", [config.rows[0], e.target.value].filter(Boolean))
+          }
+          className={selectClass}
+        >
+          <option value="">—</option>
+          {columns.map((col) => (
+            <option key={col.key} value={col.key}>
+              {col.label}
+            </option>
+          ))}
+        </select>
+        <span>Columns</span>
+        <select
+          value={config.columns[0] || ""}
+          onChange={(e) =>
+            setField("columns", e.target.value ? [e.target.value] : [])
+          }
+          className={selectClass}
+        >
+          <option value="">—</option>
+          {columns.map((col) => (
+            <option key={col.key} value={col.key}>
+              {col.label}
+            </option>
+          ))}
+        </select>
+        <span>Value</span>
+        <select
+          value={config.aggregation}
+          onChange={(e) => setField("aggregation", e.target.value)}
+          className={selectClass}
+        >
+          {Object.entries(PIVOT_AGGREGATION_LABELS).map(([key, label]) => (
+            <option key={key} value={key}>
+              {label}
+            </option>
+          ))}
+        </select>
+        {config.aggregation !== "count" ? (
+          <select
+            value={config.measure}
+            onChange={(e) => setField("measure", e.target.value)}
+            className={selectClass}
+          >
+            <option value="">—</option>
+            {(config.aggregation === "count_distinct" ? columns : measures).map(
+              (col) => (
+                <option key={col.key} value={col.key}>
+                  {col.label}
+                </option>
+              )
+            )}
+          </select>
+        ) : null}
+        <Button
+          type="button"
+          size="sm"
+          variant="outline"
+          disabled={loading || config.rows.length === 0}
+          className="h-7 border-neutral-300 text-neutral-700 hover:bg-neutral-100"
+          onClick={() => runPivot()}
+        >
+          {loading ? "Pivoting…" : "Pivot"}
+        </Button>
+        {error ? <span className="text-red-600">{error}</span> : null}
+      </div>
+
+      {savedPivots.length > 0 ? (
+        <div className="flex flex-wrap items-center gap-1 px-3 pb-2 text-[11px]">
+          <span className="text-neutral-500">Saved:</span>
+          {savedPivots.map((p) => (
+            <span
+              key={p.id}
+              className="inline-flex items-center rounded-full border border-neutral-300 bg-neutral-50"
+            >
+              <button
+                type="button"
+                className="px-2 py-0.5 text-neutral-700 hover:text-neutral-900"
+                onClick={() =>
+                  runPivot({
+                    rows: p.rows,
+                    columns: p.columns || [],
+                    measure: p.measure || "",
+                    aggregation: p.aggregation,
+                  })
+                }
+              >
+                {p.name}
+              </button>
+              <button
+                type="button"
+                aria-label={`Delete ${p.name}`}
+                className="pr-2 text-neutral-400 hover:text-red-600"
+                onClick={() => deletePivot(p.id)}
+              >
+                ×
+              </button>
+            </span>
+          ))}
+        </div>
+      ) : null}
+
+      {result ? (
+        <>
+          <div className="max-h-80 overflow-auto">
+            <table className="min-w-full border-collapse text-[12px]">
+              <thead className="sticky top-0 z-10 bg-neutral-50">
+                <tr>
+                  {result.rows.map((key) => (
+                    <th
+                      key={key}
+                      className="px-2 py-1 text-left font-medium text-neutral-700"
+                    >
+                      {columns.find((c) => c.key === key)?.label || key}
+                    </th>
+                  ))}
+                  {result.columnHeaders.map((header, j) => (
+                    <th
+                      key={j}
+                      className="px-2 py-1 text-right font-medium text-neutral-700"
+                    >
+                      {result.columns.length > 0
+                        ? pivotHeaderText(header, result.columns, columns)
+                        : valueColumn.label}
+                    </th>
+                  ))}
+                  {totals && result.columns.length > 0 ? (
+                    <th className="px-2 py-1 text-right font-semibold text-neutral-800">
+                      Total
+                    </th>
+                  ) : null}
+                </tr>
+              </thead>
+              <tbody>
+                {result.rowHeaders.map((header, i) => (
+                  <tr
+                    key={i}
+                    className={i % 2 === 0 ? "bg-white" : "bg-neutral-50"}
+                  >
+                    {header.map((value, d) => (
+                      <td
+                        key={d}
+                        className="px-2 py-1 whitespace-nowrap text-[11px] text-neutral-800"
+                      >
+                        {pivotHeaderText([value], [result.rows[d]], columns)}
+                      </td>
+                    ))}
+                    {result.cells[i].map((value, j) => (
+                      <td
+                        key={j}
+                        className="px-2 py-1 whitespace-nowrap text-right font-mono text-[10px] text-neutral-800"
+                      >
+                        {formatCellValue(value, valueColumn)}
+                      </td>
+                    ))}
+                    {totals && result.columns.length > 0 ? (
+                      <td className="px-2 py-1 whitespace-nowrap text-right font-mono text-[10px] font-semibold text-neutral-900">
+                        {formatCellValue(result.rowTotals[i], valueColumn)}
+                      </td>
+                    ) : null}
+                  </tr>
+                ))}
+                {totals ? (
+                  <tr className="border-t border-neutral-200 bg-neutral-50 font-semibold">
+                    <td
+                      colSpan={result.rows.length}
+                      className="px-2 py-1 text-[11px] text-neutral-800"
+                    >
+                      Total
+                    </td>
+                    {result.columnTotals.map((value, j) => (
+                      <td
+                        key={j}
+                        className="px-2 py-1 whitespace-nowrap text-right font-mono text-[10px] text-neutral-900"
+                      >
+                        {formatCellValue(value, valueColumn)}
+                      </td>
+                    ))}
+                    {result.columns.length > 0 ? (
+                      <td className="px-2 py-1 whitespace-nowrap text-right font-mono text-[10px] text-neutral-900">
+                        {formatCellValue(result.grandTotal, valueColumn)}
+                      </td>
+                    ) : null}
+                  </tr>
+                ) : null}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="flex flex-wrap items-center justify-between gap-2 border-t border-neutral-100 px-3 py-2 text-[10px] text-neutral-600">
+            <span>
+              {pivotTitle(result, columns)}
+              {result.truncated ? " (truncated)" : ""}
+            </span>
+            <div className="flex items-center gap-2">
+              <Input
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Pivot name"
+                className="h-6 w-40 text-[10px]"
+              />
+              <Button
+                type="button"
+                size="sm"
+                variant="outline"
+                className="h-6 border-neutral-300 px-2 text-[10px]"
+                onClick={savePivot}
+              >
+                Save pivot
+              </Button>
+            </div>
+          </div>
+        </>
+      ) : null}
+    </div>
+  );
+}
+
 // -----------------------------
 // SSE parsing helpers
 // -----------------------------
@@ -445,6 +1547,8 @@ function MainPage() {
   const [stats, setStats] = useState({ sqlQueries: [], tokenUsage: [] });
   const [loadingStats, setLoadingStats] = useState(false);
   const [isStatsModalOpen, setIsStatsModalOpen] = useState(false);
+  const [isEditingSql, setIsEditingSql] = useState(false);
+  const [sqlDraft, setSqlDraft] = useState("");
   const [isSettingsOpen, setIsSettingsOpen] = useState(false);
   const [isSettingsModalOpen, setIsSettingsModalOpen] = useState(false);
   const [isUsageModalOpen, setIsUsageModalOpen] = useState(false);
@@ -466,6 +1570,7 @@ function MainPage() {
   // Settings toggles
   const [useRag, setUseRag] = useState(true);
   const [showInlineVisuals, setShowInlineVisuals] = useState(true);
+  const [pivotMessageId, setPivotMessageId] = useState(null);
 
   // User memory editor
   const [userMemorySummary, setUserMemorySummary] = useState("");
@@ -996,16 +2101,13 @@ function MainPage() {
 
     if (columns.length > 0 && rows.length > 0) {
       try {
-        // Build a CSV using column order.
-        const normalizedRows = rows.map((r) => {
-          const out = {};
-          columns.forEach((c) => {
-            out[c] = r?.[c] == null ? "" : r[c];
-          });
-          return out;
+        // Build a CSV using column order, with display labels as headers.
+        tableText = Papa.unparse({
+          fields: columns.map((c) => c.label),
+          data: rows.map((r) =>
+            columns.map((c) => (r?.[c.key] == null ? "" : r[c.key]))
+          ),
         });
-
-        tableText = Papa.unparse(normalizedRows, { columns });
       } catch (err) {
         console.error("Failed to build CSV for clipboard:", err);
       }
@@ -1063,7 +2165,8 @@ function MainPage() {
       const updated = prev.map((m) => {
         if (m.id === STREAMING_MESSAGE_ID) {
           found = true;
-          return { ...m, content: message };
+          // Once answer text is streaming, later status lines stay in the progress bar only
+          return m.streamedText != null ? m : { ...m, content: message };
         }
         return m;
       });
@@ -1080,6 +2183,18 @@ function MainPage() {
     });
   }
 
+  //Append answer text tokens (`answer_delta`) to the streaming message.
+  //The `final` event replaces it with the persisted message.
+  function appendStreamingAnswerDelta(delta) {
+    setMessages((prev) =>
+      prev.map((m) => {
+        if (m.id !== STREAMING_MESSAGE_ID) return m;
+        const streamedText = `${m.streamedText ?? ""}${delta}`;
+        return { ...m, streamedText, content: streamedText };
+      })
+    );
+  }
+
   function replaceStreamingWithError(message) {
     setMessages((prev) => [
       ...prev.filter((m) => m.id !== STREAMING_MESSAGE_ID),
@@ -1124,6 +2239,84 @@ function MainPage() {
     setQuestion("");
     setHasStartedChat(true);
 
+    await streamAnswer("/api/chat/ask", {
+      conversationId: selectedConversationId,
+      question: trimmedQuestion,
+      useRag,
+    });
+  }
+
+  //Re-run an answer's SQL as edited in the stats modal; answers as a new assistant message.
+  async function handleRerunSql() {
+    const messageId = activeAnswer?.id;
+    if (!messageId || !sqlDraft.trim() || sending) return;
+
+    handleCloseStatsModal();
+    setMessages((prev) => [
+      ...prev,
+      {
+        id: STREAMING_MESSAGE_ID,
+        role: "assistant",
+        content: "Running your SQL…",
+      },
+    ]);
+
+    await streamAnswer("/api/chat/rerun-sql", { messageId, sql: sqlDraft });
+  }
+
+  //Answer an assistant message's question again; the new answer becomes another version of it and
+  //the follow-ups after the old one stay on the old version's branch.
+  async function handleRegenerate(msg) {
+    if (!msg?.id || msg.id === STREAMING_MESSAGE_ID || sending) return;
+
+    setMessages((prev) => {
+      const idx = prev.findIndex((m) => m.id === msg.id);
+      return [
+        ...(idx === -1 ? prev : prev.slice(0, idx)),
+        {
+          id: STREAMING_MESSAGE_ID,
+          role: "assistant",
+          content: "Regenerating answer…",
+        },
+      ];
+    });
+
+    await streamAnswer("/api/chat/ask", {
+      regenerateMessageId: msg.id,
+      useRag,
+    });
+  }
+
+  //Show another version of an answer (and the follow-ups on its branch).
+  async function handleSwitchVersion(messageId) {
+    if (!messageId || sending) return;
+
+    try {
+      const res = await fetch("/api/chat/branch", {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          Authorization: `Bearer ${getToken()}`,
+        },
+        body: JSON.stringify({ messageId }),
+      });
+      if (!res.ok) throw new Error("Failed to switch answer version");
+
+      const data = await res.json();
+      const msgs = data.messages || [];
+      const convId = data.conversationId || selectedConversationId;
+
+      setMessages(msgs);
+      setAnswerMetaByMessageId(buildAnswerMetaByMessage(msgs, convId));
+      fetchConversations();
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  //POST to an SSE answer endpoint (/api/chat/ask, /api/chat/rerun-sql) and render its events
+  //into the streaming message; the `final` event replaces the messages with the server's.
+  async function streamAnswer(url, body) {
     abortStreamingIfAny();
     setStreamingProgress(0);
     setStreamingProgressTarget(0);
@@ -1134,17 +2327,13 @@ function MainPage() {
     setSending(true);
 
     try {
-      const response = await fetch("/api/chat/ask", {
+      const response = await fetch(url, {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
           Authorization: `Bearer ${getToken()}`,
         },
-        body: JSON.stringify({
-          conversationId: selectedConversationId,
-          question: trimmedQuestion,
-          useRag,
-        }),
+        body: JSON.stringify(body),
         signal: controller.signal,
       });
 
@@ -1180,7 +2369,15 @@ function MainPage() {
           return;
         }
 
-        // 3) Final: replace temp messages with server messages and update meta.
+        // 3) Answer text tokens from ask.js: { delta }
+        if (eventName === "answer_delta" && payload) {
+          if (typeof payload.delta === "string" && payload.delta) {
+            appendStreamingAnswerDelta(payload.delta);
+          }
+          return;
+        }
+
+        // 4) Final: replace temp messages with server messages and update meta.
         if (eventName === "final" && payload) {
           shouldStop = true;
           streamControllerRef.current = null;
@@ -1218,7 +2415,7 @@ function MainPage() {
           return;
         }
 
-        // 4) Error
+        // 5) Error
         if (eventName === "error") {
           shouldStop = true;
           streamControllerRef.current = null;
@@ -1306,6 +2503,7 @@ function MainPage() {
     // keep whatever active meta we already have as a fallback.
     setActiveAnswerMeta((prev) => meta || prev);
     setActiveAnswerPayload((prev) => meta?.answerPayload || prev);
+    setIsEditingSql(false);
 
     // Ensure latest stats for this conversation
     fetchStats(selectedConversationId);
@@ -1318,6 +2516,7 @@ function MainPage() {
     setActiveAnswer(null);
     setShowAdvancedStats(false);
     setActiveAnswerPayload(null);
+    setIsEditingSql(false);
   }
 
   // -----------------------------
@@ -1358,7 +2557,7 @@ function MainPage() {
                 className="h-7 border-neutral-300 text-neutral-700 hover:bg-neutral-100"
                 onClick={(e) => {
                   e.stopPropagation();
-                  downloadCsvFromPayload(payload);
+                  downloadExportFromPayload(payload);
                 }}
               >
                 <Download className="mr-1 h-3.5 w-3.5" />
@@ -1377,10 +2576,10 @@ function MainPage() {
                 <tr>
                   {columns.map((col) => (
                     <th
-                      key={col}
+                      key={col.key}
                       className="px-2 py-1 text-left font-medium text-neutral-700"
                     >
-                      {col}
+                      {columnHeader(col)}
                     </th>
                   ))}
                 </tr>
@@ -1393,10 +2592,10 @@ function MainPage() {
                   >
                     {columns.map((col) => (
                       <td
-                        key={col}
+                        key={col.key}
                         className="px-2 py-1 whitespace-nowrap font-mono text-[10px] text-neutral-800"
                       >
-                        {formatCellValue(row?.[col])}
+                        {formatCellValue(row?.[col.key], col)}
                       </td>
                     ))}
                   </tr>
@@ -1659,6 +2858,20 @@ function MainPage() {
                             >
                               <div>{msg.content}</div>
 
+                              {answerMetaByMessageId?.[msg.id]?.answerPayload
+                                ?.meta?.error ? (
+                                <div className="mt-1 text-[10px] text-red-700">
+                                  Query could not run (
+                                  {answerMetaByMessageId[msg.id].answerPayload
+                                    .meta.error.code || "SQL_ERROR"}
+                                  ):{" "}
+                                  {
+                                    answerMetaByMessageId[msg.id].answerPayload
+                                      .meta.error.message
+                                  }
+                                </div>
+                              ) : null}
+
                               {msg.id === STREAMING_MESSAGE_ID &&
                               typeof streamingProgress === "number" ? (
                                 <div
@@ -1682,6 +2895,32 @@ function MainPage() {
                               ) : null}
                             </div>
 
+                            {/* Insight callouts */}
+                            {(() => {
+                              const insights =
+                                answerMetaByMessageId?.[msg.id]?.answerPayload
+                                  ?.insights || [];
+                              if (!showInlineVisuals || insights.length === 0)
+                                return null;
+
+                              return (
+                                <div className="mt-2 space-y-1">
+                                  {insights.map((insight, idx) => (
+                                    <div
+                                      key={idx}
+                                      className={`rounded-md border-l-2 px-3 py-1.5 text-[11px] leading-snug ${
+                                        insight.type === "outlier"
+                                          ? "border-amber-500 bg-amber-50 text-amber-900"
+                                          : "border-neutral-500 bg-white text-neutral-800"
+                                      }`}
+                                    >
+                                      {insight.headline}
+                                    </div>
+                                  ))}
+                                </div>
+                              );
+                            })()}
+
                             {/* Inline BI rendering (stacked) */}
                             {(() => {
                               const payload =
@@ -1691,6 +2930,10 @@ function MainPage() {
                               const rows = table?.rows || [];
                               const hasTable =
                                 rows.length > 0 && columns.length > 0;
+                              // Truncated previews page through the saved query's full result
+                              const paged =
+                                !!table?.truncated &&
+                                !!payload?.meta?.sqlQueryId;
 
                               if (!payload) return null;
                               if (!showInlineVisuals) return null;
@@ -1703,7 +2946,7 @@ function MainPage() {
                                         Results
                                       </div>
                                       <div className="flex items-center gap-2">
-                                        {table?.truncated ? (
+                                        {table?.truncated && !paged ? (
                                           <span className="rounded-sm bg-amber-100 px-1.5 py-0.5 text-[10px] font-medium text-amber-800">
                                             Preview truncated
                                           </span>
@@ -1719,17 +2962,68 @@ function MainPage() {
                                             className="h-7 border-neutral-300 text-neutral-700 hover:bg-neutral-100"
                                             onClick={(e) => {
                                               e.stopPropagation();
-                                              downloadCsvFromPayload(payload);
+                                              downloadExportFromPayload(
+                                                payload
+                                              );
                                             }}
                                           >
                                             <Download className="mr-1 h-3.5 w-3.5" />
                                             CSV
                                           </Button>
                                         ) : null}
+
+                                        {msg.id !== STREAMING_MESSAGE_ID &&
+                                        payload?.meta?.sqlQueryId ? (
+                                          <Button
+                                            type="button"
+                                            size="sm"
+                                            variant={
+                                              pivotMessageId === msg.id
+                                                ? "default"
+                                                : "outline"
+                                            }
+                                            className="h-7"
+                                            onClick={(e) => {
+                                              e.stopPropagation();
+                                              setPivotMessageId((id) =>
+                                                id === msg.id ? null : msg.id
+                                              );
+                                            }}
+                                          >
+                                            Pivot
+                                          </Button>
+                                        ) : null}
+
+                                        {msg.id !== STREAMING_MESSAGE_ID ? (
+                                          <Button
+                                            type="button"
+                                            size="sm"
+                                            variant="outline"
+                                            className="h-7 border-neutral-300 text-neutral-700 hover:bg-neutral-100"
+                                            onClick={(e) => {
+                                              e.stopPropagation();
+                                              downloadFromApi(
+                                                `/api/chat/export-xlsx?messageId=${encodeURIComponent(msg.id)}`,
+                                                `answer-${msg.id}.xlsx`
+                                              );
+                                            }}
+                                          >
+                                            <Download className="mr-1 h-3.5 w-3.5" />
+                                            XLSX
+                                          </Button>
+                                        ) : null}
                                       </div>
                                     </div>
 
-                                    {rows.length > 100 ? (
+                                    {paged ? (
+                                      <PagedResultsTable
+                                        key={payload.meta.sqlQueryId}
+                                        sqlQueryId={payload.meta.sqlQueryId}
+                                        columns={columns}
+                                        rows={rows}
+                                        rowCount={table.rowCount}
+                                      />
+                                    ) : rows.length > 100 ? (
                                       <VirtualTable
                                         columns={columns}
                                         rows={rows}
@@ -1742,10 +3036,10 @@ function MainPage() {
                                             <tr>
                                               {columns.map((col) => (
                                                 <th
-                                                  key={col}
+                                                  key={col.key}
                                                   className="px-2 py-1 text-left font-medium text-neutral-700"
                                                 >
-                                                  {col}
+                                                  {columnHeader(col)}
                                                 </th>
                                               ))}
                                             </tr>
@@ -1762,11 +3056,12 @@ function MainPage() {
                                               >
                                                 {columns.map((col) => (
                                                   <td
-                                                    key={col}
+                                                    key={col.key}
                                                     className="px-2 py-1 whitespace-nowrap font-mono text-[10px] text-neutral-800"
                                                   >
                                                     {formatCellValue(
-                                                      row?.[col]
+                                                      row?.[col.key],
+                                                      col
                                                     )}
                                                   </td>
                                                 ))}
@@ -1777,12 +3072,36 @@ function MainPage() {
                                       </div>
                                     )}
 
-                                    <div className="border-t border-neutral-100 px-3 py-2 text-[10px] text-neutral-600">
-                                      Rows returned:{" "}
-                                      {table?.rowCount?.toLocaleString?.() ||
-                                        table?.rowCount ||
-                                        rows.length}
-                                    </div>
+                                    {paged ? null : (
+                                      <div className="border-t border-neutral-100 px-3 py-2 text-[10px] text-neutral-600">
+                                        Rows returned:{" "}
+                                        {table?.rowCount?.toLocaleString?.() ||
+                                          table?.rowCount ||
+                                          rows.length}
+                                      </div>
+                                    )}
+
+                                    {pivotMessageId === msg.id &&
+                                    payload?.meta?.sqlQueryId ? (
+                                      <PivotPanel
+                                        messageId={msg.id}
+                                        sqlQueryId={payload.meta.sqlQueryId}
+                                        columns={columns}
+                                        savedPivots={payload.pivots || []}
+                                        onPivotsChange={(pivots) =>
+                                          setAnswerMetaByMessageId((prev) => ({
+                                            ...prev,
+                                            [msg.id]: {
+                                              ...prev[msg.id],
+                                              answerPayload: {
+                                                ...prev[msg.id]?.answerPayload,
+                                                pivots,
+                                              },
+                                            },
+                                          }))
+                                        }
+                                      />
+                                    ) : null}
                                   </div>
                                 );
                               }
@@ -1800,36 +3119,79 @@ function MainPage() {
                               if (!isClient) return null;
 
                               const chart = payload?.chart;
-                              if (!chart || chart.type !== "basicareachart") {
-                                return null;
+                              if (!chart) return null;
+
+                              if (chart.type === "kpi") {
+                                return (
+                                  <div className="mt-2 grid grid-cols-2 gap-2 sm:grid-cols-4">
+                                    {chart.items.map((item) => (
+                                      <div
+                                        key={item.key}
+                                        className="rounded-md border border-neutral-200 bg-white px-3 py-2"
+                                      >
+                                        <div className="text-[10px] text-neutral-500">
+                                          {columnHeader(item)}
+                                        </div>
+                                        <div className="text-[16px] font-semibold text-neutral-900">
+                                          {formatCellValue(item.value, item)}
+                                        </div>
+                                      </div>
+                                    ))}
+                                  </div>
+                                );
                               }
 
-                              const xKey = chart?.xKey;
-                              const yKey = chart?.yKey;
-                              const data = Array.isArray(chart?.data)
-                                ? chart.data
-                                : [];
+                              let subtitle = `${chart.y.label} by ${chart.x.label}`;
+                              if (chart.type === "scatter") {
+                                subtitle = `${chart.y.label} vs ${chart.x.label}`;
+                              } else if (chart.seriesColumn) {
+                                subtitle = `${chart.y.label} by ${chart.seriesColumn.label} over ${chart.x.label}`;
+                              } else if (chart.series.length > 1) {
+                                subtitle = `${chart.series.map((s) => s.label).join(", ")} by ${chart.x.label}`;
+                              }
 
-                              if (!xKey || !yKey || data.length === 0)
-                                return null;
+                              // One bar row per category
+                              const height =
+                                chart.type === "horizontal_bar"
+                                  ? Math.max(224, chart.data.length * 22)
+                                  : 224;
 
                               return (
                                 <div className="mt-2 rounded-md border border-neutral-200 bg-white">
                                   <div className="flex items-center justify-between border-b border-neutral-100 px-3 py-2">
                                     <div className="text-[12px] font-semibold text-neutral-800">
-                                      Trend
+                                      {CHART_TITLES[chart.type]}
                                     </div>
-                                    <div className="text-[10px] text-neutral-500">
-                                      {yKey} over {xKey}
+                                    <div className="flex items-center gap-2">
+                                      <div className="text-[10px] text-neutral-500">
+                                        {subtitle}
+                                      </div>
+                                      {msg.id !== STREAMING_MESSAGE_ID ? (
+                                        <Button
+                                          type="button"
+                                          size="sm"
+                                          variant="outline"
+                                          className="h-7 border-neutral-300 text-neutral-700 hover:bg-neutral-100"
+                                          onClick={(e) => {
+                                            e.stopPropagation();
+                                            downloadFromApi(
+                                              `/api/chat/chart-image?messageId=${encodeURIComponent(msg.id)}&format=png`,
+                                              `chart-${msg.id}.png`
+                                            );
+                                          }}
+                                        >
+                                          <Download className="mr-1 h-3.5 w-3.5" />
+                                          PNG
+                                        </Button>
+                                      ) : null}
                                     </div>
                                   </div>
 
-                                  <div className="h-56 w-full px-2 py-2">
-                                    <BasicAreaChartInner
-                                      data={data}
-                                      xKey={xKey}
-                                      yKey={yKey}
-                                    />
+                                  <div
+                                    className="w-full px-2 py-2"
+                                    style={{ height }}
+                                  >
+                                    <AnswerChartInner chart={chart} />
                                   </div>
                                 </div>
                               );
@@ -1891,6 +3253,71 @@ function MainPage() {
                                 <Copy className="h-3.5 w-3.5" />
                               </Button>
 
+                              {msg.id !== STREAMING_MESSAGE_ID ? (
+                                <Button
+                                  type="button"
+                                  variant="outline"
+                                  size="icon"
+                                  disabled={sending}
+                                  className="h-7 w-7 border-none bg-neutral-100 shadow-none text-neutral-400 hover:bg-neutral-100"
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    handleRegenerate(msg);
+                                  }}
+                                  title="Regenerate answer"
+                                  aria-label="Regenerate answer"
+                                >
+                                  <RefreshCw className="h-3.5 w-3.5" />
+                                </Button>
+                              ) : null}
+
+                              {msg.versions?.count > 1 ? (
+                                <div className="ml-1 flex items-center text-neutral-500">
+                                  <Button
+                                    type="button"
+                                    variant="outline"
+                                    size="icon"
+                                    disabled={
+                                      sending || msg.versions.index <= 1
+                                    }
+                                    className="h-7 w-6 border-none bg-neutral-100 shadow-none text-neutral-400 hover:bg-neutral-100"
+                                    onClick={(e) => {
+                                      e.stopPropagation();
+                                      handleSwitchVersion(
+                                        msg.versions.ids[msg.versions.index - 2]
+                                      );
+                                    }}
+                                    title="Previous version"
+                                    aria-label="Previous version"
+                                  >
+                                    <ChevronLeft className="h-3.5 w-3.5" />
+                                  </Button>
+                                  <span className="tabular-nums">
+                                    {msg.versions.index}/{msg.versions.count}
+                                  </span>
+                                  <Button
+                                    type="button"
+                                    variant="outline"
+                                    size="icon"
+                                    disabled={
+                                      sending ||
+                                      msg.versions.index >= msg.versions.count
+                                    }
+                                    className="h-7 w-6 border-none bg-neutral-100 shadow-none text-neutral-400 hover:bg-neutral-100"
+                                    onClick={(e) => {
+                                      e.stopPropagation();
+                                      handleSwitchVersion(
+                                        msg.versions.ids[msg.versions.index]
+                                      );
+                                    }}
+                                    title="Next version"
+                                    aria-label="Next version"
+                                  >
+                                    <ChevronRight className="h-3.5 w-3.5" />
+                                  </Button>
+                                </div>
+                              ) : null}
+
                               {copyStatusByMessageId?.[msg.id] === "copied" ? (
                                 <span className="ml-2 text-[10px] text-neutral-500">
                                   Copied
@@ -2319,13 +3746,128 @@ function MainPage() {
                   {activeAnswerMeta && (
                     <div className="space-y-3 rounded-md border border-neutral-100 bg-neutral-50 px-3 py-3">
                       {activeAnswerMeta.sql && (
+                        <div>
+                          <div className="mb-1 flex items-center justify-between">
+                            <div className="text-[12px] font-semibold text-neutral-700">
+                              SQL for this answer
+                              {activeAnswerPayload?.meta?.userEditedSql ? (
+                                <span className="ml-2 rounded-sm bg-sky-100 px-1.5 py-0.5 text-[10px] font-medium text-sky-800">
+                                  Edited by user
+                                </span>
+                              ) : null}
+                            </div>
+                            {canEditSql({
+                              role: user?.role,
+                              tenantRole: tenant?.role,
+                            }) &&
+                            activeAnswer?.id &&
+                            !isEditingSql ? (
+                              <Button
+                                type="button"
+                                size="sm"
+                                variant="outline"
+                                className="h-6 border-neutral-300 px-2 text-[10px] text-neutral-700 hover:bg-neutral-100"
+                                onClick={() => {
+                                  setSqlDraft(activeAnswerMeta.sql);
+                                  setIsEditingSql(true);
+                                }}
+                              >
+                                Edit SQL
+                              </Button>
+                            ) : null}
+                          </div>
+                          {isEditingSql ? (
+                            <>
+                              <textarea
+                                value={sqlDraft}
+                                onChange={(e) => setSqlDraft(e.target.value)}
+                                spellCheck={false}
+                                rows={10}
+                                className="w-full resize-y rounded-md bg-neutral-900 px-3 py-2 font-mono text-[10px] text-neutral-50 focus:outline-none focus:ring-1 focus:ring-neutral-500"
+                              />
+                              <div className="mt-2 flex items-center gap-2">
+                                <Button
+                                  type="button"
+                                  size="sm"
+                                  disabled={sending || !sqlDraft.trim()}
+                                  className="h-7 bg-neutral-900 text-[11px] text-neutral-50 hover:bg-neutral-800"
+                                  onClick={handleRerunSql}
+                                >
+                                  Run edited SQL
+                                </Button>
+                                <Button
+                                  type="button"
+                                  size="sm"
+                                  variant="outline"
+                                  className="h-7 border-neutral-300 text-[11px] text-neutral-700 hover:bg-neutral-100"
+                                  onClick={() => setIsEditingSql(false)}
+                                >
+                                  Cancel
+                                </Button>
+                                <span className="text-[10px] text-neutral-500">
+                                  Runs with the same safety checks and data
+                                  scope; the result is a new answer.
+                                </span>
+                              </div>
+                            </>
+                          ) : (
+                            <pre className="max-h-32 overflow-auto rounded-md bg-neutral-900 px-3 py-2 font-mono text-[10px] text-neutral-50">
+                              {activeAnswerMeta.sql}
+                            </pre>
+                          )}
+                        </div>
+                      )}
+                      {activeAnswerPayload?.meta?.attempts?.length > 1 && (
                         <div>
                           <div className="mb-1 text-[12px] font-semibold text-neutral-700">
-                            SQL for this answer
+                            Query attempts (
+                            {activeAnswerPayload.meta.attempts.length})
+                          </div>
+                          <div className="max-h-40 space-y-1 overflow-auto rounded-md border border-neutral-200 bg-white px-2 py-2">
+                            {activeAnswerPayload.meta.attempts.map((a) => (
+                              <div
+                                key={a.attempt}
+                                className="border-b border-neutral-100 pb-1 last:border-b-0 last:pb-0"
+                              >
+                                <div className="text-[12px] font-medium text-neutral-800">
+                                  Attempt {a.attempt} · {a.status}
+                                  {a.estimatedRows != null &&
+                                    ` · est. ${a.estimatedRows.toLocaleString()} rows scanned`}
+                                </div>
+                                {a.errorMessage && (
+                                  <div className="text-[10px] text-red-700">
+                                    {a.errorMessage}
+                                  </div>
+                                )}
+                                <div className="mt-0.5 line-clamp-2 font-mono text-[10px] text-neutral-700">
+                                  {a.sql}
+                                </div>
+                              </div>
+                            ))}
                           </div>
-                          <pre className="max-h-32 overflow-auto rounded-md bg-neutral-900 px-3 py-2 font-mono text-[10px] text-neutral-50">
-                            {activeAnswerMeta.sql}
-                          </pre>
+                        </div>
+                      )}
+                      {activeAnswerPayload?.meta?.masking?.applied && (
+                        <div className="text-[12px] text-neutral-700">
+                          Masked columns:{" "}
+                          {activeAnswerPayload.meta.masking.columns
+                            .filter((c) => !c.exempt && c.strategy !== "allow")
+                            .map((c) => `${c.column} (${c.strategy})`)
+                            .join(", ")}
+                        </div>
+                      )}
+                      {activeAnswerPayload?.meta?.reuse?.reused && (
+                        <div className="text-[12px] text-neutral-700">
+                          Reused verified SQL from{" "}
+                          {`“${activeAnswerPayload.meta.reuse.matchedQuestion}” (similarity ${activeAnswerPayload.meta.reuse.similarity.toFixed(3)})`}
+                        </div>
+                      )}
+                      {activeAnswerPayload?.meta?.cache && (
+                        <div className="text-[12px] text-neutral-700">
+                          Result cache:{" "}
+                          {activeAnswerPayload.meta.cache.hit
+                            ? `hit (cached ${Math.round(activeAnswerPayload.meta.cache.ageMs / 1000)}s ago)`
+                            : "miss"}
                         </div>
                       )}
                       {activeAnswerMeta.tokens && (
@@ -2362,20 +3904,36 @@ function MainPage() {
                               Download
                             </div>
                             <div className="text-[10px] text-neutral-600">
-                              Export the full result set as CSV.
+                              Export the full result set as CSV or NDJSON.
                             </div>
                           </div>
-                          <Button
-                            type="button"
-                            size="sm"
-                            className="bg-neutral-900 text-neutral-50 hover:bg-neutral-800"
-                            onClick={() =>
-                              downloadCsvFromPayload(activeAnswerPayload)
-                            }
-                          >
-                            <Download className="mr-1 h-3.5 w-3.5" />
-                            CSV
-                          </Button>
+                          <div className="flex items-center gap-2">
+                            <Button
+                              type="button"
+                              size="sm"
+                              className="bg-neutral-900 text-neutral-50 hover:bg-neutral-800"
+                              onClick={() =>
+                                downloadExportFromPayload(activeAnswerPayload)
+                              }
+                            >
+                              <Download className="mr-1 h-3.5 w-3.5" />
+                              CSV
+                            </Button>
+                            <Button
+                              type="button"
+                              size="sm"
+                              className="bg-neutral-900 text-neutral-50 hover:bg-neutral-800"
+                              onClick={() =>
+                                downloadExportFromPayload(
+                                  activeAnswerPayload,
+                                  "ndjson"
+                                )
+                              }
+                            >
+                              <Download className="mr-1 h-3.5 w-3.5" />
+                              NDJSON
+                            </Button>
+                          </div>
                         </div>
                       )}
 
@@ -2450,10 +4008,10 @@ function MainPage() {
                                       <tr>
                                         {cols.map((col) => (
                                           <th
-                                            key={col}
+                                            key={col.key}
                                             className="px-2 py-1 text-left font-medium text-neutral-700"
                                           >
-                                            {col}
+                                            {columnHeader(col)}
                                           </th>
                                         ))}
                                       </tr>
@@ -2470,10 +4028,13 @@ function MainPage() {
                                         >
                                           {cols.map((col) => (
                                             <td
-                                              key={col}
+                                              key={col.key}
                                               className="px-2 py-1 whitespace-nowrap font-mono text-[10px] text-neutral-800"
                                             >
-                                              {row[col]}
+                                              {formatCellValue(
+                                                row?.[col.key],
+                                                col
+                                              )}
                                             </td>
                                           ))}
                                         </tr>
@@ -2532,6 +4093,9 @@ function MainPage() {
                                   <th className="px-2 py-1 text-right font-medium">
                                     Rows
                                   </th>
+                                  <th className="px-2 py-1 text-right font-medium">
+                                    Est. scan
+                                  </th>
                                 </tr>
                               </thead>
                               <tbody>
@@ -2547,10 +4111,18 @@ function MainPage() {
                                     </td>
                                     <td className="px-2 py-1 align-top text-neutral-700">
                                       {q.status}
+                                      {q.cache_hit ? " (cached)" : ""}
                                     </td>
                                     <td className="px-2 py-1 align-top text-right text-neutral-700">
                                       {q.rows_returned ?? "—"}
                                     </td>
+                                    <td className="px-2 py-1 align-top text-right text-neutral-700">
+                                      {q.estimated_rows != null
+                                        ? Number(
+                                            q.estimated_rows
+                                          ).toLocaleString()
+                                        : "—"}
+                                    </td>
                                   </tr>
                                 ))}
                               </tbody>
@@ -0,0 +1,236 @@
+#!/usr/bin/env node
+
+// scripts/import-csv.mjs
+//
+// Load CSV extracts into a SQLite or DuckDB file that a tenant can point at
+// (tenants.data_db_type = "sqlite" | "duckdb", tenants.data_db_name = the file).
+//
+// Usage:
+//   node scripts/import-csv.mjs --type sqlite --db demo.sqlite sales.csv members.csv
+//   node scripts/import-csv.mjs --type duckdb --db demo.duckdb sales.csv
+//   node scripts/import-csv.mjs --type sqlite --db demo.sqlite --table metrics export_2024.csv
+//
+// One table per CSV, named after the file (lowercased, non-alphanumerics -> "_") unless
+// --table is given (single file only). Existing tables with the same name are replaced.
+// Relative --db paths resolve against DATA_DB_FILE_DIR (default ./data), like the app does.
+
+import "dotenv/config";
+import fs from "fs";
+import path from "path";
+import Papa from "papaparse";
+
+const SUPPORTED_TYPES = ["sqlite", "duckdb"];
+
+function parseCliArgs(argv) {
+  const args = argv.slice(2);
+
+  const out = {
+    type: null,
+    db: null,
+    table: null,
+    files: [],
+  };
+
+  for (let i = 0; i < args.length; i += 1) {
+    const a = args[i];
+
+    if (a === "--type" || a === "--db" || a === "--table") {
+      out[a.slice(2)] = args[i + 1] ? String(args[i + 1]).trim() : null;
+      i += 1;
+      continue;
+    }
+
+    // Ignore unknown flags but keep it visible
+    if (a.startsWith("--")) {
+      console.warn(`Unknown flag ignored: ${a}`);
+      continue;
+    }
+
+    out.files.push(a);
+  }
+
+  if (out.type) out.type = out.type.toLowerCase();
+
+  return out;
+}
+
+function assertArgs({ type, db, table, files }) {
+  if (!SUPPORTED_TYPES.includes(type)) {
+    throw new Error(`--type must be one of: ${SUPPORTED_TYPES.join(", ")}`);
+  }
+  if (!db) {
+    throw new Error("--db <file> is required");
+  }
+  if (files.length === 0) {
+    throw new Error("At least one CSV file is required");
+  }
+  if (table && files.length > 1) {
+    throw new Error("--table can only be used with a single CSV file");
+  }
+  files.forEach((file) => {
+    if (!fs.existsSync(file)) throw new Error(`CSV file not found: ${file}`);
+  });
+}
+
+function tableNameForFile(file) {
+  const base = path.basename(file, path.extname(file));
+  const name = base.toLowerCase().replace(/[^a-z0-9_]+/g, "_");
+  return /^[a-z_]/.test(name) ? name : `t_${name}`;
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, "")}"`;
+}
+
+// Plain decimal numbers only: zero-padded codes ("0012" zip codes, ids) stay text.
+const INTEGER_PATTERN = /^-?(0|[1-9]\d*)$/;
+const REAL_PATTERN = /^-?(0|[1-9]\d*)\.\d+$/;
+const BOOLEAN_PATTERN = /^(true|false)$/i;
+
+function valueKind(value) {
+  const text = String(value).trim();
+  if (BOOLEAN_PATTERN.test(text)) return "boolean";
+  if (INTEGER_PATTERN.test(text)) {
+    return Number.isSafeInteger(Number(text)) ? "integer" : "text";
+  }
+  if (REAL_PATTERN.test(text)) return "real";
+  return "text";
+}
+
+/**
+ * Column type from every non-empty (string) value: "boolean" (stored as INTEGER 0/1), "integer",
+ * "real" (integers and decimals) or "text".
+ */
+function inferColumnKind(rows, column) {
+  const kinds = new Set();
+  for (const row of rows) {
+    const value = row[column];
+    if (value === null || value === undefined || value === "") continue;
+    kinds.add(valueKind(value));
+    if (kinds.has("text")) return "text";
+  }
+  if (kinds.size === 0) return "text";
+  if (kinds.size === 1) return [...kinds][0];
+  if ([...kinds].every((k) => k === "integer" || k === "real")) return "real";
+  return "text";
+}
+
+const SQLITE_TYPES = {
+  boolean: "INTEGER",
+  integer: "INTEGER",
+  real: "REAL",
+  text: "TEXT",
+};
+
+//CSV string -> value better-sqlite3 can bind for the column's kind.
+function sqliteValue(value, kind) {
+  if (value === null || value === undefined || value === "") return null;
+  const text = String(value).trim();
+  if (kind === "boolean") return text.toLowerCase() === "true" ? 1 : 0;
+  if (kind === "integer" || kind === "real") return Number(text);
+  return String(value);
+}
+
+async function importIntoSqlite(dbFile, imports) {
+  const { default: Database } = await import("better-sqlite3");
+  const db = new Database(dbFile);
+
+  try {
+    for (const { file, table } of imports) {
+      // Values stay strings; types are inferred per column below
+      const parsed = Papa.parse(fs.readFileSync(file, "utf8"), {
+        header: true,
+        skipEmptyLines: true,
+      });
+      const columns = (parsed.meta.fields || [])
+        .map((c) => String(c).trim())
+        .filter(Boolean);
+      if (columns.length === 0) {
+        console.warn(`Skipping ${file}: no header row`);
+        continue;
+      }
+
+      const kinds = columns.map((c) => inferColumnKind(parsed.data, c));
+      const columnDefs = columns
+        .map((c, i) => `${quoteIdentifier(c)} ${SQLITE_TYPES[kinds[i]]}`)
+        .join(", ");
+      db.exec(`DROP TABLE IF EXISTS ${quoteIdentifier(table)}`);
+      db.exec(`CREATE TABLE ${quoteIdentifier(table)} (${columnDefs})`);
+
+      const insert = db.prepare(
+        `INSERT INTO ${quoteIdentifier(table)} (${columns
+          .map(quoteIdentifier)
+          .join(", ")}) VALUES (${columns.map(() => "?").join(", ")})`
+      );
+
+      const insertAll = db.transaction((rows) => {
+        rows.forEach((row) =>
+          insert.run(columns.map((c, i) => sqliteValue(row[c], kinds[i])))
+        );
+      });
+      insertAll(parsed.data);
+
+      console.log(`${file} -> ${table} (${parsed.data.length} rows)`);
+    }
+  } finally {
+    db.close();
+  }
+}
+
+async function importIntoDuckdb(dbFile, imports) {
+  const { DuckDBInstance } = await import("@duckdb/node-api");
+  const instance = await DuckDBInstance.create(dbFile);
+  const connection = await instance.connect();
+
+  try {
+    for (const { file, table } of imports) {
+      const csvPath = path.resolve(file).replace(/'/g, "''");
+      // read_csv_auto sniffs delimiters, headers and column types
+      await connection.run(
+        `CREATE OR REPLACE TABLE ${quoteIdentifier(table)} AS SELECT * FROM read_csv_auto('${csvPath}')`
+      );
+      const reader = await connection.runAndReadAll(
+        `SELECT COUNT(*) AS n FROM ${quoteIdentifier(table)}`
+      );
+      const [{ n }] = reader.getRowObjectsJS();
+      console.log(`${file} -> ${table} (${n} rows)`);
+    }
+  } finally {
+    connection.closeSync();
+    instance.closeSync();
+  }
+}
+
+async function main() {
+  const args = parseCliArgs(process.argv);
+  assertArgs(args);
+
+  const dbFile = path.resolve(process.env.DATA_DB_FILE_DIR || "data", args.db);
+  fs.mkdirSync(path.dirname(dbFile), { recursive: true });
+
+  const imports = args.files.map((file) => ({
+    file,
+    table: args.table || tableNameForFile(file),
+  }));
+
+  console.log("=== Retail AI Analyst: Import CSV ===");
+  console.log(`Target (${args.type}): ${dbFile}`);
+  console.log("");
+
+  if (args.type === "sqlite") {
+    await importIntoSqlite(dbFile, imports);
+  } else {
+    await importIntoDuckdb(dbFile, imports);
+  }
+
+  console.log("");
+  console.log("=== Import finished successfully ===");
+  console.log(
+    `Point a tenant at it with data_db_type = "${args.type}" and data_db_name = "${args.db}".`
+  );
+}
+
+main().catch((err) => {
+  console.error("Error in scripts/import-csv.mjs:", err);
+  process.exit(1);
+});